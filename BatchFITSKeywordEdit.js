@@ -36,14 +36,17 @@
 
 #feature-id    BatchFITSKeywordEdit : Batch Processing > BatchFITSKeywordEdit
 
-#feature-info  A batch utility to edit, add or remove a FITS keyword.<br/>\
+#feature-info  A batch utility to edit, add or remove FITS keywords.<br/>\
    <br/> \
    This script allows you to specify a list of FITS files to be processed and to \
-   specify a keyword to edit.  The keyword may be added as a new keyword, \
+   build a plan of keyword edits.  Each keyword may be added as a new keyword, \
    amended within the existing keywords in the file HDU, or removed from \
-   the HDU.  The edited files will be written to a specified output directory \
+   the HDU.  All edits in the plan are applied before each file is written \
+   once.  The edited files will be written to a specified output directory \
    and can include an identifying prefix/postfix.  The script is only designed \
-   to work with FITS files (extensions: .fit, .fits, .fts). <br>\
+   to work with FITS files (extensions: .fit, .fits, .fts), including \
+   tile-compressed .fz and gzipped .fits.gz files, and with the FITS \
+   keywords of XISF files (.xisf). <br>\
    <br>\
    This script can be useful, for example, to add specification of the filter \
    used in image capture when this was not written to the files at the time \
@@ -66,6 +69,46 @@
 
 #define DEFAULT_OUTPUT_EXTENSION ".fit"
 
+#define FITS_CARD_LENGTH      80
+#define FITS_BLOCK_LENGTH     2880
+#define RAW_COPY_CHUNK_SIZE   1048576
+#define DEFLATE_WINDOW_SIZE   32768
+#define DEFLATE_BLOCK_SIZE    131072
+#define DEFLATE_MAX_CHAIN     16
+#define XISF_BLOCK_ALIGNMENT  4096
+
+#define TEMP_FILE_POSTFIX     "_bfke_tmp"
+#define OLD_FILE_POSTFIX      "_bfke_old"
+#define JOURNAL_FILE_PREFIX   "BatchFITSKeywordEdit_journal_"
+
+#define VALUE_MODES           ["literal", "template", "expression"]
+#define VALUE_TYPES           ["raw", "string", "integer", "float", "logical", "date"]
+#define HDU_TARGETS           ["primary", "images", "extname", "index"]
+#define MATCH_MODES           ["keyword", "wildcard", "regex"]
+#define OCCURRENCES           ["last", "first", "all"]
+#define CONDITION_TESTS       ["exists", "missing", "blank", "equals", "notequals", "lt", "le", "gt", "ge", "regex"]
+#define CONDITION_SYMBOLS     ["exists", "missing", "blank", "=", "!=", "<", "<=", ">", ">=", "matches"]
+#define COLLISION_POLICIES    ["suffix", "overwrite", "skip"]
+#define BACKUP_MODES          ["none", "bak", "directory"]
+
+//engine settings stored as script parameters under their own names, and in recipes
+#define ENGINE_PARAMETERS     ["outputDirectory", "outputPrefix", "outputPostfix", \
+                               "outputNameTemplate", "collisionPolicy", "rewriteHeaderOnly", "folderRecursive", "folderExtensions", "folderNamePattern", \
+                               "folderHeaderFilter", "modifyOriginals", "backupMode", "backupDirectory", \
+                               "actionAdd", "actionEdit", "actionRemove", \
+                               "addKeyword", "addValue", "addValueMode", "addValueType", "addComment", \
+                               "addMatchName", "addBeforeAfter", "addDuplicates", \
+                               "editMatchName", "editMatchMode", "editNamePattern", "editValuePattern", \
+                               "editCommentPattern", "editOccurrence", "editReplaceMatch", \
+                               "editValue", "editValueMode", "editValueType", "editComment", \
+                               "removeMatchName", "removeMatchMode", "removeNamePattern", "removeValuePattern", \
+                               "removeCommentPattern", "removeOccurrence", \
+                               "hduTarget", "hduExtname", "hduIndex", "conditionLogic", \
+                               "reportKeywords", "reportComments", "checkKeywords", "checkTolerances"]
+
+#define RECIPE_FORMAT         "BatchFITSKeywordEdit recipes"
+#define RECIPES_SETTINGS_KEY  "BatchFITSKeywordEdit/recipes"
+
 #define WARN_ON_NO_OUTPUT_DIRECTORY 1
 
 #define VERSION "1.0.0"
@@ -91,8 +134,20 @@ function BatchFITSKeywordEditEngine()
    this.outputPrefix = "";
    this.outputPostfix = "_f";
    this.outputExtension = DEFAULT_OUTPUT_EXTENSION;
-   this.overwriteExisting = false;
+   this.outputNameTemplate = "";   // e.g. "{OBJECT}/{FILTER}/{name}", "" to use prefix + name + postfix
+   this.collisionPolicy = "suffix";   // one of COLLISION_POLICIES, for output files that already exist
    this.outputFormat = null;
+   this.rewriteHeaderOnly = false;
+
+   //filters applied to the files found by Add Folder
+   this.folderRecursive = true;
+   this.folderExtensions = ".fit .fits .fts .fz .fits.gz .xisf";
+   this.folderNamePattern = "";       // wildcard pattern for file names, "" for any
+   this.folderHeaderFilter = "";      // conditions, such as "IMAGETYP = 'Light Frame'; FILTER missing"
+
+   this.modifyOriginals = false;
+   this.backupMode = "none";       // "none", "bak" or "directory"
+   this.backupDirectory = "";
 
    this.actionAdd = true;
    this.actionEdit = false;
@@ -105,6 +160,8 @@ function BatchFITSKeywordEditEngine()
 
    this.addKeyword = "";
    this.addValue = "";
+   this.addValueMode = "literal";     // "literal", "template" or "expression"
+   this.addValueType = "raw";         // one of VALUE_TYPES, "raw" writes the value as typed
    this.addComment = "";
    this.addLocation = function()
    {
@@ -119,7 +176,15 @@ function BatchFITSKeywordEditEngine()
       return this.keywordList[this.editKeywordIndex];
    }
    this.editMatchName = false;
+   this.editMatchMode = "keyword";    // "keyword", "wildcard" or "regex"
+   this.editNamePattern = "";
+   this.editValuePattern = "";
+   this.editCommentPattern = "";
+   this.editOccurrence = "last";      // "first", "last" or "all"
+   this.editReplaceMatch = false;
    this.editValue = "";
+   this.editValueMode = "literal";
+   this.editValueType = "raw";
    this.editComment = "";
 
    this.removeKeyword = function()
@@ -127,1179 +192,8307 @@ function BatchFITSKeywordEditEngine()
       return this.keywordList[this.removeKeywordIndex];
    }
    this.removeMatchName = false;
+   this.removeMatchMode = "keyword";
+   this.removeNamePattern = "";
+   this.removeValuePattern = "";
+   this.removeCommentPattern = "";
+   this.removeOccurrence = "last";
    this.removeValue = "";
    this.removeComment = "";
 
+   //header/data units to edit: "primary", "images" (all image HDUs), "extname" or "index"
+   this.hduTarget = "primary";
+   this.hduExtname = "";
+   this.hduIndex = 1;
 
 
-   this.processFiles = function()
-   {
-      this.outputFormat = new FileFormat( this.outputExtension, false/*toRead*/, true/*toWrite*/ );
-      if ( this.outputFormat.isNull )
-         throw new Error( "No installed file format can write \'" + this.outputExtension + "\' files." );
-
-      let succeeded = 0;
-      let errored = 0;
-
-      for ( let i = 0; i < this.inputFiles.length; ++i )
-      {
-         try
-         {
-            console.writeln( format( "<end><cbr><br><b>Processing file %u of %u:</b>", i+1, this.inputFiles.length ) );
-            console.writeln( "<raw>" + this.inputFiles[i] + "</raw>" );
-
-            //set up arrays
-            let fitsKeys = new Array
-            fitsKeys = this.readImageKeywords(this.inputFiles[i]);
-
-            let newFitsKeys = new Array;
-
-            //initialise variable that will hold position of the relevant keyword
-            let keyWordIndex = -1;
-
-
-            //editing existing keyword
-            if ( this.actionEdit )
-            {
-               for ( let j = 0; j < fitsKeys.length; ++j )
-               {
-                  if ( isFITSEqual(this.editKeyword(), fitsKeys[j], this.editMatchName) )
-                  {
-                     keyWordIndex = j;
-                  }
-               }
-
-               if (keyWordIndex < 0 )
-               {
-                  console.warningln("Keyword not found - file not processed");
-                  errored++;
-               }
-               else
-               {
-                  fitsKeys[keyWordIndex].value = this.editValue;
-                  fitsKeys[keyWordIndex].comment = this.editComment;
 
-                  this.writeImageKeywords(this.inputFiles[i], fitsKeys);
-                  succeeded++;
-               }
-            }
+   this.operations = new Array;
 
-            //adding new keyword
-            if ( this.actionAdd )
-            {
+   //conditions a file must meet for the selected action to be applied
+   this.conditions = new Array;
+   this.conditionLogic = "all";       // "all" or "any"
 
-               //first check if the keyword already exists
-               let duplicateWarning = false;
-               for ( let j = 0; j<fitsKeys.length; ++j )
-               {
-                  if ( this.addKeyword.toUpperCase().trim() == fitsKeys[j].name.toUpperCase().trim() )
-                  {
-                     duplicateWarning = true;
-                  }
-               }
+   this.lastJournalPath = "";
 
-               //deal with duplicate warnings as necessary
-               if ( duplicateWarning )
-               {
-                  if ( !this.addDuplicates )
-                  {
-                     console.criticalln("Duplicate keyword - file not processed");
-                  }
-                  else
-                  {
-                     console.warningln("Duplicate keyword - file processed anyway");
-                  }
-               }
+   //false when run without the dialog: a file that fails is reported and the run carries on
+   this.interactive = true;
 
-               //continue processing only if not stopped by duplicates
-               if ( (!duplicateWarning) || this.addDuplicates )
-               {
-                  let newFitsKeyword =  new FITSKeyword;
-                  newFitsKeyword.name = this.addKeyword;
-                  newFitsKeyword.value = this.addValue;
-                  newFitsKeyword.comment = this.addComment;
+   //header export report
+   this.reportKeywords = "";          // keyword names separated by spaces or commas, "" for all
+   this.reportComments = false;
 
-                  let beforeAfterAdjust = 0;
-                  if (this.addBeforeAfter == "after") {beforeAfterAdjust = 1;}
+   //consistency check
+   this.checkKeywords = "";           // keyword names separated by spaces or commas, "" for all
+   this.checkTolerances = "";         // numeric tolerances, such as "CCD-TEMP = 2; SET-TEMP = 0.5"
 
-                  //if location for new keyword is blank then place at the end
-                  if ( this.addLocation().name == "" )
-                  {
-                     keyWordIndex = fitsKeys.length;
-                  }
-                  //if location given then find it
-                  else
-                  {
-                     for ( let j = 0; j < fitsKeys.length; ++j )
-                     {
-                        if ( isFITSEqual( this.addLocation(), fitsKeys[j], this.addMatchName ) )
-                        {
-                           keyWordIndex = j + beforeAfterAdjust;
-                        }
-                     }
-                  }
+   this.valueTable = null;
 
-                  //populate the new keyword array
-                  for ( let j = 0; j < Math.min(fitsKeys.length, keyWordIndex); ++j )
-                  {
-                     newFitsKeys.push(fitsKeys[j]);
-                  }
+   /*
+    * Stores the full engine state as script parameters, so that it is kept
+    * in a process icon or a ProcessContainer.  Lists are stored as JSON.
+    */
+   this.exportParameters = function()
+   {
+      let names = ENGINE_PARAMETERS;
+      for ( let i = 0; i < names.length; ++i )
+         Parameters.set( names[i], this[names[i]] );
+
+      Parameters.set( "lastJournalPath", this.lastJournalPath );
+      Parameters.set( "inputFiles", JSON.stringify( this.inputFiles ) );
+      Parameters.set( "operations", JSON.stringify( this.operations.map( operationToJSON ) ) );
+      Parameters.set( "conditions", JSON.stringify( this.conditions.map( conditionToJSON ) ) );
+      Parameters.set( "selectedKeywords", JSON.stringify( keywordsToJSON( [ this.addLocation(), this.editKeyword(), this.removeKeyword() ] ) ) );
+      Parameters.set( "valueTable", JSON.stringify( this.valueTable ) );
+   }
 
-                  newFitsKeys.push(newFitsKeyword);
+   /*
+    * Restores the settings stored by exportParameters.  Settings that were
+    * not stored keep their defaults.
+    */
+   this.importParameters = function()
+   {
+      let names = ENGINE_PARAMETERS;
+      for ( let i = 0; i < names.length; ++i )
+      {
+         if ( !Parameters.has( names[i] ) )
+            continue;
+         switch ( typeof this[names[i]] )
+         {
+            case "boolean":
+               this[names[i]] = Parameters.getBoolean( names[i] );
+               break;
+            case "number":
+               this[names[i]] = Parameters.getInteger( names[i] );
+               break;
+            default:
+               this[names[i]] = Parameters.getString( names[i] );
+         }
+      }
 
-                  if (keyWordIndex != fitsKeys.length)
-                  {
-                     for ( let j = keyWordIndex; j<fitsKeys.length; ++j )
-                     {
-                        newFitsKeys.push(fitsKeys[j]);
-                     }
-                  }
-                  this.writeImageKeywords(this.inputFiles[i], newFitsKeys);
-                  succeeded++;
-               }
+      if ( Parameters.has( "lastJournalPath" ) )
+         this.lastJournalPath = Parameters.getString( "lastJournalPath" );
+      if ( Parameters.has( "inputFiles" ) )
+         this.inputFiles = JSON.parse( Parameters.getString( "inputFiles" ) );
+      if ( Parameters.has( "operations" ) )
+         this.operations = JSON.parse( Parameters.getString( "operations" ) ).map( operationFromJSON );
+      if ( Parameters.has( "conditions" ) )
+         this.conditions = JSON.parse( Parameters.getString( "conditions" ) ).map( conditionFromJSON );
+      if ( Parameters.has( "selectedKeywords" ) )
+         this.selectKeywords( keywordsFromJSON( JSON.parse( Parameters.getString( "selectedKeywords" ) ) ) );
+      if ( Parameters.has( "valueTable" ) )
+         this.valueTable = JSON.parse( Parameters.getString( "valueTable" ) );
+   }
 
-               //execute this block if processing was stopped by duplicates
-               else
-               {
-                  errored++
-               }
-            }
+   /*
+    * Sets the add location, edit and remove keywords.  The dialog finds
+    * these keywords again when it rebuilds the pickers.
+    */
+   this.selectKeywords = function( fitsKeys )
+   {
+      this.keywordList = fitsKeys;
+      this.locationKeywordIndex = 0;
+      this.editKeywordIndex = 1;
+      this.removeKeywordIndex = 2;
+   }
 
-            //removing a keyword
-            if (this.actionRemove)
-            {
-               let newFitsKeyword =  new FITSKeyword;
-               newFitsKeyword.name = this.removeKeyword().name;
-               newFitsKeyword.value = this.removeValue;
-               newFitsKeyword.comment = this.removeComment;
+   /*
+    * Returns the add/edit/remove settings, edit plan, conditions and output
+    * options as a named recipe.  Input files, cell edits of single files
+    * and the value table are not part of a recipe.
+    */
+   this.recipe = function( name )
+   {
+      let recipe = { name: name, settings: {} };
+      let names = ENGINE_PARAMETERS;
+      for ( let i = 0; i < names.length; ++i )
+         recipe.settings[names[i]] = this[names[i]];
+      recipe.operations = this.operations.filter( function( operation ) { return operation.filePath == ""; } ).map( operationToJSON );
+      recipe.conditions = this.conditions.map( conditionToJSON );
+      recipe.selectedKeywords = keywordsToJSON( [ this.addLocation(), this.editKeyword(), this.removeKeyword() ] );
+      return recipe;
+   }
 
-               for ( let j = 0; j < fitsKeys.length; ++j )
-               {
-                  if ( isFITSEqual(this.removeKeyword(), fitsKeys[j], this.removeMatchName) )
-                  {
-                     keyWordIndex = j;
-                  }
-               }
+   /*
+    * Restores the settings of a recipe.  Settings missing from the recipe,
+    * or of the wrong type, are left unchanged.  Cell edits of single files
+    * are kept, after the recipe's operations.
+    */
+   this.applyRecipe = function( recipe )
+   {
+      checkRecipe( recipe );
+      let names = ENGINE_PARAMETERS;
+      for ( let i = 0; i < names.length; ++i )
+         if ( recipe.settings.hasOwnProperty( names[i] ) && typeof recipe.settings[names[i]] == typeof this[names[i]] )
+            this[names[i]] = recipe.settings[names[i]];
+      this.operations = recipe.operations.map( operationFromJSON ).concat(
+                           this.operations.filter( function( operation ) { return operation.filePath != ""; } ) );
+      this.conditions = ( recipe.conditions != undefined ) ? recipe.conditions.map( conditionFromJSON ) : new Array;
+      if ( recipe.selectedKeywords != undefined && recipe.selectedKeywords.length == 3 )
+         this.selectKeywords( keywordsFromJSON( recipe.selectedKeywords ) );
+   }
 
-               if (keyWordIndex < 0 )
-               {
-                  console.warningln("Keyword not found - file not processed");
-                  errored++;
-               }
-               else
-               {
-                  //populate the new keyword array
-                  for ( let j = 0; j < Math.min(fitsKeys.length, keyWordIndex); ++j )
-                  {
-                     newFitsKeys.push(fitsKeys[j]);
-                  }
+   /*
+    * The recipe library is kept in the PixInsight settings, sorted by name.
+    */
+   this.readRecipes = function()
+   {
+      let text = Settings.read( RECIPES_SETTINGS_KEY, DataType_String );
+      if ( !Settings.lastReadOK || text == null || text.length == 0 )
+         return new Array;
+      try
+      {
+         return JSON.parse( text );
+      }
+      catch ( error )
+      {
+         console.warningln( "Recipe library could not be read: " + error.message );
+         return new Array;
+      }
+   }
 
+   this.writeRecipes = function( recipes )
+   {
+      recipes.sort( function( a, b ) { return a.name.toLowerCase() < b.name.toLowerCase() ? -1 : ( a.name.toLowerCase() > b.name.toLowerCase() ? 1 : 0 ); } );
+      Settings.write( RECIPES_SETTINGS_KEY, DataType_String, JSON.stringify( recipes ) );
+   }
 
+   this.findRecipe = function( name )
+   {
+      let recipes = this.readRecipes();
+      for ( let i = 0; i < recipes.length; ++i )
+         if ( recipes[i].name == name )
+            return recipes[i];
+      return null;
+   }
 
-                  if (keyWordIndex < fitsKeys.length-1)
-                  {
-                     for ( let j = keyWordIndex+1; j<fitsKeys.length; ++j )
-                     {
-                        newFitsKeys.push(fitsKeys[j]);
-                     }
-                  }
+   /*
+    * Adds a recipe to the library, replacing any recipe with the same name.
+    */
+   this.storeRecipe = function( recipe )
+   {
+      checkRecipe( recipe );
+      let recipes = this.readRecipes().filter( function( r ) { return r.name != recipe.name; } );
+      recipes.push( recipe );
+      this.writeRecipes( recipes );
+   }
 
-                  this.writeImageKeywords(this.inputFiles[i], newFitsKeys);
-                  succeeded++;
-               }
-            }
-         }
+   this.deleteRecipe = function( name )
+   {
+      this.writeRecipes( this.readRecipes().filter( function( r ) { return r.name != name; } ) );
+   }
 
-         catch ( error )
-         {
-            ++errored;
-            if ( i+1 == this.inputFiles.length )
-               throw error;
-            let errorMessage = "<p>" + error.message + ":</p>" +
-                               "<p>" + this.inputFiles[i] + "</p>" +
-                               "<p><b>Continue batch format conversion?</b></p>";
-            if ( (new MessageBox( errorMessage, TITLE, StdIcon_Error, StdButton_Yes, StdButton_No )).execute() != StdButton_Yes )
-               break;
-         }
-      }
+   /*
+    * Recipe files hold one or more recipes, so they can be shared through
+    * version control.  Importing adds the recipes of a file to the library
+    * and returns their names.
+    */
+   this.exportRecipeFile = function( filePath, recipes )
+   {
+      File.writeTextFile( filePath, JSON.stringify( { format: RECIPE_FORMAT, recipes: recipes }, null, 1 ) );
+   }
 
-      if (this.actionAdd)
+   this.importRecipeFile = function( filePath )
+   {
+      let object;
+      try
       {
-         console.writeln("Keyword: ",this.addKeyword,", added ", this.addBeforeAfter," ", this.addLocation().name, " with value: ",this.addValue,", and comment: ",this.addComment)
+         object = JSON.parse( File.readTextFile( filePath ) );
       }
-      if (this.actionEdit)
+      catch ( error )
       {
-         console.writeln("Keyword: ",this.editKeyword().name,", edited with value: ",this.editValue,", and comment: ",this.editComment)
+         throw new Error( "Not a recipe file: " + filePath + " (" + error.message + ")" );
       }
-      if (this.actionRemove)
+      if ( object == null || object.format != RECIPE_FORMAT || !( object.recipes instanceof Array ) )
+         throw new Error( "Not a " + TITLE + " recipe file: " + filePath );
+
+      let names = new Array;
+      for ( let i = 0; i < object.recipes.length; ++i )
       {
-         console.writeln("Keyword: ",this.removeKeyword().name,", removed")
+         this.storeRecipe( object.recipes[i] );
+         names.push( object.recipes[i].name );
       }
-      console.writeln( format( "<end><cbr><br>===== %d succeeded, %u error%s, %u skipped =====",
-                                 succeeded, errored, (errored == 1) ? "" : "s", this.inputFiles.length-succeeded-errored ) );
-
+      return names;
    }
 
+   /*
+    * Runs the stored edit without the dialog, as when the script is executed
+    * from a process icon, a ProcessContainer or another script.
+    */
+   this.executeGlobal = function()
+   {
+      if ( this.inputFiles.length == 0 )
+         throw new Error( "No input files have been specified." );
+      if ( this.modifyOriginals && this.backupMode == "directory" && this.backupDirectory.length == 0 )
+         throw new Error( "No backup directory has been specified." );
+      if ( COLLISION_POLICIES.indexOf( this.collisionPolicy ) < 0 )
+         throw new Error( "Unknown collision policy: " + this.collisionPolicy );
+      this.validateOperations( this.operationsToApply() );
+      this.interactive = false;
+      this.processFiles();
+   }
 
+   //headers read for the keyword pickers and grid, by file path
+   this.headerCache = {};
 
+   //output files written by the current run, by lower case path
+   this.runOutputPaths = {};
 
-   this.readImageKeywords = function( filePath )
+   /*
+    * Adds files to the input list, leaving out any already in it.  Returns
+    * the files added.
+    */
+   this.addInputFiles = function( filePaths )
    {
-      let suffix = File.extractExtension( filePath );
-      let lcSuffix = suffix.toLowerCase();
-
-      let F = new FileFormat( suffix, true/*toRead*/, false/*toWrite*/ );
-      if ( F.isNull )
-         throw new Error( "No installed file format can read \'" + suffix + "\' files." );
-
-      if (!( (lcSuffix == ".fit") || (lcSuffix == ".fits") || (lcSuffix == ".fts" )))
+      let added = new Array;
+      let known = {};
+      for ( let i = 0; i < this.inputFiles.length; ++i )
+         known[this.inputFiles[i].replace( /\\/g, "/" )] = true;
+      for ( let i = 0; i < filePaths.length; ++i )
       {
-         throw new Error( "This script is designed only for FITS files (*.fit, *.fits, *.fts)" );
+         let filePath = filePaths[i].replace( /\\/g, "/" );
+         if ( known[filePath] )
+            continue;
+         known[filePath] = true;
+         this.inputFiles.push( filePath );
+         added.push( filePath );
       }
-
-      this.outputExtension = suffix;
-
-      let f = new FileFormatInstance( F );
-      if ( f.isNull )
-         throw new Error( "Unable to instantiate file format: " + F.name );
-
-      let d = f.open( filePath );
-      if ( d.length < 1 )
-         throw new Error( "Unable to open file: " + filePath );
-      if ( d.length > 1 )
-         throw new Error( "Multi-image files are not supported by this script: " + filePath );
-
-      let fitsKeys = f.keywords;
-      f.close();
-
-      //return data;
-      return fitsKeys;
-   };
-
+      return added;
+   }
 
 
 
-   this.writeImageKeywords = function( filePath, fitsKeys )
+   /*
+    * Finds the files in a folder, and in its subfolders if folderRecursive
+    * is set, that pass the folder filters: an extension from
+    * folderExtensions, a name matching folderNamePattern, and a header (any
+    * targeted HDU) meeting every condition of folderHeaderFilter.  Files
+    * whose header cannot be read are left out with a warning.
+    */
+   this.findFolderFiles = function( directory )
    {
-      let fileDir = (this.outputDirectory.length > 0) ? this.outputDirectory :
-                    File.extractDrive( filePath ) + File.extractDirectory( filePath );
-      if ( !fileDir.endsWith( '/' ) )
-         fileDir += '/';
-      let fileName = this.outputPrefix + File.extractName( filePath ) + this.outputPostfix;
-      let outputFilePath = fileDir + fileName + this.outputExtension;
+      let conditions = parseConditions( this.folderHeaderFilter );
+      let extensions = this.folderExtensions.toLowerCase().split( /[\s,;]+/ ).filter( function( e ) { return e != ""; } );
+      let namePattern = this.folderNamePattern.trim();
+      let recursive = this.folderRecursive;
 
-      console.writeln( "<end><cbr><br>Output file:" );
-
-      if ( File.exists( outputFilePath ) )
+      let candidates = new Array;
+      let search = function( dir )
       {
-         if ( this.overwriteExisting )
-         {
-            //we shouldn't ever get here!
-            throw new Error( "Processing halted to avoid overwriting existing file." );
-            //console.warningln( "<end><cbr>** Warning: Overwriting existing file: " + outputFilePath );
-
-         }
-         else
+         let directories = new Array;
+         let files = new Array;
+         let ff = new FileFind;
+         if ( ff.begin( dir + "/*" ) )
          {
-            console.noteln( "<end><cbr>* File already exists: " + outputFilePath );
-            for ( let u = 1; ; ++u )
+            do
             {
-               let tryFilePath = File.appendToName( outputFilePath, '_' + u.toString() );
-               if ( !File.exists( tryFilePath ) )
+               if ( ff.name == "." || ff.name == ".." )
+                  continue;
+               if ( ff.isDirectory )
                {
-                  outputFilePath = tryFilePath;
-                  break;
+                  if ( recursive )
+                     directories.push( dir + "/" + ff.name );
+               }
+               else if ( extensions.some( function( e ) { return ff.name.toLowerCase().endsWith( ( e.charAt( 0 ) == "." ) ? e : "." + e ); } ) &&
+                         patternMatches( namePattern, "wildcard", ff.name ) )
+               {
+                  files.push( dir + "/" + ff.name );
                }
             }
-            console.noteln( "<end><cbr>* Writing to: <raw>" + outputFilePath + "</raw>" );
+            while ( ff.next() );
+            ff.end();
          }
-      }
-      else
+         files.sort();
+         directories.sort();
+         candidates = candidates.concat( files );
+         for ( let i = 0; i < directories.length; ++i )
+            search( directories[i] );
+      };
+      search( directory.replace( /\\/g, "/" ).replace( /\/+$/, "" ) );
+
+      if ( conditions.length == 0 )
+         return candidates;
+
+      let found = new Array;
+      for ( let i = 0; i < candidates.length; ++i )
       {
-         console.writeln( "<raw>" + outputFilePath + "</raw>" );
+         try
+         {
+            let headers = this.readHDUHeaders( candidates[i] );
+            let targets = this.targetHDUs( headers );
+            for ( let t = 0; t < targets.length; ++t )
+               if ( conditions.every( function( c ) { return c.isMet( headers[targets[t]] ); } ) )
+               {
+                  found.push( candidates[i] );
+                  break;
+               }
+         }
+         catch ( error )
+         {
+            console.warningln( "Header filter - file left out: <raw>" + candidates[i] + "</raw>: " + error.message );
+         }
       }
+      console.writeln( format( "Header filter: %d of %d files in <raw>%s</raw>", found.length, candidates.length, directory ) );
+      return found;
+   }
 
-      let fmt = new FileFormat( this.outputExtension );
-      let f = new FileFormatInstance( fmt );
-      if ( f.isNull )
-         throw new Error( "Unable to instantiate file format: " + this.outputFormat.name );
 
-      let w = ImageWindow.open( filePath );
-      w[0].keywords = fitsKeys;
 
-      w[0].saveAs( outputFilePath,
-                      false/*queryOptions*/,
-                      false/*allowMessages*/,
-                      false/*strict*/,
-                      false/*verifyOverwrite*/ );
+   /*
+    * Loads a CSV or TSV file of per-file keyword values.  The first row is a
+    * header: the first column holds a file path or file name, and each other
+    * column is headed by the keyword it sets.
+    */
+   this.loadValueTable = function( tablePath )
+   {
+      let rows = parseDelimitedText( File.readTextFile( tablePath ) );
+      if ( rows.length < 2 || rows[0].length < 2 )
+         throw new Error( "The value table needs a header row, a file column and at least one keyword column: " + tablePath );
 
-      w[0].forceClose();
-   };
+      let table = { path: tablePath, keywords: new Array, rows: new Array };
+      for ( let c = 1; c < rows[0].length; ++c )
+      {
+         let name = fitsKeywordName( rows[0][c] );
+         if ( name == "" )
+            throw new Error( "Empty keyword name in column " + (c + 1) + " of the value table header" );
+         table.keywords.push( name );
+      }
 
+      for ( let r = 1; r < rows.length; ++r )
+      {
+         if ( rows[r][0].trim() == "" )
+            continue;
+         let values = new Array;
+         for ( let c = 1; c <= table.keywords.length; ++c )
+            values.push( ( c < rows[r].length ) ? rows[r][c].trim() : "" );
+         table.rows.push( { file: rows[r][0].trim(), values: values } );
+      }
 
+      this.valueTable = table;
+   }
 
-   this.ByteArrayToFITSKeyword = function( inputByteArray )
+   /*
+    * Finds the table row for a file.  A row whose file column contains a
+    * directory separator must match the full path, otherwise it is matched
+    * against the file name, with or without its extension.
+    */
+   this.valueTableRow = function( filePath )
    {
-      //Note this function does not support the HIERARCHs convention
-
-      let fitsKeyword = new FITSKeyword("","","");
-
-      if ( inputByteArray.length == 80 )
+      for ( let r = 0; r < this.valueTable.rows.length; ++r )
       {
-         //extract name
-         fitsKeyword.name = inputByteArray.toString( 0, 8 ).toUpperCase();
-
-         //check if value type
-         let hasValue = false;
-         if (  ( inputByteArray.at( 8 ) === 61 ) &&
-               ( inputByteArray.at( 9 ) === 32 ) &&
-               ( fitsKeyword.name != "COMMENT"  ) &&
-               ( fitsKeyword.name != "HISTORY"  ) &&
-               ( fitsKeyword.name != ""  ))
+         let row = this.valueTable.rows[r];
+         let rowFile = row.file.replace( /\\/g, "/" ).toLowerCase();
+         if ( rowFile.indexOf( "/" ) >= 0 )
          {
-            hasValue = true;
+            if ( rowFile == filePath.replace( /\\/g, "/" ).toLowerCase() )
+               return row;
          }
-
-         if ( hasValue )
+         else if ( ( rowFile == File.extractNameAndExtension( filePath ).toLowerCase() ) ||
+                   ( rowFile == fitsFileName( filePath ).toLowerCase() ) )
          {
-            //find comment separator slash
-            let cmtPos = -1;
-            let inString = false;
-            for ( let i = 10; i < 80; ++i )
-            {
-               switch ( inputByteArray.at(i) )
-               {
-                  case 39: // single quote
-                     inString ^= true;
-                     break;
-                  case 47: // slash
-                     if ( (!inString) && (cmtPos == -1) )
-                     cmtPos = i;
-                     break;
-               }
-            }
+            return row;
+         }
+      }
+      return null;
+   }
 
-            if ( cmtPos < 0 ) { cmtPos = 80; } // no comment separator
+   /*
+    * Sets each non-blank value of a table row: an existing keyword is edited
+    * (keeping its comment), a missing keyword is added at the end.
+    */
+   this.applyValueTableRow = function( row, fitsKeys, changes )
+   {
+      for ( let c = 0; c < this.valueTable.keywords.length && fitsKeys != null; ++c )
+      {
+         if ( row.values[c] == "" )
+            continue;
 
-            //read value and comment
-            fitsKeyword.value = inputByteArray.toString( 10, cmtPos - 10 ).trimRight();
-            if ( cmtPos < 80 ) { fitsKeyword.comment = inputByteArray.toString( cmtPos + 1, 80 - cmtPos - 1 ).trimRight(); }
-         }
-         else
+         let name = this.valueTable.keywords[c];
+         let existing = null;
+         for ( let j = 0; j < fitsKeys.length; ++j )
+            if ( fitsKeywordName( fitsKeys[j].name ) == name )
+               existing = fitsKeys[j];
+
+         let operation = new FITSKeywordOperation( ( existing != null ) ? "edit" : "add" );
+         operation.name = name;
+         operation.value = fitsValueFromText( row.values[c] );
+         operation.matchName = true;
+         if ( existing != null )
          {
-            //if no value then just read comment
-            fitsKeyword.comment = inputByteArray.toString( 8, 80 - 8 ).trimRight();
+            operation.setTarget( existing );
+            operation.comment = existing.comment;
          }
+         fitsKeys = this.applyOperation( operation, fitsKeys, changes );
       }
-
-      return fitsKeyword;
+      return fitsKeys;
    }
 
-
-
-   this.extractFITSKeywords = function( inputFile )
+   /*
+    * Lists input files without a table row, and table rows without an input file.
+    */
+   this.reportValueTable = function()
    {
-      let fitsKeywords = new Array
-      let name = ""
+      if ( this.valueTable == null )
+         return;
 
-      let f = new File;
-      f.openForReading( inputFile );
+      let filesWithoutRow = new Array;
+      let usedRows = new Array;
+      for ( let i = 0; i < this.inputFiles.length; ++i )
+      {
+         let row = this.valueTableRow( this.inputFiles[i] );
+         if ( row == null )
+            filesWithoutRow.push( this.inputFiles[i] );
+         else if ( usedRows.indexOf( row ) < 0 )
+            usedRows.push( row );
+      }
 
-      do
+      console.writeln( "<end><cbr><br>Value table: <raw>" + this.valueTable.path + "</raw>" );
+      if ( filesWithoutRow.length > 0 )
       {
-         let rawData = f.read(DataType_ByteArray, 80);
-         let fkw = this.ByteArrayToFITSKeyword(rawData);
-         name = fkw.name.toUpperCase().trim();
-         fitsKeywords.push( fkw );
+         console.warningln( filesWithoutRow.length + " input file" + ((filesWithoutRow.length == 1) ? "" : "s") + " with no row in the value table:" );
+         for ( let i = 0; i < filesWithoutRow.length; ++i )
+            console.writeln( "<raw>   " + filesWithoutRow[i] + "</raw>" );
       }
-      while (name != "END")
-
-      f.close();
-
-      return fitsKeywords  //Note this will include the END keyword
+      if ( usedRows.length < this.valueTable.rows.length )
+      {
+         console.warningln( (this.valueTable.rows.length - usedRows.length) + " value table row" +
+                            ((this.valueTable.rows.length - usedRows.length == 1) ? "" : "s") + " with no input file:" );
+         for ( let r = 0; r < this.valueTable.rows.length; ++r )
+            if ( usedRows.indexOf( this.valueTable.rows[r] ) < 0 )
+               console.writeln( "<raw>   " + this.valueTable.rows[r].file + "</raw>" );
+      }
+      if ( filesWithoutRow.length == 0 && usedRows.length == this.valueTable.rows.length )
+         console.writeln( "Every input file has a row and every row has an input file." );
    }
-}
-
-
 
-
-
-function isFITSEqual(f1, f2, nameOnly)
-{
-   let returnValue = true;
-   if (f1.name.toUpperCase().trim() != f2.name.toUpperCase().trim()) { returnValue = false; }
-   if (!nameOnly)
+   /*
+    * Reads the keywords of each file for the keyword grid.  Each row holds
+    * the index of the first target HDU of the file and the last card of
+    * every keyword in it; structural and commentary keywords are left out.
+    * Keywords are listed in the order they are first seen.
+    */
+   this.keywordGrid = function( filePaths )
    {
-      if (f1.value.toUpperCase().trim() != f2.value.toUpperCase().trim()) { returnValue = false; }
-      if (f1.comment.toUpperCase().trim() != f2.comment.toUpperCase().trim()) { returnValue = false; }
+      let grid = { keywords: new Array, rows: new Array };
+      for ( let i = 0; i < filePaths.length; ++i )
+      {
+         let row = { filePath: filePaths[i], hdu: -1, cards: {}, error: "" };
+         grid.rows.push( row );
+         try
+         {
+            let headers = this.cachedHDUHeaders( filePaths[i] );
+            let targets = this.targetHDUs( headers );
+            if ( targets.length == 0 )
+            {
+               row.error = "no " + this.hduTargetText() + " in file";
+               continue;
+            }
+            row.hdu = targets[0];
+            let fitsKeys = headers[targets[0]];
+            for ( let j = 0; j < fitsKeys.length; ++j )
+            {
+               let name = fitsKeywordName( fitsKeys[j].name );
+               if ( name == "" || isCommentaryKeyword( name ) || isProtectedKeyword( name ) )
+                  continue;
+               if ( grid.keywords.indexOf( name ) < 0 )
+                  grid.keywords.push( name );
+               row.cards[name] = fitsKeys[j];
+            }
+         }
+         catch ( error )
+         {
+            row.error = error.message;
+         }
+      }
+      return grid;
    }
-   return returnValue;
-}
-
-
 
+   /*
+    * Records a grid cell edit as an operation restricted to one file and to
+    * the HDU the grid shows, replacing any earlier edit of the same keyword
+    * in that HDU.  An existing keyword is edited (keeping its comment) or,
+    * if the text is empty, removed; a missing keyword is added at the end.
+    * Text equal to the current value leaves no operation.  Returns the new
+    * operation or null.
+    */
+   this.setCellEdit = function( filePath, hdu, existing, name, text )
+   {
+      name = fitsKeywordName( name );
+      for ( let j = this.operations.length; --j >= 0; )
+         if ( this.operations[j].filePath == filePath && this.operations[j].hdu == hdu &&
+              fitsKeywordName( this.operations[j].name ) == name )
+            this.operations.splice( j, 1 );
+
+      let t = text.trim();
+      if ( existing != null ? t == fitsStringValue( existing.value ).trim() : t == "" )
+         return null;
+
+      let operation = new FITSKeywordOperation( ( existing == null ) ? "add" : ( ( t == "" ) ? "remove" : "edit" ) );
+      operation.name = name;
+      operation.filePath = filePath;
+      operation.hdu = hdu;
+      if ( existing != null )
+      {
+         operation.setTarget( existing );
+         operation.matchName = true;
+         operation.comment = existing.comment;
+      }
+      if ( t != "" )
+      {
+         //a string keyword stays a string, even if the new text looks like a number
+         if ( existing != null && existing.value.trim().charAt( 0 ) == "'" && t.charAt( 0 ) != "'" )
+            operation.value = "'" + t.replace( /'/g, "''" ) + "'";
+         else
+            operation.value = fitsValueFromText( t );
+      }
+      this.operations.push( operation );
+      return operation;
+   }
 
+   /*
+    * Collects the header report: a row for each target HDU of each input
+    * file, holding the cards of the report keywords, or of all keywords if
+    * none are given.  Files that cannot be read give a row with an error.
+    */
+   this.headerReport = function()
+   {
+      let report = { keywords: new Array, rows: new Array };
+      let allKeywords = ( this.reportKeywords.trim() == "" );
+      if ( !allKeywords )
+         report.keywords = this.reportKeywords.split( /[\s,;]+/ ).filter( function( name ) { return name != ""; } ).map( fitsKeywordName );
 
+      for ( let i = 0; i < this.inputFiles.length; ++i )
+      {
+         let headers;
+         try
+         {
+            headers = this.cachedHDUHeaders( this.inputFiles[i] );
+         }
+         catch ( error )
+         {
+            console.warningln( "Header not read: " + this.inputFiles[i] + " - " + error.message );
+            report.rows.push( { filePath: this.inputFiles[i], hdu: -1, cards: {}, error: error.message } );
+            continue;
+         }
 
+         let targets = this.targetHDUs( headers );
+         for ( let t = 0; t < targets.length; ++t )
+         {
+            let row = { filePath: this.inputFiles[i], hdu: targets[t], cards: {}, error: "" };
+            let header = headers[targets[t]];
+            for ( let j = 0; j < header.length; ++j )
+            {
+               let name = fitsKeywordName( header[j].name );
+               if ( name == "" || name == "END" )
+                  continue;
+               if ( report.keywords.indexOf( name ) < 0 )
+               {
+                  if ( !allKeywords )
+                     continue;
+                  report.keywords.push( name );
+               }
+               if ( !row.cards.hasOwnProperty( name ) )
+                  row.cards[name] = new Array;
+               row.cards[name].push( header[j] );
+            }
+            report.rows.push( row );
+         }
+      }
+      return report;
+   }
 
-/*
- * Batch FITS keyword edit dialog
- */
-function BatchFITSKeywordEditDialog( engine )
-{
-   this.__base__ = Dialog;
-   this.__base__();
+   /*
+    * Compares the values of each keyword across the input files, using the
+    * first target HDU of each file.  A file is flagged if it lacks a keyword
+    * that most files have, if its value differs from the value held by a
+    * majority of files, or, for keywords with a tolerance, if its value is
+    * further than the tolerance from the median.  With no keywords given,
+    * keywords found in no more than half of the files are not checked.
+    * Returns findings { filePath, hdu, name, card, value, expected, fixValue,
+    * problem }, where fixValue is the FITS value a fix would set, or "" if
+    * there is none.
+    */
+   this.checkConsistency = function()
+   {
+      let tolerances = parseTolerances( this.checkTolerances );
+      let grid = this.keywordGrid( this.inputFiles );
+      let listed = ( this.checkKeywords.trim() != "" );
+      let names = listed ? this.checkKeywords.split( /[\s,;]+/ ).filter( function( name ) { return name != ""; } ).map( fitsKeywordName ) :
+                           grid.keywords;
+
+      let findings = new Array;
+      let rows = new Array;
+      for ( let i = 0; i < grid.rows.length; ++i )
+      {
+         if ( grid.rows[i].error == "" )
+            rows.push( grid.rows[i] );
+         else
+            findings.push( { filePath: grid.rows[i].filePath, hdu: -1, name: "", card: null, value: "", expected: "", fixValue: "",
+                             problem: grid.rows[i].error } );
+      }
 
-   this.engine = engine;
+      for ( let k = 0; k < names.length; ++k )
+      {
+         let name = names[k];
+         let counts = {};
+         let valueCards = {};
+         let majority = "";
+         let majorityCount = 0;
+         let present = 0;
+         let numbers = new Array;
+         for ( let i = 0; i < rows.length; ++i )
+         {
+            let card = rows[i].cards[name];
+            if ( card == undefined )
+               continue;
+            ++present;
+            let text = fitsStringValue( card.value ).trim();
+            if ( !counts.hasOwnProperty( text ) )
+            {
+               counts[text] = 0;
+               valueCards[text] = card;
+            }
+            ++counts[text];
+            if ( counts[text] > majorityCount )
+            {
+               majority = text;
+               majorityCount = counts[text];
+            }
+            let number = fitsNumber( text );
+            if ( !isNaN( number ) )
+               numbers.push( number );
+         }
+         if ( !listed && present <= rows.length / 2 )
+            continue;
 
-   //
+         let expected = ( majorityCount > present / 2 ) ? majority : "";
+         let fixValue = ( expected != "" ) ? valueCards[expected].value.trim() : "";
+         let tolerance = tolerances.hasOwnProperty( name ) ? tolerances[name] : undefined;
+         let median = NaN;
+         if ( tolerance != undefined && numbers.length > 0 )
+         {
+            numbers.sort( function( a, b ) { return a - b; } );
+            let m = numbers.length >> 1;
+            median = ( numbers.length % 2 == 1 ) ? numbers[m] : ( numbers[m - 1] + numbers[m] )/2;
+            if ( expected == "" )
+            {
+               expected = String( median );
+               fixValue = fitsNumberText( median, true );
+            }
+         }
 
-   //let labelWidth1 = this.font.width( "Output format hints:" + 'T' );
-   var labelWidth1 = this.font.width( "Modify output file name with:" );
-   var commentWidth = 36 * this.font.width( "M" );
-   this.textEditWidth = 25 * this.font.width( "M" );
-   this.numericEditWidth = 6 * this.font.width( "0" );
+         for ( let i = 0; i < rows.length; ++i )
+         {
+            let card = rows[i].cards[name];
+            let finding = { filePath: rows[i].filePath, hdu: rows[i].hdu, name: name, card: ( card != undefined ) ? card : null,
+                            value: ( card != undefined ) ? fitsStringValue( card.value ).trim() : "",
+                            expected: expected, fixValue: fixValue, problem: "" };
+            if ( card == undefined )
+            {
+               finding.problem = "missing from " + ( rows.length - present ) + " of " + rows.length + " files";
+            }
+            else if ( tolerance != undefined )
+            {
+               let number = fitsNumber( finding.value );
+               if ( isNaN( number ) )
+                  finding.problem = "not a number";
+               else if ( Math.abs( number - median ) > tolerance )
+                  finding.problem = "differs from median " + median + " by more than " + tolerance;
+            }
+            else if ( expected != "" && finding.value != expected )
+            {
+               finding.problem = "differs from " + majorityCount + " of " + present + " files";
+            }
+            if ( finding.problem != "" )
+               findings.push( finding );
+         }
+      }
 
-   // Header label
+      console.writeln( "<end><cbr>Consistency check: " + findings.length + " finding" + ( ( findings.length == 1 ) ? "" : "s" ) +
+                       " in " + rows.length + " file" + ( ( rows.length == 1 ) ? "" : "s" ) );
+      return findings;
+   }
 
-   this.helpLabel = new Label( this );
-   this.helpLabel.frameStyle = FrameStyle_Box;
-   this.helpLabel.margin = this.logicalPixelsToPhysical( 4 );
-   this.helpLabel.wordWrapping = true;
-   this.helpLabel.useRichText = true;
-   this.helpLabel.text = "<p><b>" + TITLE + " v" + VERSION + "</b> &mdash; "  +
-                         "A batch utility to edit, add or remove a FITS keyword from a FITS file.</p>" +
-                         "<p>Copyright &copy; 2021 Michael Cranfield</p>";
+   /*
+    * Adds the fix of a consistency finding to the edit plan, as an edit of
+    * that file only.
+    */
+   this.fixFinding = function( finding )
+   {
+      if ( finding.fixValue == "" )
+         throw new Error( "No value to set for " + finding.name + " in " + File.extractNameAndExtension( finding.filePath ) );
+      return this.setCellEdit( finding.filePath, finding.hdu, finding.card, finding.name, finding.fixValue );
+   }
 
+   /*
+    * Writes the header report as CSV, JSON or HTML, chosen by the extension
+    * of the report file.  Values are shown without quotes; the cards of
+    * COMMENT and HISTORY are joined one per line.  HDUs are numbered as
+    * everywhere else in the script, so the empty primary HDU that fpack adds
+    * to a .fz file is not counted.
+    */
+   this.writeHeaderReport = function( reportPath )
+   {
+      let extension = File.extractExtension( reportPath ).toLowerCase();
+      if ( [ ".csv", ".json", ".html", ".htm" ].indexOf( extension ) < 0 )
+         throw new Error( "The report file must have a .csv, .json or .html extension: " + reportPath );
 
-   // File input
+      let report = this.headerReport();
+      let includeComments = this.reportComments;
+      let cellValue = function( cards )
+      {
+         if ( isCommentaryKeyword( cards[0].name ) )
+            return cards.map( function( card ) { return card.comment.trim(); } ).join( "\n" );
+         return fitsStringValue( cards[cards.length - 1].value ).trim();
+      };
+      let cellComment = function( cards )
+      {
+         return isCommentaryKeyword( cards[0].name ) ? "" : cards[cards.length - 1].comment.trim();
+      };
 
-   this.files_TreeBox = new TreeBox( this );
-   this.files_TreeBox.multipleSelection = true;
-   this.files_TreeBox.rootDecoration = false;
-   this.files_TreeBox.alternateRowColor = true;
-   this.files_TreeBox.setScaledMinSize( 500, 200 );
-   this.files_TreeBox.numberOfColumns = 1;
-   this.files_TreeBox.headerVisible = false;
+      let text;
+      if ( extension == ".json" )
+      {
+         let files = new Array;
+         for ( let r = 0; r < report.rows.length; ++r )
+         {
+            let row = report.rows[r];
+            let entry = { path: row.filePath, hdu: row.hdu, keywords: {} };
+            if ( row.error != "" )
+               entry.error = row.error;
+            for ( let k = 0; k < report.keywords.length; ++k )
+            {
+               let cards = row.cards[report.keywords[k]];
+               if ( cards != undefined )
+                  entry.keywords[report.keywords[k]] = includeComments ? { value: cellValue( cards ), comment: cellComment( cards ) } : cellValue( cards );
+            }
+            files.push( entry );
+         }
+         text = JSON.stringify( { generated: (new Date).toISOString(), keywords: report.keywords, files: files }, null, 1 );
+      }
+      else if ( extension == ".csv" )
+      {
+         let field = function( value )
+         {
+            value = String( value );
+            return /[",\r\n]/.test( value ) ? "\"" + value.replace( /"/g, "\"\"" ) + "\"" : value;
+         };
+         let header = [ "File", "HDU" ];
+         for ( let k = 0; k < report.keywords.length; ++k )
+         {
+            header.push( report.keywords[k] );
+            if ( includeComments )
+               header.push( report.keywords[k] + " comment" );
+         }
+         let lines = [ header.map( field ).join( "," ) ];
+         for ( let r = 0; r < report.rows.length; ++r )
+         {
+            let row = report.rows[r];
+            let fields = [ row.filePath, ( row.error != "" ) ? "error: " + row.error : row.hdu ];
+            for ( let k = 0; k < report.keywords.length; ++k )
+            {
+               let cards = row.cards[report.keywords[k]];
+               fields.push( ( cards != undefined ) ? cellValue( cards ) : "" );
+               if ( includeComments )
+                  fields.push( ( cards != undefined ) ? cellComment( cards ) : "" );
+            }
+            lines.push( fields.map( field ).join( "," ) );
+         }
+         text = lines.join( "\n" ) + "\n";
+      }
+      else
+      {
+         let html = function( value )
+         {
+            return String( value ).replace( /&/g, "&amp;" ).replace( /</g, "&lt;" ).replace( />/g, "&gt;" ).replace( /\n/g, "<br>" );
+         };
+         let lines = [ "<!DOCTYPE html>", "<html>", "<head>", "<meta charset=\"utf-8\">",
+                       "<title>" + TITLE + " header report</title>",
+                       "<style>",
+                       "body { font-family: sans-serif; font-size: 10pt; }",
+                       "table { border-collapse: collapse; }",
+                       "th, td { border: 1px solid #c0c0c0; padding: 2px 6px; text-align: left; vertical-align: top; }",
+                       "th { background: #e8e8e8; }",
+                       "td.missing { background: #fff0f0; }",
+                       "td.error { color: #c00000; }",
+                       "span.comment { color: #707070; font-size: 9pt; }",
+                       "</style>",
+                       "</head>", "<body>",
+                       "<h1>" + TITLE + " header report</h1>",
+                       "<p>" + html( (new Date).toISOString() ) + " - " + report.rows.length + " header" +
+                       ( ( report.rows.length == 1 ) ? "" : "s" ) + ", " + this.hduTargetText() + "</p>",
+                       "<table>" ];
+         lines.push( "<tr><th>File</th><th>HDU</th>" +
+                     report.keywords.map( function( name ) { return "<th>" + html( name ) + "</th>"; } ).join( "" ) + "</tr>" );
+         for ( let r = 0; r < report.rows.length; ++r )
+         {
+            let row = report.rows[r];
+            let cells = "<td>" + html( row.filePath ) + "</td>";
+            if ( row.error != "" )
+            {
+               lines.push( "<tr>" + cells + "<td class=\"error\" colspan=\"" + ( report.keywords.length + 1 ) + "\">" +
+                           html( row.error ) + "</td></tr>" );
+               continue;
+            }
+            cells += "<td>" + row.hdu + "</td>";
+            for ( let k = 0; k < report.keywords.length; ++k )
+            {
+               let cards = row.cards[report.keywords[k]];
+               if ( cards == undefined )
+               {
+                  cells += "<td class=\"missing\"></td>";
+                  continue;
+               }
+               let comment = includeComments ? cellComment( cards ) : "";
+               cells += "<td>" + html( cellValue( cards ) ) +
+                        ( ( comment != "" ) ? "<br><span class=\"comment\">" + html( comment ) + "</span>" : "" ) + "</td>";
+            }
+            lines.push( "<tr>" + cells + "</tr>" );
+         }
+         lines.push( "</table>", "</body>", "</html>" );
+         text = lines.join( "\n" ) + "\n";
+      }
 
-   this.files_TreeBox.onNodeSelectionUpdated = function()
-   {
-      this.dialog.updateControls(true)
+      File.writeTextFile( reportPath, text );
+      console.writeln( "<end><cbr>Header report: " + report.rows.length + " header" + ( ( report.rows.length == 1 ) ? "" : "s" ) +
+                       ", " + report.keywords.length + " keyword" + ( ( report.keywords.length == 1 ) ? "" : "s" ) +
+                       " written to <raw>" + reportPath + "</raw>" );
+      return report;
    }
 
-   for ( let i = 0; i < this.engine.inputFiles.length; ++i )
+   /*
+    * Builds an operation from the settings of the currently selected action.
+    */
+   this.currentOperation = function()
    {
-      let node = new TreeBoxNode( this.files_TreeBox );
-      node.setText( 0, this.engine.inputFiles[i] );
+      let operation;
+      if ( this.actionAdd )
+      {
+         operation = new FITSKeywordOperation( "add" );
+         operation.name = this.addKeyword;
+         operation.value = this.addValue;
+         operation.valueMode = this.addValueMode;
+         operation.valueType = this.addValueType;
+         operation.comment = this.addComment;
+         operation.setTarget( this.addLocation() );
+         operation.matchName = this.addMatchName;
+         operation.beforeAfter = this.addBeforeAfter;
+         operation.allowDuplicates = this.addDuplicates;
+      }
+      else if ( this.actionEdit )
+      {
+         operation = new FITSKeywordOperation( "edit" );
+         operation.setTarget( this.editKeyword() );
+         operation.name = operation.target.name;
+         operation.value = this.editValue;
+         operation.valueMode = this.editValueMode;
+         operation.valueType = this.editValueType;
+         operation.comment = this.editComment;
+         operation.matchName = this.editMatchName;
+         operation.setPatterns( this.editMatchMode, this.editNamePattern, this.editValuePattern, this.editCommentPattern );
+         operation.occurrence = this.editOccurrence;
+         operation.replaceMatch = this.editReplaceMatch;
+      }
+      else
+      {
+         operation = new FITSKeywordOperation( "remove" );
+         operation.setTarget( this.removeKeyword() );
+         operation.name = operation.target.name;
+         operation.matchName = this.removeMatchName;
+         operation.setPatterns( this.removeMatchMode, this.removeNamePattern, this.removeValuePattern, this.removeCommentPattern );
+         operation.occurrence = this.removeOccurrence;
+      }
+      operation.conditions = this.conditions.slice();
+      operation.conditionLogic = this.conditionLogic;
+      return operation;
    }
 
-   this.filesAdd_Button = new PushButton( this );
-   this.filesAdd_Button.text = "Add";
-   this.filesAdd_Button.icon = this.scaledResource( ":/icons/add.png" );
-   this.filesAdd_Button.toolTip = "<p>Add image files to the input images list.</p>";
-   this.filesAdd_Button.onClick = function()
+   /*
+    * Applies a single operation to an array of keywords.  Returns the new
+    * keyword array, or null if the operation could not be applied.  If a
+    * changes array is given, each change made (or the reason for failure)
+    * is appended to it.  The file path is needed to resolve templates.
+    */
+   this.applyOperation = function( operation, fitsKeys, changes, filePath )
    {
-      let ofd = new OpenFileDialog;
-      ofd.multipleSelections = true;
-      ofd.caption = "Select Images";
-      ofd.loadImageFilters();
+      let newFitsKeys = new Array;
 
-      if ( ofd.execute() )
+      let record = function( change )
       {
-         this.dialog.files_TreeBox.canUpdate = false;
-         for ( let i = 0; i < ofd.fileNames.length; ++i )
+         if ( changes != undefined )
+            changes.push( change );
+      };
+
+      //resolve the new value and comment for this file, then format it as its type
+      let value = operation.value;
+      let comment = operation.comment;
+      if ( ( operation.valueMode != "literal" || operation.valueType != "raw" ) && operation.action != "remove" )
+      {
+         try
+         {
+            let resolved = resolveValue( operation.valueMode, operation.value, operation.comment, filePath, fitsKeys );
+            value = formatFITSValue( resolved.value, operation.valueType );
+            comment = resolved.comment;
+         }
+         catch ( error )
          {
-            let node = new TreeBoxNode( this.dialog.files_TreeBox );
-            node.setText( 0, ofd.fileNames[i] );
-            this.dialog.engine.inputFiles.push( ofd.fileNames[i] );
+            console.warningln( error.message, " - file not processed" );
+            record( { type: "error", message: error.message } );
+            return null;
          }
-         this.dialog.files_TreeBox.canUpdate = true;
       }
 
-      this.dialog.updateControls(true)
-   };
-
-   this.filesClear_Button = new PushButton( this );
-   this.filesClear_Button.text = "Clear";
-   this.filesClear_Button.icon = this.scaledResource( ":/icons/clear.png" );
-   this.filesClear_Button.toolTip = "<p>Clear the list of input images.</p>";
-   this.filesClear_Button.onClick = function()
-   {
-      this.dialog.files_TreeBox.clear();
-      this.dialog.engine.inputFiles.length = 0;
-      this.dialog.updateControls(true)
-   };
+      //initialise variable that will hold position of the relevant keyword
+      let keyWordIndex = -1;
 
-   this.filesInvert_Button = new PushButton( this );
-   this.filesInvert_Button.text = "Invert Selection";
-   this.filesInvert_Button.icon = this.scaledResource( ":/icons/select-invert.png" );
-   this.filesInvert_Button.toolTip = "<p>Invert the current selection of input images.</p>";
-   this.filesInvert_Button.onClick = function()
-   {
-      for ( let i = 0; i < this.dialog.files_TreeBox.numberOfChildren; ++i )
-         this.dialog.files_TreeBox.child( i ).selected =
-               !this.dialog.files_TreeBox.child( i ).selected;
-      this.dialog.updateControls(true)
-   };
+      //editing existing keyword
+      if ( operation.action == "edit" )
+      {
+         let selected = this.selectMatches( operation, fitsKeys, record );
+         if ( selected == null )
+            return null;
 
-   this.filesRemove_Button = new PushButton( this );
-   this.filesRemove_Button.text = "Remove Selected";
-   this.filesRemove_Button.icon = this.scaledResource( ":/icons/delete.png" );
-   this.filesRemove_Button.toolTip = "<p>Remove all selected images from the input images list.</p>";
-   this.filesRemove_Button.onClick = function()
-   {
-      this.dialog.engine.inputFiles.length = 0;
-      for ( let i = 0; i < this.dialog.files_TreeBox.numberOfChildren; ++i )
-         if ( !this.dialog.files_TreeBox.child( i ).selected )
-            this.dialog.engine.inputFiles.push( this.dialog.files_TreeBox.child( i ).text( 0 ) );
-      for ( let i = this.dialog.files_TreeBox.numberOfChildren; --i >= 0; )
-         if ( this.dialog.files_TreeBox.child( i ).selected )
-            this.dialog.files_TreeBox.remove( i );
-      this.dialog.updateControls(true)
-   };
+         for ( let j = 0; j < fitsKeys.length; ++j )
+         {
+            if ( selected.indexOf( j ) >= 0 )
+            {
+               newFitsKeys.push( operation.editedKeyword( fitsKeys[j], value, comment ) );
+               record( { type: "change", index: j, before: fitsKeys[j], after: newFitsKeys[j] } );
+            }
+            else
+            {
+               newFitsKeys.push( fitsKeys[j] );
+            }
+         }
+         return newFitsKeys;
+      }
 
-   this.filesButtons_Sizer = new HorizontalSizer;
-   this.filesButtons_Sizer.spacing = 4;
-   this.filesButtons_Sizer.add( this.filesAdd_Button );
-   this.filesButtons_Sizer.addStretch();
-   this.filesButtons_Sizer.add( this.filesClear_Button );
-   this.filesButtons_Sizer.addStretch();
-   this.filesButtons_Sizer.add( this.filesInvert_Button );
-   this.filesButtons_Sizer.add( this.filesRemove_Button );
+      //adding new keyword
+      if ( operation.action == "add" )
+      {
+         if ( isProtectedKeyword( operation.name ) )
+         {
+            console.criticalln("Structural keyword cannot be added - file not processed: ", operation.name);
+            record( { type: "error", message: "Structural keyword cannot be added: " + operation.name } );
+            return null;
+         }
 
-   this.files_GroupBox = new GroupBox( this );
-   this.files_GroupBox.title = "Input Images";
-   this.files_GroupBox.sizer = new VerticalSizer;
-   this.files_GroupBox.sizer.margin = 6;
-   this.files_GroupBox.sizer.spacing = 4;
-   this.files_GroupBox.sizer.add( this.files_TreeBox, 100 );
-   this.files_GroupBox.sizer.add( this.filesButtons_Sizer );
+         //then check if the keyword already exists
+         let duplicateWarning = false;
+         for ( let j = 0; j<fitsKeys.length; ++j )
+         {
+            if ( fitsKeywordName( operation.name ) == fitsKeywordName( fitsKeys[j].name ) )
+            {
+               duplicateWarning = true;
+            }
+         }
 
+         //deal with duplicate warnings as necessary
+         if ( duplicateWarning )
+         {
+            if ( !operation.allowDuplicates )
+            {
+               console.criticalln("Duplicate keyword - file not processed: ", operation.name);
+               record( { type: "error", message: "Duplicate keyword: " + operation.name } );
+               return null;
+            }
+            console.warningln("Duplicate keyword - file processed anyway: ", operation.name);
+         }
 
-   //-----Add keyword-----elements
+         let newFitsKeyword = new FITSKeyword( operation.name, value, comment );
 
-   this.addKeyword_Label = new Label( this )
-   this.addKeyword_Label.text = "Keyword:";
-   this.addKeyword_Label.minWidth = labelWidth1;
-   this.addKeyword_Label.textAlignment = TextAlign_Right|TextAlign_VertCenter;
+         let beforeAfterAdjust = 0;
+         if (operation.beforeAfter == "after") {beforeAfterAdjust = 1;}
 
-   this.addKeyword_Edit = new Edit( this );
-   this.addKeyword_Edit.readOnly = false;
-   this.addKeyword_Edit.text = engine.addKeyword;
-   this.addKeyword_Edit.toolTip =
-      "<p>Specifies the keyword to add.</p>";
-   this.addKeyword_Edit.onEditCompleted = function() {
-      engine.addKeyword = this.text.toUpperCase().trim();
-   }
+         //if location for new keyword is blank then place at the end
+         if ( operation.target.name == "" )
+         {
+            keyWordIndex = fitsKeys.length;
+         }
+         //if location given then find it
+         else
+         {
+            for ( let j = 0; j < fitsKeys.length; ++j )
+            {
+               if ( isFITSEqual( operation.target, fitsKeys[j], operation.matchName ) )
+               {
+                  keyWordIndex = j + beforeAfterAdjust;
+               }
+            }
 
-   this.addValue_Label = new Label( this )
-   this.addValue_Label.text = "Value:";
-   this.addValue_Label.minWidth = labelWidth1;
-   this.addValue_Label.textAlignment = TextAlign_Right|TextAlign_VertCenter;
+            if ( keyWordIndex < 0 )
+            {
+               console.warningln("Location keyword not found - file not processed: ", operation.target.name);
+               record( { type: "error", message: "Location keyword not found: " + operation.target.name.trim() } );
+               return null;
+            }
+         }
 
-   this.addValue_Edit = new Edit( this );
-   this.addValue_Edit.readOnly = false;
-   this.addValue_Edit.text = engine.addValue;
-   this.addValue_Edit.toolTip =
-      "<p>Specifies the keyword value to add.</p>";
-   this.addValue_Edit.onEditCompleted = function() {
-      engine.addValue = this.text.trim();
-   }
+         //nothing may be inserted among the structural keywords at the start of the header
+         if ( keyWordIndex < structuralKeywordCount( fitsKeys ) )
+         {
+            console.criticalln("Cannot add among the structural keywords - file not processed: ", operation.locationText());
+            record( { type: "error", message: "Cannot add among the structural keywords: " + operation.locationText() } );
+            return null;
+         }
 
-   this.addComment_Label = new Label( this )
-   this.addComment_Label.text = "Comment:";
-   this.addComment_Label.minWidth = labelWidth1;
-   this.addComment_Label.textAlignment = TextAlign_Right|TextAlign_VertCenter;
+         //populate the new keyword array
+         for ( let j = 0; j < keyWordIndex; ++j )
+         {
+            newFitsKeys.push(fitsKeys[j]);
+         }
 
-   this.addComment_Edit = new Edit( this );
-   this.addComment_Edit.readOnly = false;
-   this.addComment_Edit.minWidth = commentWidth;
-   this.addComment_Edit.text = engine.addComment;
-   this.addComment_Edit.toolTip =
-      "<p>Specifies the comment to add.</p>";
-   this.addComment_Edit.onEditCompleted = function() {
-      engine.addComment = this.text.trim();
-   }
+         newFitsKeys.push(newFitsKeyword);
+         record( { type: "insert", index: keyWordIndex, after: newFitsKeyword, note: operation.locationText() } );
 
-   this.addLocation_Label = new Label( this )
-   this.addLocation_Label.text = "Keyword:";
-   this.addLocation_Label.minWidth = labelWidth1;
-   this.addLocation_Label.textAlignment = TextAlign_Right|TextAlign_VertCenter;
+         for ( let j = keyWordIndex; j < fitsKeys.length; ++j )
+         {
+            newFitsKeys.push(fitsKeys[j]);
+         }
+         return newFitsKeys;
+      }
 
-   this.addLocation_Combo = new ComboBox ( this );
-   this.addLocation_Combo.minWidth = labelWidth1;
-   this.addLocation_Combo.addItem("");
-   this.addLocation_Combo.currentItem = 0;
-   this.addLocation_Combo.toolTip =
-      "<p>Specifies the keyword before or after which the new keyword " +
-      "will be added.  Select a file from the InputImages list " +
-      "to see the current keywords in that file.  Note that if you " +
-      "try to add too early in the keyword list, Pixinsight my override.</p>";
-   this.addLocation_Combo.onItemSelected = function( index )
-   {
-      engine.locationKeywordIndex = index;
+      //removing keywords
+      let selected = this.selectMatches( operation, fitsKeys, record );
+      if ( selected == null )
+         return null;
+
+      //populate the new keyword array
+      for ( let j = 0; j < fitsKeys.length; ++j )
+      {
+         if ( selected.indexOf( j ) < 0 )
+         {
+            newFitsKeys.push(fitsKeys[j]);
+         }
+         else
+         {
+            record( { type: "remove", index: j, before: fitsKeys[j] } );
+         }
+      }
+      return newFitsKeys;
    }
 
-   this.addMatchName_Check = new CheckBox( this );
-   this.addMatchName_Check.text = "Match name only";
-   this.addMatchName_Check.checked = engine.addMatchName;
-   this.addMatchName_Check.toolTip =
-      "<p>Check here if add Location should only check the Keyword " +
-      "name.  If different files in the batch have different values " +
-      "for the desired add location keyword then check this box.</p>";
-   this.addMatchName_Check.onCheck = function( checked )
+
+
+   /*
+    * Finds the keywords an edit or remove operation acts on and returns their
+    * indices, or null if the file should not be processed.  A selected
+    * keyword that is not found is an error; for pattern matches the number of
+    * matches is reported and no match simply leaves the header unchanged.
+    */
+   this.selectMatches = function( operation, fitsKeys, record )
    {
-      engine.addMatchName = checked;
+      //structural keywords are never edited or removed
+      let matched = new Array;
+      let guarded = 0;
+      let found = operation.matchingIndices( fitsKeys );
+      for ( let i = 0; i < found.length; ++i )
+      {
+         if ( isProtectedKeyword( fitsKeys[found[i]].name ) )
+            ++guarded;
+         else
+            matched.push( found[i] );
+      }
+
+      if ( operation.matchMode == "keyword" )
+      {
+         if ( matched.length == 0 && guarded > 0 )
+         {
+            console.criticalln("Structural keyword cannot be changed - file not processed: ", operation.target.name);
+            record( { type: "error", message: "Structural keyword cannot be changed: " + operation.target.name.trim() } );
+            return null;
+         }
+         if ( matched.length == 0 )
+         {
+            console.warningln("Keyword not found - file not processed: ", operation.target.name);
+            record( { type: "error", message: "Keyword not found: " + operation.target.name.trim() } );
+            return null;
+         }
+      }
+      else
+      {
+         if ( guarded > 0 )
+            console.warningln( format( "%d structural keyword%s left unchanged", guarded, (guarded == 1) ? "" : "s" ) );
+         console.writeln( format( "%d keyword%s matched: ", matched.length, (matched.length == 1) ? "" : "s" ),
+                          operation.locationText() );
+         record( { type: "matches", count: matched.length, note: operation.locationText() } );
+      }
+
+      return operation.selectOccurrences( matched );
    }
 
-   this.addBeforeAfter_Label = new Label( this );
-   this.addBeforeAfter_Label.text = "Add new keyword:";
-   this.addBeforeAfter_Label.minWidth = labelWidth1;
-   this.addBeforeAfter_Label.textAlignment = TextAlign_Right|TextAlign_VertCenter;
 
 
-   this.addBeforeAfter_Combo = new ComboBox( this );
-   this.addBeforeAfter_Combo.addItem( "before" );
-   this.addBeforeAfter_Combo.addItem( "after" );
-   this.addBeforeAfter_Combo.currentItem = 0;
-   if (engine.addBeforeAfter == "after") {  this.addBeforeAfter_Combo.currentItem = 1; }
-   this.addBeforeAfter_Combo.toolTip =
-       "<p>Specifies whether the new keyword should be written " +
-       "before or after the locator keyword below.</p>";
-   this.addBeforeAfter_Combo.onItemSelected = function( index )
+   /*
+    * Tests whether the headers of a file are read and written directly
+    * rather than by PixInsight: always in header-only mode, and for
+    * compressed FITS files and XISF files in any mode.
+    */
+   this.editsHeadersDirectly = function( filePath )
    {
-      engine.addBeforeAfter = this.itemText(index).trim();
+      return this.rewriteHeaderOnly || isCompressedFITSFile( filePath ) || isXISFFile( filePath );
    }
 
-   this.addDuplicates_Label = new Label( this ) //Used to position duplicate checkbox
-   this.addDuplicates_Label.text = "";
-   this.addDuplicates_Label.minWidth = labelWidth1;
-   this.addDuplicates_Label.textAlignment = TextAlign_Right|TextAlign_VertCenter;
-
-   this.addDuplicates_Check = new CheckBox( this );
-   this.addDuplicates_Check.text = "Allow duplicate keywords?";
-   this.addDuplicates_Check.checked = engine.addDuplicates;
-   this.addDuplicates_Check.toolTip =
-      "<p>Check here if you want to allow your new keyword to duplicate an " +
-      "existing keyword.  Note duplicate keywords other than COMMENT, " +
-      "CONTINUE, or HISTORY keywords can lead to undefined behaviour.</p>";
-   this.addDuplicates_Check.onCheck = function( checked )
+   /*
+    * Tests whether new headers are written directly: for the files above,
+    * and for any file with a string value too long for one card, as the
+    * CONTINUE cards it needs are not left to PixInsight's FITS writer.
+    */
+   this.writesHeadersDirectly = function( filePath, headers )
    {
-      engine.addDuplicates = checked;
-      //console.writeln("addDuplicates = ", engine.addDuplicates);
-   };
+      if ( this.editsHeadersDirectly( filePath ) )
+         return true;
+      for ( let h = 0; h < headers.length; ++h )
+         for ( let i = 0; i < headers[h].length; ++i )
+            if ( !isCommentaryKeyword( headers[h][i].name ) && fitsCardKeywords( headers[h][i] ).length > 1 )
+               return true;
+      return false;
+   }
 
-   //-----Add keyword-----sizers
+   /*
+    * Returns the headers to write directly.  Headers read by PixInsight may
+    * leave out structural keywords, so these are then taken from the HDUs
+    * of the file, as readHDUs() gives them.
+    */
+   this.directHeaders = function( filePath, headers, hdus )
+   {
+      if ( this.editsHeadersDirectly( filePath ) )
+         return headers;
+      let structural = function( k ) { return isProtectedKeyword( k.name ); };
+      let notStructural = function( k ) { return !isProtectedKeyword( k.name ); };
+      return [ hdus[0].imageKeywords.filter( structural ).concat( headers[0].filter( notStructural ) ) ];
+   }
 
-   this.addKeyword_Sizer = new HorizontalSizer;
-   this.addKeyword_Sizer.spacing = 4;
-   this.addKeyword_Sizer.add( this.addKeyword_Label );
-   this.addKeyword_Sizer.add( this.addKeyword_Edit );
-   this.addKeyword_Sizer.addStretch();
 
-   this.addValue_Sizer = new HorizontalSizer;
-   this.addValue_Sizer.spacing = 4;
-   this.addValue_Sizer.add( this.addValue_Label );
-   this.addValue_Sizer.add( this.addValue_Edit );
-   this.addValue_Sizer.addStretch();
 
-   this.addComment_Sizer = new HorizontalSizer;
-   this.addComment_Sizer.spacing = 4;
-   this.addComment_Sizer.add( this.addComment_Label );
-   this.addComment_Sizer.add( this.addComment_Edit );
-   this.addComment_Sizer.addStretch();
+   /*
+    * Reads the headers of a file, one keyword array per HDU.  PixInsight's
+    * reader only gives the header of a single image, so files with several
+    * HDUs need header-only mode.
+    */
+   this.readFileHeaders = function( filePath )
+   {
+      if ( this.editsHeadersDirectly( filePath ) )
+         return this.readHDUHeaders( filePath );
+      return [ this.readImageKeywords( filePath ) ];
+   }
 
-   this.addBeforeAfter_Sizer = new HorizontalSizer;
-   this.addBeforeAfter_Sizer.spacing = 4;
-   this.addBeforeAfter_Sizer.add( this.addBeforeAfter_Label );
-   this.addBeforeAfter_Sizer.add( this.addBeforeAfter_Combo );
-   this.addBeforeAfter_Sizer.addStretch();
 
-   this.addLocation_Sizer = new HorizontalSizer;
-   this.addLocation_Sizer.spacing = 4;
-   this.addLocation_Sizer.add( this.addLocation_Label );
-   this.addLocation_Sizer.add( this.addLocation_Combo );
-   this.addLocation_Sizer.add( this.addMatchName_Check );
-   this.addLocation_Sizer.addStretch();
 
-   this.addDuplicates_Sizer = new HorizontalSizer;
-   this.addDuplicates_Sizer.spacing = 4;
-   this.addDuplicates_Sizer.add( this.addDuplicates_Label );
-   this.addDuplicates_Sizer.add( this.addDuplicates_Check );
-   this.addDuplicates_Sizer.addStretch();
+   /*
+    * Reads the headers of a file directly, as they would be in the
+    * uncompressed file: a tile-compressed image is given the header of the
+    * image it holds, and the empty primary HDU that fpack adds in front of a
+    * compressed primary image is left out.  Each image of an XISF file has
+    * the keywords of its FITSKeyword elements as its header.
+    */
+   this.readHDUHeaders = function( filePath, maxHDUs )
+   {
+      if ( isXISFFile( filePath ) )
+         return this.readXISF( filePath ).images.map( function( image ) { return image.keywords; } );
+      return visibleHDUHeaders( this.readHDUs( filePath, maxHDUs ) );
+   }
 
-   //-----Add keyword-----section
 
-   this.addKeywordSection = new Control(this);
-   this.addKeywordSection.sizer = new VerticalSizer( this );
-   this.addKeywordSection.sizer.spacing = 4;
-   this.addKeywordSection.sizer.add( this.addKeyword_Sizer );
-   this.addKeywordSection.sizer.add( this.addValue_Sizer );
-   this.addKeywordSection.sizer.add( this.addComment_Sizer );
-   this.addKeywordSection.sizer.add( this.addBeforeAfter_Sizer );
-   this.addKeywordSection.sizer.add( this.addLocation_Sizer );
-   this.addKeywordSection.sizer.add( this.addDuplicates_Sizer );
 
-   this.addKeywordBar = new SectionBar(this, "Add keyword");
-   this.addKeywordBar.enableCheckBox();
-   this.addKeywordBar.setSection(this.addKeywordSection);
-   this.addKeywordBar.checkBox.checked = true;
-   this.addKeywordBar.checkBox.onCheck = function( checked )
+   /*
+    * Returns readHDUHeaders from the header cache, rereading a file whose
+    * size or modification time has changed since it was cached.  Only the
+    * dialog uses the cache; files are always reread before being edited.
+    * Only as many HDUs as the HDU target can reach are read, as a gzipped
+    * file has to be inflated up to the last HDU read.
+    */
+   this.cachedHDUHeaders = function( filePath )
    {
-      engine.actionAdd = true;
-      engine.actionEdit = false;
-      engine.actionRemove = false;
-      this.dialog.updateControls(false);
+      let maxHDUs = this.targetHDULimit();
+      let info = new FileInfo( filePath );
+      let stamp = info.size + "/" + info.lastModified.getTime() + "/" + maxHDUs;
+      if ( !this.headerCache.hasOwnProperty( filePath ) || this.headerCache[filePath].stamp != stamp )
+         this.headerCache[filePath] = { stamp: stamp, headers: this.readHDUHeaders( filePath, maxHDUs ) };
+      return this.headerCache[filePath].headers;
    }
 
+   /*
+    * Collects the keywords of the target HDUs of all files, after their
+    * structural keywords.  For each keyword name gives the first card seen,
+    * the number of files it appears in and its number of distinct values
+    * (texts for COMMENT and HISTORY).  Unreadable files are counted but
+    * left out.
+    */
+   this.keywordUnion = function( filePaths )
+   {
+      let union = { names: new Array, keywords: {}, files: 0, unreadable: 0 };
+      for ( let i = 0; i < filePaths.length; ++i )
+      {
+         let headers;
+         try
+         {
+            headers = this.cachedHDUHeaders( filePaths[i] );
+         }
+         catch ( error )
+         {
+            ++union.unreadable;
+            continue;
+         }
+         ++union.files;
+
+         let seen = {};
+         let targets = this.targetHDUs( headers );
+         for ( let t = 0; t < targets.length; ++t )
+         {
+            let header = headers[targets[t]];
+            for ( let j = structuralKeywordCount( header ); j < header.length; ++j )
+            {
+               let name = fitsKeywordName( header[j].name );
+               if ( !union.keywords.hasOwnProperty( name ) )
+               {
+                  union.names.push( name );
+                  union.keywords[name] = { card: header[j], files: 0, values: 0, valueSet: {} };
+               }
+               let entry = union.keywords[name];
+               if ( !seen.hasOwnProperty( name ) )
+               {
+                  seen[name] = true;
+                  ++entry.files;
+               }
+               let value = isCommentaryKeyword( name ) ? header[j].comment.trim() : fitsStringValue( header[j].value ).trim();
+               if ( !entry.valueSet.hasOwnProperty( value ) )
+               {
+                  entry.valueSet[value] = true;
+                  ++entry.values;
+               }
+            }
+         }
+      }
+      return union;
+   }
 
+   /*
+    * Returns the indices of the HDUs selected by the HDU target settings.
+    */
+   this.targetHDUs = function( headers )
+   {
+      let targets = new Array;
+      for ( let i = 0; i < headers.length; ++i )
+      {
+         let extname = findKeyword( headers[i], "EXTNAME" );
+         switch ( this.hduTarget )
+         {
+            case "images":
+               if ( isImageHDU( headers[i] ) )
+                  targets.push( i );
+               break;
+            case "extname":
+               if ( extname != null && fitsStringValue( extname.value ).toUpperCase() == this.hduExtname.trim().toUpperCase() )
+                  targets.push( i );
+               break;
+            case "index":
+               if ( i == this.hduIndex )
+                  targets.push( i );
+               break;
+            default:
+               if ( i == 0 )
+                  targets.push( i );
+         }
+      }
+      return targets;
+   }
 
-   //-----Edit keyword-----elements
 
-   this.editKeyword_Label = new Label( this )
-   this.editKeyword_Label.text = "Keyword:";
-   this.editKeyword_Label.minWidth = labelWidth1;
-   this.editKeyword_Label.textAlignment = TextAlign_Right|TextAlign_VertCenter;
 
-   this.editKeyword_Combo = new ComboBox ( this );
-   this.editKeyword_Combo.minWidth = labelWidth1;
-   this.editKeyword_Combo.addItem("");
-   this.editKeyword_Combo.currentItem = 0;
-   this.editKeyword_Combo.toolTip =
-      "<p>Specifies the keyword to be edited.  Note that you may not edit " +
-      "some keywords.  If you try to edit these Pixinsight will override.</p>";
-   this.editKeyword_Combo.onItemSelected = function( index )
+   /*
+    * Returns the number of HDUs that must be read to find every target HDU,
+    * or undefined if all of them must be read.
+    */
+   this.targetHDULimit = function()
    {
-      let newKwd = engine.keywordList[index];
-      if (engine.editKeywordIndex != index)
+      switch ( this.hduTarget )
       {
-         engine.editValue = newKwd.value;
-         this.dialog.editValue_Edit.text = engine.editValue;
-         engine.editComment = newKwd.comment;
-         this.dialog.editComment_Edit.text = engine.editComment;
+         case "images":
+         case "extname":
+            return undefined;
+         case "index":
+            return this.hduIndex + 1;
+         default:
+            return 1;
       }
-      engine.editKeywordIndex = index;
    }
 
-   this.editMatchName_Check = new CheckBox( this );
-   this.editMatchName_Check.text = "Match name only";
-   this.editMatchName_Check.checked = engine.editMatchName;
-   this.editMatchName_Check.toolTip =
-      "<p>Check here if you only want to check the Keyword name. " +
-      "If different files in the batch have different values " +
-      "for the keyword you want to edit then check this box.</p>";
-   this.editMatchName_Check.onCheck = function( checked )
+
+
+   this.hduTargetText = function()
    {
-      engine.editMatchName = checked;
+      switch ( this.hduTarget )
+      {
+         case "images":
+            return "all image HDUs";
+         case "extname":
+            return "EXTNAME " + this.hduExtname.trim();
+         case "index":
+            return "HDU " + this.hduIndex;
+         default:
+            return "primary HDU";
+      }
    }
 
-   this.editValue_Label = new Label( this )
-   this.editValue_Label.text = "Value:";
-   this.editValue_Label.minWidth = labelWidth1;
-   this.editValue_Label.textAlignment = TextAlign_Right|TextAlign_VertCenter;
 
-   this.editValue_Edit = new Edit( this );
-   this.editValue_Edit.readOnly = false;
-   this.editValue_Edit.text = engine.editValue;
-   this.editValue_Edit.toolTip =
-      "<p>Specifies the new value for the keyword to be edited.</p>";
-   this.editValue_Edit.onEditCompleted = function() {
-      engine.editValue = this.text.trim();
-   }
+
+   /*
+    * Applies each operation in turn to the keywords of each targeted HDU of
+    * one file, without writing anything.  The returned plan holds the
+    * original and new headers (one keyword array per HDU) and the list of
+    * changes; keywords is null if an operation failed, in which case error
+    * gives the reason.  fitsFile is the readFITSFile() result of a FITS file
+    * edited directly, so that it is not walked again when it is written.
+    */
+   this.planFile = function( filePath, operations )
+   {
+      let fitsFile = null;
+      if ( this.editsHeadersDirectly( filePath ) && !isXISFFile( filePath ) )
+         fitsFile = this.readFITSFile( filePath );
+
+      let plan = {
+         filePath: filePath,
+         original: ( fitsFile != null ) ? visibleHDUHeaders( fitsFile.hdus ) : this.readFileHeaders( filePath ),
+         fitsFile: fitsFile,
+         keywords: null,
+         changes: new Array,
+         error: "",
+         skipReason: ""
+      };
+
+      let targets = this.targetHDUs( plan.original );
+      if ( targets.length == 0 )
+      {
+         plan.keywords = plan.original;
+         plan.skipReason = "no " + this.hduTargetText() + " in file";
+         return plan;
+      }
+
+      let headers = plan.original.slice();
+      let skipped = 0;
+      for ( let t = 0; t < targets.length; ++t )
+      {
+         if ( plan.original.length > 1 )
+         {
+            console.writeln( hduLabel( plan.original, targets[t] ) + ":" );
+            plan.changes.push( { type: "hdu", note: hduLabel( plan.original, targets[t] ) } );
+         }
+
+         let header = this.planHeader( filePath, targets[t], plan.original[targets[t]], operations, plan.changes );
+         if ( header.keywords == null )
+         {
+            plan.error = plan.changes[plan.changes.length - 1].message;
+            return plan;
+         }
+         headers[targets[t]] = header.keywords;
+         if ( header.skipReason != "" )
+         {
+            plan.skipReason = header.skipReason;
+            ++skipped;
+         }
+      }
+      if ( skipped < targets.length )
+         plan.skipReason = "";
+
+      plan.keywords = headers;
+      if ( plan.skipReason == "" )
+         this.checkHeader( plan, targets );
+
+      return plan;
+   }
+
+
+
+   /*
+    * Applies the operations, then any value table row, to one header.
+    * Returns { keywords, skipReason }, where keywords is null if an
+    * operation failed.
+    */
+   this.planHeader = function( filePath, hdu, fitsKeys, operations, changes )
+   {
+      //operations for other files or HDUs, or whose conditions are not met by the header, are passed over
+      let skipReason = "";
+      let unmet = 0;
+      let applicable = 0;
+      for ( let j = 0; j < operations.length && fitsKeys != null; ++j )
+      {
+         if ( !operations[j].appliesTo( filePath, hdu ) )
+            continue;
+         ++applicable;
+         if ( !operations[j].conditionsMet( fitsKeys ) )
+         {
+            console.noteln( "Conditions not met: " + operations[j].description() );
+            changes.push( { type: "skipped", note: operations[j].conditionText() } );
+            ++unmet;
+            continue;
+         }
+         fitsKeys = this.applyOperation( operations[j], fitsKeys, changes, filePath );
+      }
+      if ( this.valueTable == null )
+      {
+         if ( applicable == 0 && operations.length > 0 )
+            skipReason = "no edits for this file";
+         else if ( unmet > 0 && unmet == applicable )
+            skipReason = "conditions not met";
+      }
+
+      //then apply the per-file values, if a value table has been loaded
+      if ( this.valueTable != null && fitsKeys != null )
+      {
+         let row = this.valueTableRow( filePath );
+         if ( row == null )
+         {
+            console.warningln( "No row in value table for this file" );
+            if ( applicable == unmet )
+               skipReason = ( unmet > 0 ) ? "conditions not met, no row in value table" : "no row in value table";
+         }
+         else
+         {
+            fitsKeys = this.applyValueTableRow( row, fitsKeys, changes );
+         }
+      }
+
+      return { keywords: fitsKeys, skipReason: skipReason };
+   }
+
+
+
+   /*
+    * Checks the operations before any file is processed: each must name a
+    * keyword or a valid pattern, structural keywords must not be targeted
+    * and literal values must be valid.
+    * Throws an error naming the first problem.
+    */
+   this.validateOperations = function( operations )
+   {
+      for ( let j = 0; j < operations.length; ++j )
+      {
+         let operation = operations[j];
+         if ( !operationHasKeyword( operation ) )
+            throw new Error( ( operation.matchMode == "keyword" || operation.action == "add" ) ?
+                             "No keyword has been specified." : "No keyword pattern has been specified." );
+         if ( operation.action != "add" && operation.matchMode != "keyword" )
+         {
+            let patterns = [ operation.namePattern, operation.valuePattern, operation.commentPattern ];
+            for ( let p = 0; p < patterns.length; ++p )
+            {
+               try
+               {
+                  if ( patterns[p] != "" )
+                     patternRegExp( patterns[p], operation.matchMode, false );
+               }
+               catch ( error )
+               {
+                  throw new Error( "Invalid pattern " + patterns[p] + ": " + error.message );
+               }
+            }
+         }
+         if ( operation.action == "add" && isProtectedKeyword( operation.name ) )
+            throw new Error( "Keyword " + operation.name + ": structural keywords cannot be added" );
+         if ( operation.action == "add" && operation.beforeAfter == "before" && isProtectedKeyword( operation.target.name ) )
+            throw new Error( "Keyword " + operation.name + ": cannot be added before the structural keyword " + operation.target.name.trim() );
+         if ( operation.action != "add" && operation.matchMode == "keyword" && isProtectedKeyword( operation.target.name ) )
+            throw new Error( "Keyword " + operation.target.name.trim() + ": structural keywords cannot be " +
+                             ( ( operation.action == "edit" ) ? "edited" : "removed" ) );
+         if ( operation.action == "remove" || operation.valueMode != "literal" || isCommentaryKeyword( operation.name ) )
+            continue;
+         if ( operation.replaceMatch && operation.matchMode != "keyword" )
+            continue;
+         try
+         {
+            if ( operation.valueType != "raw" )
+               formatFITSValue( operation.value, operation.valueType );
+            else if ( !isFITSValue( operation.value ) )
+               throw new Error( "Not a valid FITS value: " + operation.value.trim() +
+                                " - strings must be quoted, or choose the String value type" );
+         }
+         catch ( error )
+         {
+            throw new Error( "Keyword " + operation.name + ": " + error.message );
+         }
+      }
+   }
+
+
+
+   /*
+    * Lints the new headers of a plan before they are written.  Problems
+    * already present in the input header are only reported; a new error
+    * stops the file from being written.
+    */
+   this.checkHeader = function( plan, targets )
+   {
+      let errors = new Array;
+      for ( let t = 0; t < targets.length; ++t )
+      {
+         let problems = lintHeader( plan.keywords[targets[t]] );
+         if ( problems.length == 0 )
+            continue;
+
+         let prefix = ( plan.original.length > 1 ) ? hduLabel( plan.original, targets[t] ) + ": " : "";
+         let existing = lintHeader( plan.original[targets[t]] ).map( function( p ) { return p.message; } );
+         for ( let i = 0; i < problems.length; ++i )
+         {
+            let message = problems[i].message;
+            if ( problems[i].severity == "error" && existing.indexOf( message ) < 0 )
+            {
+               console.criticalln( "Header check: ", prefix + message );
+               errors.push( prefix + message );
+            }
+            else
+            {
+               if ( existing.indexOf( message ) >= 0 )
+                  message += " (already in input)";
+               console.warningln( "Header check: ", prefix + message );
+               plan.changes.push( { type: "lint", note: prefix + message } );
+            }
+         }
+      }
+
+      if ( errors.length > 0 )
+      {
+         plan.keywords = null;
+         plan.error = "Header check failed - " + errors.join( "; " );
+         plan.changes.push( { type: "error", message: plan.error } );
+      }
+   }
+
+
+
+   this.operationsToApply = function()
+   {
+      //use the edit plan if one has been built, otherwise the selected action; value table
+      //values are applied after either, and can be used alone when no keyword is selected
+      if ( this.operations.length > 0 )
+         return this.operations;
+      let operation = this.currentOperation();
+      if ( this.valueTable != null && !operationHasKeyword( operation ) )
+         return [];
+      return [ operation ];
+   }
+
+
+
+   /*
+    * Dry run: plans every input file using the same matching logic as
+    * processFiles but writes nothing.  Files that cannot be read are
+    * returned as failed plans.
+    */
+   this.previewFiles = function()
+   {
+      let operations = this.operationsToApply();
+      let plans = new Array;
+
+      for ( let i = 0; i < this.inputFiles.length; ++i )
+      {
+         try
+         {
+            plans.push( this.planFile( this.inputFiles[i], operations ) );
+         }
+         catch ( error )
+         {
+            plans.push( { filePath: this.inputFiles[i], original: null, keywords: null,
+                          changes: new Array, error: error.message, skipReason: "" } );
+         }
+      }
+
+      this.reportValueTable();
+
+      return plans;
+   }
+
+
+
+   this.processFiles = function()
+   {
+      //compressed files are written directly rather than by PixInsight
+      this.outputFormat = new FileFormat( isCompressedFITSFile( this.outputExtension ) ? DEFAULT_OUTPUT_EXTENSION : this.outputExtension,
+                                          false/*toRead*/, true/*toWrite*/ );
+      if ( this.outputFormat.isNull )
+         throw new Error( "No installed file format can write \'" + this.outputExtension + "\' files." );
+
+      let operations = this.operationsToApply();
+      this.validateOperations( operations );
+
+      this.runOutputPaths = {};
+      let succeeded = 0;
+      let errored = 0;
+      let journalEntries = new Array;
+      let lastError = null;
+
+      try
+      {
+         for ( let i = 0; i < this.inputFiles.length; ++i )
+         {
+            try
+            {
+               console.writeln( format( "<end><cbr><br><b>Processing file %u of %u:</b>", i+1, this.inputFiles.length ) );
+               console.writeln( "<raw>" + this.inputFiles[i] + "</raw>" );
+
+               let plan = this.planFile( this.inputFiles[i], operations );
+
+               //write once all operations have been applied
+               if ( plan.keywords == null )
+               {
+                  errored++;
+               }
+               else if ( plan.skipReason != "" )
+               {
+                  console.noteln( "File skipped - " + plan.skipReason );
+               }
+               else
+               {
+                  let outputFilePath = this.writeImageKeywords(this.inputFiles[i], plan.keywords, plan.fitsFile);
+                  if ( outputFilePath.length == 0 )
+                  {
+                     console.noteln( "File skipped - output file exists" );
+                  }
+                  else
+                  {
+                     journalEntries.push( this.journalEntry( plan, outputFilePath ) );
+                     succeeded++;
+                  }
+               }
+            }
+
+            catch ( error )
+            {
+               ++errored;
+               if ( !this.interactive )
+               {
+                  console.criticalln( "<end><cbr>" + error.message + " - file not processed" );
+                  continue;
+               }
+               if ( i+1 == this.inputFiles.length )
+               {
+                  lastError = error;
+                  break;
+               }
+               let errorMessage = "<p>" + error.message + ":</p>" +
+                                  "<p>" + this.inputFiles[i] + "</p>" +
+                                  "<p><b>Continue batch format conversion?</b></p>";
+               if ( (new MessageBox( errorMessage, TITLE, StdIcon_Error, StdButton_Yes, StdButton_No )).execute() != StdButton_Yes )
+                  break;
+            }
+         }
+      }
+      finally
+      {
+         //keep the undo record of the files already written, even if the run stops part-way
+         if ( journalEntries.length > 0 )
+            this.writeJournal( journalEntries );
+      }
+
+      if ( lastError != null )
+         throw lastError;
+
+      for ( let j = 0; j < operations.length; ++j )
+      {
+         console.writeln( operations[j].description() );
+      }
+      this.reportValueTable();
+      console.writeln( format( "<end><cbr><br>===== %d succeeded, %u error%s, %u skipped =====",
+                                 succeeded, errored, (errored == 1) ? "" : "s", this.inputFiles.length-succeeded-errored ) );
+
+   }
+
+
+
+
+   this.journalEntry = function( plan, outputFilePath )
+   {
+      let info = new FileInfo( outputFilePath );
+      return {
+         inputPath: plan.filePath,
+         outputPath: outputFilePath,
+         size: info.size,
+         lastModified: info.lastModified.getTime(),
+         original: plan.original.map( keywordsToJSON ),
+         keywords: plan.keywords.map( keywordsToJSON )
+      };
+   }
+
+
+
+   /*
+    * Writes the journal of a run as JSON, so that the run can be reverted.
+    * The journal goes to the output directory, or next to the first file
+    * written if there is no output directory.
+    */
+   this.writeJournal = function( journalEntries )
+   {
+      let journalDir = ( this.outputDirectory.length > 0 && !this.modifyOriginals ) ? this.outputDirectory :
+                       File.extractDrive( journalEntries[0].outputPath ) + File.extractDirectory( journalEntries[0].outputPath );
+      if ( !journalDir.endsWith( '/' ) )
+         journalDir += '/';
+
+      let now = new Date;
+      let journal = {
+         script: TITLE,
+         version: VERSION,
+         created: now.toISOString(),
+         rewriteHeaderOnly: this.rewriteHeaderOnly,
+         modifyOriginals: this.modifyOriginals,
+         reverted: "",
+         files: journalEntries
+      };
+
+      let journalPath = journalDir + JOURNAL_FILE_PREFIX + format( "%04d%02d%02d-%02d%02d%02d",
+                        now.getFullYear(), now.getMonth() + 1, now.getDate(),
+                        now.getHours(), now.getMinutes(), now.getSeconds() ) + ".json";
+      File.writeTextFile( journalPath, JSON.stringify( journal, null, 1 ) );
+      this.lastJournalPath = journalPath;
+
+      console.writeln( "<end><cbr><br>Journal written to: <raw>" + journalPath + "</raw>" );
+   }
+
+
+
+   /*
+    * Restores the headers recorded in a journal.  A file is left alone if it
+    * has been changed since the run (its size or modification time differ
+    * from those recorded when it was written).
+    */
+   this.revertFromJournal = function( journalPath )
+   {
+      let journal = JSON.parse( File.readTextFile( journalPath ) );
+      if ( journal.files == undefined )
+         throw new Error( "Not a " + TITLE + " journal: " + journalPath );
+      if ( journal.reverted != "" )
+         throw new Error( "This run has already been reverted (" + journal.reverted + "): " + journalPath );
+
+      let reverted = 0;
+      let errored = 0;
+      let refused = 0;
+
+      let rewriteHeaderOnly = this.rewriteHeaderOnly;
+      this.rewriteHeaderOnly = journal.rewriteHeaderOnly;
+
+      try
+      {
+         for ( let i = 0; i < journal.files.length; ++i )
+         {
+            let entry = journal.files[i];
+            console.writeln( format( "<end><cbr><br><b>Reverting file %u of %u:</b>", i+1, journal.files.length ) );
+            console.writeln( "<raw>" + entry.outputPath + "</raw>" );
+
+            if ( !File.exists( entry.outputPath ) )
+            {
+               console.warningln( "File no longer exists - not reverted" );
+               refused++;
+               continue;
+            }
+
+            let info = new FileInfo( entry.outputPath );
+            if ( info.size != entry.size || info.lastModified.getTime() != entry.lastModified )
+            {
+               console.warningln( "File has been modified since the run - not reverted" );
+               refused++;
+               continue;
+            }
+
+            try
+            {
+               this.replaceImageKeywords( entry.outputPath, entry.original.map( keywordsFromJSON ), false/*keepBackup*/ );
+               reverted++;
+            }
+            catch ( error )
+            {
+               console.criticalln( error.message );
+               errored++;
+            }
+         }
+      }
+      finally
+      {
+         this.rewriteHeaderOnly = rewriteHeaderOnly;
+      }
+
+      journal.reverted = (new Date).toISOString();
+      File.writeTextFile( journalPath, JSON.stringify( journal, null, 1 ) );
+
+      console.writeln( format( "<end><cbr><br>===== %d reverted, %u error%s, %u refused =====",
+                                 reverted, errored, (errored == 1) ? "" : "s", refused ) );
+   }
+
+
+
+   this.readImageKeywords = function( filePath )
+   {
+      let suffix = File.extractExtension( filePath );
+
+      let F = new FileFormat( suffix, true/*toRead*/, false/*toWrite*/ );
+      if ( F.isNull )
+         throw new Error( "No installed file format can read \'" + suffix + "\' files." );
+
+      if ( !isFITSExtension( suffix ) )
+      {
+         throw new Error( "This script is designed only for FITS and XISF files (*.fit, *.fits, *.fts, *.fz, *.fits.gz, *.xisf)" );
+      }
+
+      this.outputExtension = suffix;
+
+      return readFormatKeywords( F, filePath );
+   };
+
+
+
+
+   /*
+    * Walks the header/data units of a FITS file, inflating gzipped files on
+    * the fly.  Returns one entry per HDU, { keywords (without END),
+    * imageKeywords, hidden, headerOffset, dataOffset, dataLength }, with the
+    * data length from BITPIX, NAXISn, PCOUNT and GCOUNT padded to whole
+    * blocks.  Offsets are in the uncompressed file.  imageKeywords is the
+    * header as readHDUHeaders() gives it.  Anything after the last HDU is not
+    * part of the list.
+    */
+   this.readHDUs = function( filePath, maxHDUs )
+   {
+      return this.readFITSFile( filePath, maxHDUs ).hdus;
+   };
+
+   /*
+    * Returns { hdus, fileLength }: the HDUs as readHDUs() gives them and the
+    * length of the uncompressed file, which for a gzipped file is only known
+    * once it has been inflated, so it is counted in the same pass.  If
+    * maxHDUs is given the walk stops once that many HDUs not hidden have been
+    * read, and fileLength is -1.
+    */
+   this.readFITSFile = function( filePath, maxHDUs )
+   {
+      let suffix = fitsFileExtension( filePath );
+      if ( suffix == "" )
+      {
+         throw new Error( "This script is designed only for FITS and XISF files (*.fit, *.fits, *.fts, *.fz, *.fits.gz, *.xisf)" );
+      }
+
+      this.outputExtension = suffix;
+
+      let hdus = new Array;
+      let fileLength = -1;
+      //an empty primary HDU may turn out to be hidden, so it is not counted
+      let moreHDUs = function()
+      {
+         if ( maxHDUs == undefined )
+            return true;
+         return hdus.length < ( ( hdus.length > 0 && fitsDataSize( hdus[0].keywords ) == 0 ) ? maxHDUs + 1 : maxHDUs );
+      };
+
+      let f = openFITSFile( filePath );
+      try
+      {
+         for ( let offset = 0; moreHDUs() && hasFITSBlock( f, offset ); )
+         {
+            f.position = offset;
+            let fitsKeys = this.readHeaderCards( f, filePath );
+            let first = fitsKeywordName( fitsKeys[0].name );
+            if ( hdus.length == 0 && first != "SIMPLE" )
+               throw new Error( "Not a valid FITS file - SIMPLE keyword missing: " + filePath );
+            if ( hdus.length > 0 && first != "XTENSION" )
+               break;
+
+            let headerLength = Math.ceil( fitsKeys.length * FITS_CARD_LENGTH / FITS_BLOCK_LENGTH ) * FITS_BLOCK_LENGTH;
+            fitsKeys.length = fitsKeys.length - 1; // drop END
+            let hdu = {
+               keywords: mergeContinueKeywords( fitsKeys ),
+               imageKeywords: null,
+               hidden: false,
+               headerOffset: offset,
+               dataOffset: offset + headerLength,
+               dataLength: Math.ceil( fitsDataSize( fitsKeys ) / FITS_BLOCK_LENGTH ) * FITS_BLOCK_LENGTH
+            };
+            hdu.imageKeywords = isCompressedImageHDU( hdu.keywords ) ? uncompressedKeywords( hdu.keywords ) : hdu.keywords;
+            hdus.push( hdu );
+            offset = hdu.dataOffset + hdu.dataLength;
+         }
+         if ( maxHDUs == undefined )
+         {
+            f.seekEnd();
+            fileLength = f.position;
+         }
+      }
+      finally
+      {
+         f.close();
+      }
+
+      //fpack moves a primary image to a compressed extension behind an empty primary HDU
+      if ( hdus.length > 1 && fitsDataSize( hdus[0].keywords ) == 0 &&
+           isCompressedImageHDU( hdus[1].keywords ) && findKeyword( hdus[1].keywords, "ZSIMPLE" ) != null )
+         hdus[0].hidden = true;
+
+      return { hdus: hdus, fileLength: fileLength };
+   };
+
+
+
+   /*
+    * Reads the XML header of an XISF file.  Returns { xml, images,
+    * attachments, dataOffset, fileSize }, where xml is the header text with
+    * one character per byte, so that it can be spliced without decoding,
+    * images has one entry per Image element, { keywords, elements, end,
+    * empty }, with the offsets of its FITSKeyword elements (and the
+    * whitespace after each) and of its end tag, and attachments lists the
+    * { position, size } of each attached data block.  dataOffset is the
+    * position of the first data block, or the end of the header if there
+    * is none.
+    */
+   this.readXISF = function( filePath )
+   {
+      this.outputExtension = File.extractExtension( filePath );
+
+      let xml;
+      let fileSize;
+      let f = new File;
+      f.openForReading( filePath );
+      try
+      {
+         let signature = f.read( DataType_ByteArray, 16 );
+         if ( signature.length < 16 || signature.toString( 0, 8 ) != "XISF0100" )
+            throw new Error( "Not a valid XISF file - signature missing: " + filePath );
+         let headerLength = signature.at( 8 ) + signature.at( 9 ) * 256 + signature.at( 10 ) * 65536 + signature.at( 11 ) * 16777216;
+         xml = byteArrayToBinaryString( f.read( DataType_ByteArray, headerLength ) );
+         if ( xml.length != headerLength )
+            throw new Error( "Unexpected end of file in XISF header: " + filePath );
+         fileSize = f.size;
+      }
+      finally
+      {
+         f.close();
+      }
+
+      let xisf = { xml: xml, images: new Array, attachments: new Array, dataOffset: 16 + xml.length, fileSize: fileSize };
+
+      let attributes = "((?:\\s+[\\w:.-]+\\s*=\\s*(?:\"[^\"]*\"|'[^']*'))*)\\s*";
+      let imageRegExp = new RegExp( "<Image\\b" + attributes + "(/?)>", "g" );
+      let keywordRegExp = new RegExp( "<FITSKeyword\\b" + attributes + "/>(\\s*)", "g" );
+      let match;
+      while ( ( match = imageRegExp.exec( xml ) ) != null )
+      {
+         let image = { keywords: new Array, elements: new Array, end: 0, empty: match[2] == "/" };
+         if ( image.empty )
+         {
+            image.end = imageRegExp.lastIndex - 2;
+         }
+         else
+         {
+            image.end = xml.indexOf( "</Image>", imageRegExp.lastIndex );
+            if ( image.end < 0 )
+               throw new Error( "Invalid XISF header - Image element not closed: " + filePath );
+            keywordRegExp.lastIndex = imageRegExp.lastIndex;
+            let keyword;
+            while ( ( keyword = keywordRegExp.exec( xml ) ) != null && keyword.index < image.end )
+            {
+               let a = xmlAttributes( keyword[1] );
+               image.keywords.push( new FITSKeyword( a.name || "", a.value || "", a.comment || "" ) );
+               image.elements.push( { start: keyword.index, end: keywordRegExp.lastIndex, space: keyword[2] } );
+            }
+         }
+         xisf.images.push( image );
+      }
+
+      let attachmentRegExp = /location\s*=\s*["']attachment:(\d+):(\d+)/g;
+      while ( ( match = attachmentRegExp.exec( xml ) ) != null )
+      {
+         let attachment = { position: parseInt( match[1], 10 ), size: parseInt( match[2], 10 ) };
+         xisf.attachments.push( attachment );
+         if ( xisf.attachments.length == 1 || attachment.position < xisf.dataOffset )
+            xisf.dataOffset = attachment.position;
+      }
+
+      return xisf;
+   };
+
+
+
+   /*
+    * Writes a copy of an XISF file with new keywords, one keyword array per
+    * image.  Only the FITSKeyword elements of changed images are rewritten
+    * in the XML header; the rest of the header and the data blocks are kept
+    * as they are.  If the new header no longer fits in front of the first
+    * data block, every data block moves on by whole alignment blocks and its
+    * position in the header is updated.
+    */
+   this.writeXISFHeader = function( filePath, outputFilePath, headers )
+   {
+      let xisf = this.readXISF( filePath );
+      if ( headers.length != xisf.images.length )
+         throw new Error( "Image count has changed since the file was read: " + filePath );
+
+      let xml = xisfHeaderText( xisf, headers );
+      let header = xml;
+      let shift = 0;
+      if ( xisf.attachments.length == 0 )
+      {
+         shift = xml.length - xisf.xml.length;
+      }
+      else
+      {
+         while ( 16 + header.length > xisf.dataOffset + shift )
+         {
+            shift = Math.ceil( ( 16 + header.length - xisf.dataOffset ) / XISF_BLOCK_ALIGNMENT ) * XISF_BLOCK_ALIGNMENT;
+            header = shiftXISFAttachments( xml, shift );
+         }
+      }
+
+      let inFile = new File;
+      inFile.openForReading( filePath );
+      let outFile = new File;
+      outFile.createForWriting( outputFilePath );
+      try
+      {
+         let length = header.length;
+         let padding = xisf.dataOffset + shift - 16 - length;
+         outFile.write( binaryStringToByteArray( "XISF0100" +
+            String.fromCharCode( length & 0xff, ( length >>> 8 ) & 0xff, ( length >>> 16 ) & 0xff, ( length >>> 24 ) & 0xff ) +
+            "\0\0\0\0" + header + new Array( padding + 1 ).join( "\0" ) ) );
+
+         inFile.position = xisf.dataOffset;
+         for ( let remaining = inFile.size - xisf.dataOffset; remaining > 0; )
+         {
+            let chunk = inFile.read( DataType_ByteArray, Math.min( remaining, RAW_COPY_CHUNK_SIZE ) );
+            if ( chunk.length == 0 )
+               throw new Error( "Unexpected end of file: " + filePath );
+            outFile.write( chunk );
+            remaining -= chunk.length;
+         }
+      }
+      finally
+      {
+         outFile.close();
+         inFile.close();
+      }
+   };
+
+
+
+   this.verifyXISFFile = function( filePath, outputFilePath, headers )
+   {
+      let original = this.readXISF( filePath );
+      let written = this.readXISF( outputFilePath );
+
+      if ( written.images.length != original.images.length )
+         throw new Error( "Verification failed - image count mismatch: " + outputFilePath );
+      for ( let h = 0; h < written.images.length; ++h )
+         verifyKeywords( written.images[h].keywords, headers[h], outputFilePath, " in image " + h );
+
+      //the data blocks must have been copied and moved together
+      if ( written.attachments.length != original.attachments.length )
+         throw new Error( "Verification failed - data block count mismatch: " + outputFilePath );
+      let shift = written.dataOffset - original.dataOffset;
+      for ( let j = 0; j < written.attachments.length; ++j )
+         if ( written.attachments[j].position != original.attachments[j].position + shift ||
+              written.attachments[j].size != original.attachments[j].size )
+            throw new Error( "Verification failed - data block position mismatch: " + outputFilePath );
+      if ( written.fileSize - written.dataOffset != original.fileSize - original.dataOffset )
+         throw new Error( "Verification failed - data length mismatch: " + outputFilePath );
+   };
+
+
+
+   /*
+    * Writes the new keywords and returns the path of the file written, or ""
+    * if the output file already exists and the collision policy is skip.
+    * The output name template sees the edited keywords of the first target HDU.
+    * fitsFile is the readFITSFile() result of the file, if it has been read.
+    */
+   this.writeImageKeywords = function( filePath, headers, fitsFile )
+   {
+      if ( this.modifyOriginals )
+      {
+         this.replaceImageKeywords( filePath, headers, true/*keepBackup*/, fitsFile );
+         return filePath;
+      }
+
+      let targets = this.targetHDUs( headers );
+      let outputFilePath = this.outputFilePath( filePath, headers[( targets.length > 0 ) ? targets[0] : 0] );
+      if ( outputFilePath.length == 0 )
+         return "";
+      let outputDir = File.extractDrive( outputFilePath ) + File.extractDirectory( outputFilePath );
+      if ( !File.directoryExists( outputDir ) )
+         File.createDirectory( outputDir, true );
+      this.writeKeywordsToFile( filePath, outputFilePath, headers, fitsFile );
+      this.runOutputPaths[outputFilePath.toLowerCase()] = true;
+      return outputFilePath;
+   };
+
+
+
+   /*
+    * Writes a copy of a file with new headers, one keyword array per HDU.
+    * Without header-only mode the file is saved by PixInsight, which only
+    * handles single image files and cannot write compressed files; a file
+    * with a string value that needs CONTINUE cards is still written directly.
+    * A FITS file written directly is read first unless fitsFile, its
+    * readFITSFile() result, is given.
+    */
+   this.writeKeywordsToFile = function( filePath, outputFilePath, headers, fitsFile )
+   {
+      delete this.headerCache[outputFilePath];
+      if ( isXISFFile( filePath ) )
+      {
+         this.writeXISFHeader( filePath, outputFilePath, headers );
+         return;
+      }
+      if ( this.writesHeadersDirectly( filePath, headers ) )
+      {
+         if ( !this.editsHeadersDirectly( filePath ) )
+            console.noteln( "<end><cbr>* Long string values - header rewritten directly" );
+         if ( fitsFile == undefined )
+            fitsFile = this.readFITSFile( filePath );
+         this.writeRawHeader( filePath, outputFilePath, this.directHeaders( filePath, headers, fitsFile.hdus ), fitsFile.hdus );
+         return;
+      }
+
+      let fitsKeys = headers[0];
+
+      let fmt = new FileFormat( this.outputExtension );
+      let f = new FileFormatInstance( fmt );
+      if ( f.isNull )
+         throw new Error( "Unable to instantiate file format: " + this.outputFormat.name );
+
+      //long COMMENT/HISTORY text is wrapped here; other keywords are formatted by PixInsight
+      let cardKeys = new Array;
+      for ( let i = 0; i < fitsKeys.length; ++i )
+         cardKeys = cardKeys.concat( isCommentaryKeyword( fitsKeys[i].name ) ? fitsCardKeywords( fitsKeys[i] ) : [ fitsKeys[i] ] );
+
+      let w = ImageWindow.open( filePath );
+      w[0].keywords = cardKeys;
+
+      w[0].saveAs( outputFilePath,
+                      false/*queryOptions*/,
+                      false/*allowMessages*/,
+                      false/*strict*/,
+                      false/*verifyOverwrite*/ );
+
+      w[0].forceClose();
+   };
+
+
+
+   /*
+    * Modifies an original file.  The new file is written to a temporary file
+    * in the same directory and verified before it replaces the original, so a
+    * failure part way through never leaves a damaged original behind.
+    */
+   this.replaceImageKeywords = function( filePath, headers, keepBackup, fitsFile )
+   {
+      delete this.headerCache[filePath];
+      console.writeln( "<end><cbr><br>Modifying original file:" );
+      console.writeln( "<raw>" + filePath + "</raw>" );
+
+      let tempFilePath = appendToFITSName( filePath, TEMP_FILE_POSTFIX );
+      if ( File.exists( tempFilePath ) )
+         File.remove( tempFilePath );
+
+      try
+      {
+         if ( fitsFile == undefined && !isXISFFile( filePath ) && this.writesHeadersDirectly( filePath, headers ) )
+            fitsFile = this.readFITSFile( filePath );
+         this.writeKeywordsToFile( filePath, tempFilePath, headers, fitsFile );
+         this.verifyOutputFile( filePath, tempFilePath, headers, fitsFile );
+      }
+      catch ( error )
+      {
+         if ( File.exists( tempFilePath ) )
+            File.remove( tempFilePath );
+         throw error;
+      }
+
+      if ( keepBackup )
+         this.backupOriginal( filePath );
+      replaceFile( filePath, tempFilePath );
+   };
+
+
+
+   /*
+    * Checks a file written by writeKeywordsToFile().  original is the
+    * readFITSFile() result of the file it was written from; only the new
+    * file is read again.
+    */
+   this.verifyOutputFile = function( filePath, outputFilePath, headers, original )
+   {
+      if ( !File.exists( outputFilePath ) )
+         throw new Error( "Verification failed - output file was not written: " + outputFilePath );
+
+      if ( !this.writesHeadersDirectly( filePath, headers ) )
+      {
+         //the file must be readable as a single image by PixInsight, with the new keywords;
+         //structural keywords are written by PixInsight itself
+         let fileFormat = new FileFormat( File.extractExtension( outputFilePath ), true/*toRead*/, false/*toWrite*/ );
+         if ( fileFormat.isNull )
+            throw new Error( "Verification failed - no installed file format can read the output file: " + outputFilePath );
+         let notStructural = function( k ) { return !isProtectedKeyword( k.name ); };
+         verifyKeywords( readFormatKeywords( fileFormat, outputFilePath ).filter( notStructural ),
+                         fitsCardsReadBack( headers[0].filter( notStructural ) ), outputFilePath, "" );
+         return;
+      }
+      if ( isXISFFile( filePath ) )
+      {
+         this.verifyXISFFile( filePath, outputFilePath, headers );
+         return;
+      }
+
+      let written = this.readFITSFile( outputFilePath );
+      headers = this.directHeaders( filePath, headers, original.hdus );
+
+      if ( written.hdus.length != original.hdus.length )
+         throw new Error( "Verification failed - HDU count mismatch: " + outputFilePath );
+
+      let headerLengths = 0;
+      for ( let h = 0, l = 0; h < written.hdus.length; ++h )
+      {
+         let w = written.hdus[h];
+         let o = original.hdus[h];
+         let fitsKeys = o.hidden ? o.imageKeywords : headers[l++];
+         verifyKeywords( w.imageKeywords, fitsCardsReadBack( fitsKeys ), outputFilePath, " in HDU " + h );
+
+         if ( w.dataLength != o.dataLength )
+            throw new Error( "Verification failed - data length mismatch in HDU " + h + ": " + outputFilePath );
+         headerLengths += ( w.dataOffset - w.headerOffset ) - ( o.dataOffset - o.headerOffset );
+      }
+
+      //everything apart from the headers must have been copied
+      if ( written.fileLength - original.fileLength != headerLengths )
+         throw new Error( "Verification failed - data length mismatch: " + outputFilePath );
+   };
+
+
+
+   this.backupOriginal = function( filePath )
+   {
+      let backupFilePath;
+      switch ( this.backupMode )
+      {
+         case "bak":
+            backupFilePath = filePath + ".bak";
+            break;
+         case "directory":
+            //mirror the full original path below the backup directory
+            backupFilePath = this.backupDirectory;
+            if ( !backupFilePath.endsWith( '/' ) )
+               backupFilePath += '/';
+            backupFilePath += File.extractDrive( filePath ).replace( ":", "" ) + File.extractDirectory( filePath ) +
+                              "/" + File.extractNameAndExtension( filePath );
+            backupFilePath = backupFilePath.replace( /\/\/+/g, "/" );
+            if ( !File.directoryExists( File.extractDrive( backupFilePath ) + File.extractDirectory( backupFilePath ) ) )
+               File.createDirectory( File.extractDrive( backupFilePath ) + File.extractDirectory( backupFilePath ), true );
+            break;
+         default:
+            return;
+      }
+
+      if ( File.exists( backupFilePath ) )
+      {
+         for ( let u = 1; ; ++u )
+         {
+            let tryFilePath = backupFilePath + '_' + u.toString();
+            if ( !File.exists( tryFilePath ) )
+            {
+               backupFilePath = tryFilePath;
+               break;
+            }
+         }
+      }
+
+      File.copyFile( backupFilePath, filePath );
+      console.writeln( "Backup written to: <raw>" + backupFilePath + "</raw>" );
+   };
+
+
+
+   /*
+    * Works out the output path of a file.  With an output name template the
+    * path below the output directory is built from fitsKeys, otherwise from
+    * the prefix, file name and postfix.  An existing file is handled by the
+    * collision policy: suffix adds _1, _2..., overwrite replaces it and skip
+    * returns "".  A file written earlier in the same run always gets a
+    * suffix, so that a run never replaces or stops at its own output.
+    */
+   this.outputFilePath = function( filePath, fitsKeys )
+   {
+      let fileDir = (this.outputDirectory.length > 0) ? this.outputDirectory :
+                    File.extractDrive( filePath ) + File.extractDirectory( filePath );
+      if ( !fileDir.endsWith( '/' ) )
+         fileDir += '/';
+      let fileName = ( this.outputNameTemplate.trim().length > 0 ) ?
+                     resolvePathTemplate( this.outputNameTemplate.trim(), filePath, fitsKeys ) :
+                     this.outputPrefix + fitsFileName( filePath ) + this.outputPostfix;
+      let outputFilePath = fileDir + fileName + this.outputExtension;
+
+      console.writeln( "<end><cbr><br>Output file:" );
+
+      if ( File.exists( outputFilePath ) )
+      {
+         let ownOutput = this.runOutputPaths.hasOwnProperty( outputFilePath.toLowerCase() );
+         if ( ownOutput )
+            console.warningln( "<end><cbr>** Warning: Output file already written by this run: <raw>" + outputFilePath + "</raw>" );
+         if ( this.collisionPolicy == "overwrite" && !ownOutput )
+         {
+            if ( outputFilePath.toLowerCase() == filePath.toLowerCase() )
+               throw new Error( "The output file is the input file - use Modify original files to replace it: " + outputFilePath );
+            console.warningln( "<end><cbr>** Warning: Overwriting existing file: <raw>" + outputFilePath + "</raw>" );
+         }
+         else if ( this.collisionPolicy == "skip" && !ownOutput )
+         {
+            console.noteln( "<end><cbr>* File already exists: <raw>" + outputFilePath + "</raw>" );
+            return "";
+         }
+         else
+         {
+            console.noteln( "<end><cbr>* File already exists: " + outputFilePath );
+            for ( let u = 1; ; ++u )
+            {
+               let tryFilePath = appendToFITSName( outputFilePath, '_' + u.toString() );
+               if ( !File.exists( tryFilePath ) )
+               {
+                  outputFilePath = tryFilePath;
+                  break;
+               }
+            }
+            console.noteln( "<end><cbr>* Writing to: <raw>" + outputFilePath + "</raw>" );
+         }
+      }
+      else
+      {
+         console.writeln( "<raw>" + outputFilePath + "</raw>" );
+      }
+
+      return outputFilePath;
+   };
+
+
+
+   /*
+    * Writes a copy of a FITS file with new headers, one keyword array per
+    * HDU as given by readHDUHeaders(), and hdus as readHDUs() gave them for
+    * the file.  Only changed headers are rebuilt;
+    * unchanged headers, every data unit and anything after the last HDU are
+    * copied byte-for-byte, so data is shifted by whole 2880-byte blocks if a
+    * header grows or shrinks.  The header of a tile-compressed image keeps
+    * its compression keywords.  A gzipped file is recompressed.
+    */
+   this.writeRawHeader = function( filePath, outputFilePath, headers, hdus )
+   {
+      if ( headers.length != hdus.filter( function( hdu ) { return !hdu.hidden; } ).length )
+         throw new Error( "HDU count has changed since the file was read: " + filePath );
+
+      let inFile = openFITSFile( filePath );
+      let outFile = createFITSFile( outputFilePath );
+
+      //copies bytes of the input file, up to its end
+      let copy = function( start, length )
+      {
+         inFile.position = start;
+         for ( let remaining = length; remaining > 0; )
+         {
+            //inflated data is passed to the deflater without a ByteArray in between
+            let count = Math.min( remaining, RAW_COPY_CHUNK_SIZE );
+            let chunk = ( inFile instanceof GzipInputFile && outFile instanceof GzipOutputFile ) ?
+                           inFile.readBytes( count ) : readFITSBytes( inFile, count );
+            if ( chunk.length == 0 )
+               break;
+            outFile.write( chunk );
+            remaining -= chunk.length;
+         }
+      };
+
+      try
+      {
+         for ( let h = 0, l = 0; h < hdus.length; ++h )
+         {
+            let fitsKeys = hdus[h].hidden ? hdus[h].imageKeywords : headers[l++];
+
+            //unchanged headers are copied byte for byte
+            if ( keywordsEqual( fitsKeys, hdus[h].imageKeywords ) )
+               copy( hdus[h].headerOffset, hdus[h].dataOffset - hdus[h].headerOffset );
+            else if ( isCompressedImageHDU( hdus[h].keywords ) )
+               outFile.write( this.FITSKeywordsToHeader( compressedKeywords( hdus[h].keywords, fitsKeys ) ) );
+            else
+               outFile.write( this.FITSKeywordsToHeader( fitsKeys ) );
+            copy( hdus[h].dataOffset, hdus[h].dataLength );
+         }
+
+         let end = hdus[hdus.length - 1].dataOffset + hdus[hdus.length - 1].dataLength;
+         copy( end, Infinity );
+      }
+      finally
+      {
+         outFile.close();
+         inFile.close();
+      }
+   };
+
+
+
+   /*
+    * Parses one header card.  HIERARCH cards ("HIERARCH ESO DET TEMP = ...")
+    * are returned with the full name, including the HIERARCH prefix, as
+    * normalised by fitsKeywordName().
+    */
+   this.ByteArrayToFITSKeyword = function( inputByteArray )
+   {
+      let fitsKeyword = new FITSKeyword("","","");
+
+      if ( inputByteArray.length == 80 )
+      {
+         //extract name
+         fitsKeyword.name = inputByteArray.toString( 0, 8 ).toUpperCase();
+
+         //check if value type
+         let hasValue = false;
+         let valueStart = 10;
+         if (  ( inputByteArray.at( 8 ) === 61 ) &&
+               ( inputByteArray.at( 9 ) === 32 ) &&
+               ( fitsKeyword.name != "COMMENT"  ) &&
+               ( fitsKeyword.name != "HISTORY"  ) &&
+               ( fitsKeyword.name != ""  ))
+         {
+            hasValue = true;
+         }
+         else if ( fitsKeyword.name == "CONTINUE" && inputByteArray.at( 8 ) === 32 && inputByteArray.at( 9 ) === 32 )
+         {
+            //long-string continuation, joined to its keyword by mergeContinueKeywords()
+            hasValue = true;
+         }
+         else if ( fitsKeyword.name == "HIERARCH" && inputByteArray.at( 8 ) === 32 )
+         {
+            //the name runs up to the first equals sign
+            for ( let i = 9; i < 80; ++i )
+               if ( inputByteArray.at( i ) === 61 )
+               {
+                  fitsKeyword.name = fitsKeywordName( "HIERARCH " + inputByteArray.toString( 9, i - 9 ) );
+                  valueStart = i + 1;
+                  hasValue = true;
+                  break;
+               }
+         }
+
+         if ( hasValue )
+         {
+            //find comment separator slash
+            let cmtPos = -1;
+            let inString = false;
+            for ( let i = valueStart; i < 80; ++i )
+            {
+               switch ( inputByteArray.at(i) )
+               {
+                  case 39: // single quote
+                     inString ^= true;
+                     break;
+                  case 47: // slash
+                     if ( (!inString) && (cmtPos == -1) )
+                     cmtPos = i;
+                     break;
+               }
+            }
+
+            if ( cmtPos < 0 ) { cmtPos = 80; } // no comment separator
+
+            //read value and comment
+            fitsKeyword.value = inputByteArray.toString( valueStart, cmtPos - valueStart ).trimRight();
+            if ( valueStart > 10 )
+               fitsKeyword.value = fitsKeyword.value.trimLeft();
+            if ( cmtPos < 80 ) { fitsKeyword.comment = inputByteArray.toString( cmtPos + 1, 80 - cmtPos - 1 ).trimRight(); }
+         }
+         else
+         {
+            //if no value then just read comment
+            fitsKeyword.comment = inputByteArray.toString( 8, 80 - 8 ).trimRight();
+         }
+      }
+
+      return fitsKeyword;
+   }
+
+
+
+
+   /*
+    * Returns the header card(s) for a keyword.  Long string values and long
+    * COMMENT/HISTORY text are split over several cards by fitsCardKeywords().
+    */
+   this.FITSKeywordToByteArray = function( fitsKeyword )
+   {
+      let cardKeys = fitsCardKeywords( fitsKeyword );
+      if ( cardKeys.length > 1 )
+      {
+         let cards = new ByteArray;
+         for ( let i = 0; i < cardKeys.length; ++i )
+            cards.add( this.FITSKeywordToByteArray( cardKeys[i] ) );
+         return cards;
+      }
+
+      let name = fitsKeywordName( fitsKeyword.name );
+      if ( fitsCardText( new FITSKeyword( name, fitsKeyword.value, "" ) ).length > 80 )
+         throw new Error( "Keyword value too long for a header card: " + name );
+
+      let card = fitsCardText( fitsKeyword );
+      if ( card.length > 80 )
+      {
+         console.warningln( "Comment truncated to fit the header card: " + name );
+         card = card.substring( 0, 80 );
+      }
+
+      //characters outside printable ASCII would take more than one byte each and shift the rest of the file
+      let bytes = new ByteArray( padRight( card, 80 ) );
+      if ( bytes.length != FITS_CARD_LENGTH )
+         throw new Error( "Non-ASCII characters in header card: " + name );
+      return bytes;
+   }
+
+
+
+   /*
+    * Builds a complete header from a keyword array: one card per keyword, the
+    * END card, and space padding up to a whole number of 2880-byte blocks.
+    */
+   this.FITSKeywordsToHeader = function( fitsKeys )
+   {
+      let header = new ByteArray;
+      for ( let i = 0; i < fitsKeys.length; ++i )
+      {
+         if ( fitsKeys[i].name.trim().toUpperCase() != "END" )
+            header.add( this.FITSKeywordToByteArray( fitsKeys[i] ) );
+      }
+      header.add( new ByteArray( padRight( "END", 80 ) ) );
+
+      let paddedLength = Math.ceil( header.length / FITS_BLOCK_LENGTH ) * FITS_BLOCK_LENGTH;
+      if ( paddedLength > header.length )
+         header.add( new ByteArray( padRight( "", paddedLength - header.length ) ) );
+
+      return header;
+   }
+
+
+
+   this.extractFITSKeywords = function( inputFile )
+   {
+      let f = new File;
+      f.openForReading( inputFile );
+      try
+      {
+         return this.readHeaderCards( f, inputFile );  //Note this will include the END keyword
+      }
+      finally
+      {
+         f.close();
+      }
+   }
+
+
+
+   /*
+    * Reads the cards of one header from the current position of an open
+    * file, up to and including the END card.
+    */
+   this.readHeaderCards = function( f, inputFile )
+   {
+      let fitsKeywords = new Array
+      let name = ""
+
+      do
+      {
+         if ( f.isEOF )
+            throw new Error( "END keyword not found in FITS header: " + inputFile );
+         let rawData = f.read(DataType_ByteArray, 80);
+         let fkw = this.ByteArrayToFITSKeyword(rawData);
+         name = fkw.name.toUpperCase().trim();
+         fitsKeywords.push( fkw );
+      }
+      while (name != "END")
+
+      return fitsKeywords
+   }
+}
+
+
+
+
+
+function isFITSEqual(f1, f2, nameOnly)
+{
+   let returnValue = true;
+   if (fitsKeywordName(f1.name) != fitsKeywordName(f2.name)) { returnValue = false; }
+   if (!nameOnly)
+   {
+      if (f1.value.toUpperCase().trim() != f2.value.toUpperCase().trim()) { returnValue = false; }
+      if (f1.comment.toUpperCase().trim() != f2.comment.toUpperCase().trim()) { returnValue = false; }
+   }
+   return returnValue;
+}
+
+
+
+/*
+ * Reads the keywords of a single image file with an installed file format.
+ */
+function readFormatKeywords( fileFormat, filePath )
+{
+   let f = new FileFormatInstance( fileFormat );
+   if ( f.isNull )
+      throw new Error( "Unable to instantiate file format: " + fileFormat.name );
+
+   let d = f.open( filePath );
+   if ( d.length < 1 )
+      throw new Error( "Unable to open file: " + filePath );
+   if ( d.length > 1 )
+   {
+      f.close();
+      throw new Error( "Files with several images can only be edited with \'Rewrite header only\': " + filePath );
+   }
+
+   let fitsKeys = mergeContinueKeywords( f.keywords );
+   f.close();
+   return fitsKeys;
+}
+
+
+/*
+ * Replaces a file with a new, already verified version.  File.move() does
+ * not overwrite an existing file on every platform, so the original is
+ * first moved aside and is restored if the new version cannot be moved
+ * into its place.  If the script is stopped between the two moves, the
+ * original is left next to its path with OLD_FILE_POSTFIX added to the
+ * name, and the new version with TEMP_FILE_POSTFIX; renaming either one
+ * back restores the file.
+ */
+function replaceFile( filePath, newFilePath )
+{
+   let oldFilePath = File.appendToName( filePath, OLD_FILE_POSTFIX );
+   if ( File.exists( oldFilePath ) )
+      File.remove( oldFilePath );
+
+   File.move( filePath, oldFilePath );
+   try
+   {
+      File.move( newFilePath, filePath );
+   }
+   catch ( error )
+   {
+      File.move( oldFilePath, filePath );
+      throw error;
+   }
+   File.remove( oldFilePath );
+}
+
+
+/*
+ * Splits CSV or TSV text into rows of fields.  The delimiter (tab, comma or
+ * semicolon) is taken from the first line; fields may be double-quoted,
+ * with "" for an embedded quote.
+ */
+function parseDelimitedText( text )
+{
+   if ( text.charCodeAt( 0 ) == 0xFEFF )
+      text = text.substring( 1 );
+
+   let firstLine = text.split( "\n" )[0];
+   let delimiter = ",";
+   if ( firstLine.indexOf( "\t" ) >= 0 )
+      delimiter = "\t";
+   else if ( firstLine.split( ";" ).length > firstLine.split( "," ).length )
+      delimiter = ";";
+
+   let rows = new Array;
+   let row = new Array;
+   let field = "";
+   let inQuotes = false;
+   for ( let i = 0; i < text.length; ++i )
+   {
+      let c = text.charAt( i );
+      if ( inQuotes )
+      {
+         if ( c == '"' )
+         {
+            if ( text.charAt( i + 1 ) == '"' )
+            {
+               field += '"';
+               ++i;
+            }
+            else
+               inQuotes = false;
+         }
+         else
+            field += c;
+      }
+      else if ( c == '"' )
+         inQuotes = true;
+      else if ( c == delimiter )
+      {
+         row.push( field );
+         field = "";
+      }
+      else if ( c == "\n" || c == "\r" )
+      {
+         if ( c == "\r" && text.charAt( i + 1 ) == "\n" )
+            ++i;
+         row.push( field );
+         field = "";
+         if ( row.length > 1 || row[0].trim() != "" )
+            rows.push( row );
+         row = new Array;
+      }
+      else
+         field += c;
+   }
+   row.push( field );
+   if ( row.length > 1 || row[0].trim() != "" )
+      rows.push( row );
+
+   return rows;
+}
+
+
+/*
+ * Converts plain text to a FITS value: numbers, T/F and already quoted
+ * strings are kept, anything else becomes a quoted string.
+ */
+function fitsValueFromText( text )
+{
+   let t = text.trim();
+   if ( t.charAt( 0 ) == "'" )
+      return t;
+   if ( t == "T" || t == "F" )
+      return t;
+   if ( /^[+-]?(\d+\.?\d*|\.\d+)([EeDd][+-]?\d+)?$/.test( t ) )
+      return t;
+   return "'" + t.replace( /'/g, "''" ) + "'";
+}
+
+
+/*
+ * Tests whether text is a valid fixed-format FITS value: a quoted string
+ * with its quotes doubled, a logical, an integer, a real or a complex
+ * number.  An empty value (undefined) is also valid.
+ */
+function isFITSValue( text )
+{
+   let t = text.trim();
+   let number = "[+-]?(\\d+\\.?\\d*|\\.\\d+)([EeDd][+-]?\\d+)?";
+   return ( t == "" ) ||
+          /^'([^']|'')*'$/.test( t ) ||
+          ( t == "T" || t == "F" ) ||
+          new RegExp( "^" + number + "$" ).test( t ) ||
+          new RegExp( "^\\(\\s*" + number + "\\s*,\\s*" + number + "\\s*\\)$" ).test( t );
+}
+
+
+/*
+ * Formats text as a FITS value of the given type (see VALUE_TYPES).  The
+ * text may already be quoted.  Throws an error if the text is not valid for
+ * the type.
+ *    string   quoted with inner quotes doubled, padded to at least 8 characters
+ *    integer  optional sign and digits, leading zeros removed
+ *    float    always with a decimal point, E exponent, at most 20 characters
+ *    logical  T or F (also accepts true/false, yes/no, 1/0)
+ *    date     ISO-8601 'YYYY-MM-DD' or 'YYYY-MM-DDThh:mm:ss[.sss]'
+ */
+function formatFITSValue( text, type )
+{
+   let t = fitsStringValue( text ).trim();
+   switch ( type )
+   {
+      case "string":
+         return "'" + padRight( fitsStringValue( text ).replace( /'/g, "''" ), 8 ) + "'";
+
+      case "integer":
+         if ( !/^[+-]?\d+$/.test( t ) )
+            throw new Error( "Not a valid integer value: " + t );
+         t = t.replace( /^\+/, "" ).replace( /^(-?)0+(?=\d)/, "$1" );
+         return ( t == "-0" ) ? "0" : t;
+
+      case "float":
+      {
+         if ( !/^[+-]?(\d+\.?\d*|\.\d+)([EeDd][+-]?\d+)?$/.test( t ) )
+            throw new Error( "Not a valid floating point value: " + t );
+         t = t.replace( /^\+/, "" ).toUpperCase();
+         let parts = t.split( /(?=[ED])/ );
+         if ( parts[0].indexOf( "." ) < 0 )
+            parts[0] += ".";
+         t = parts.join( "" );
+         return ( t.length <= 20 ) ? t : fitsNumberText( parseFloat( t.replace( "D", "E" ) ), true );
+      }
+
+      case "logical":
+         if ( /^(T|TRUE|Y|YES|1)$/i.test( t ) )
+            return "T";
+         if ( /^(F|FALSE|N|NO|0)$/i.test( t ) )
+            return "F";
+         throw new Error( "Not a valid logical value: " + t );
+
+      case "date":
+      {
+         let m = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(\.\d+)?)?)?$/.exec( t );
+         if ( m == null )
+            throw new Error( "Not a valid ISO-8601 date: " + t );
+         let month = parseInt( m[2], 10 );
+         let day = parseInt( m[3], 10 );
+         let daysInMonth = new Date( Date.UTC( parseInt( m[1], 10 ), month, 0 ) ).getUTCDate();
+         if ( month < 1 || month > 12 || day < 1 || day > daysInMonth ||
+              ( m[4] != undefined && ( parseInt( m[4], 10 ) > 23 || parseInt( m[5], 10 ) > 59 ) ) ||
+              ( m[6] != undefined && parseInt( m[6], 10 ) > 60 ) )
+            throw new Error( "Not a valid ISO-8601 date: " + t );
+         let date = m[1] + "-" + m[2] + "-" + m[3];
+         if ( m[4] != undefined )
+            date += "T" + m[4] + ":" + m[5] + ":" + ( ( m[6] != undefined ) ? m[6] : "00" ) + ( ( m[7] != undefined ) ? m[7] : "" );
+         return "'" + date + "'";
+      }
+
+      default:
+         return text;
+   }
+}
+
+
+/*
+ * Returns the text of a keyword value: string values lose their quotes
+ * (with '' unescaped) and trailing spaces, other values are trimmed.
+ */
+function fitsStringValue( value )
+{
+   let v = value.trim();
+   if ( v.charAt( 0 ) == "'" )
+   {
+      let end = v.lastIndexOf( "'" );
+      v = v.substring( 1, ( end > 0 ) ? end : v.length ).replace( /''/g, "'" ).trimRight();
+   }
+   return v;
+}
+
+
+/*
+ * Resolves the placeholders in a template for one file:
+ *
+ *    {KEYWORD}          value of a keyword in the file's header
+ *    {name} {file}      file name without / with its extension
+ *    {ext} {dir}        file extension, name of the parent directory
+ *    {path}             full file path
+ *    {name~/regex/}     first capture group (or the whole match) of a regular
+ *                       expression applied to any of the above
+ *    {...|filter}       filters: upper, lower, trim, date, time, or a
+ *                       format() specification such as %.1f; a colon may be
+ *                       used instead of the bar, as in {DATE-OBS:date}
+ *    {{ and }}          literal braces
+ *
+ * Throws an Error if a keyword is missing or a regular expression does not
+ * match.  If escapeQuotes is true, quotes in substituted text are doubled so
+ * that the result can sit inside a FITS string.
+ */
+function resolveTemplate( template, filePath, fitsKeys, escapeQuotes )
+{
+   let result = "";
+   for ( let i = 0; i < template.length; ++i )
+   {
+      let c = template.charAt( i );
+      if ( c == "{" && template.charAt( i + 1 ) == "{" )
+      {
+         result += "{";
+         ++i;
+      }
+      else if ( c == "}" && template.charAt( i + 1 ) == "}" )
+      {
+         result += "}";
+         ++i;
+      }
+      else if ( c == "{" )
+      {
+         //find the matching brace, allowing for braces within a regular expression
+         let depth = 1;
+         let j = i + 1;
+         for ( ; j < template.length && depth > 0; ++j )
+         {
+            if ( template.charAt( j ) == "{" ) ++depth;
+            else if ( template.charAt( j ) == "}" ) --depth;
+         }
+         if ( depth > 0 )
+            throw new Error( "Unterminated placeholder in template: " + template );
+         let text = resolvePlaceholder( template.substring( i + 1, j - 1 ), filePath, fitsKeys );
+         result += escapeQuotes ? text.replace( /'/g, "''" ) : text;
+         i = j - 1;
+      }
+      else
+         result += c;
+   }
+   return result;
+}
+
+
+function resolvePlaceholder( placeholder, filePath, fitsKeys )
+{
+   let source = placeholder;
+   let pattern = null;
+   let filters = "";
+
+   let tilde = placeholder.indexOf( "~" );
+   if ( tilde >= 0 )
+   {
+      //{source~/regex/flags|filters}
+      source = placeholder.substring( 0, tilde );
+      let rest = placeholder.substring( tilde + 1 );
+      let close = rest.lastIndexOf( "/" );
+      if ( rest.charAt( 0 ) != "/" || close < 1 )
+         throw new Error( "Regular expression must be written as /pattern/: {" + placeholder + "}" );
+      let tail = rest.substring( close + 1 );
+      let bar = tail.indexOf( "|" );
+      pattern = new RegExp( rest.substring( 1, close ), ( bar >= 0 ) ? tail.substring( 0, bar ) : tail );
+      filters = ( bar >= 0 ) ? tail.substring( bar + 1 ) : "";
+   }
+   else
+   {
+      let bar = placeholder.search( /[|:]/ );
+      if ( bar >= 0 )
+      {
+         source = placeholder.substring( 0, bar );
+         filters = placeholder.substring( bar + 1 );
+      }
+   }
+   source = source.trim();
+
+   let text = templateSourceText( source, filePath, fitsKeys );
+
+   if ( pattern != null )
+   {
+      let match = pattern.exec( text );
+      if ( match == null )
+         throw new Error( "Template pattern " + pattern.toString() + " does not match " + source + ": " + text );
+      text = ( match.length > 1 && match[1] != undefined ) ? match[1] : match[0];
+   }
+
+   if ( filters.length > 0 )
+   {
+      let list = filters.split( ( pattern != null ) ? "|" : /[|:]/ );
+      for ( let i = 0; i < list.length; ++i )
+         text = applyTemplateFilter( list[i].trim(), text );
+   }
+   return text;
+}
+
+
+function templateSourceText( source, filePath, fitsKeys )
+{
+   if ( filePath != undefined )
+   {
+      let dir = File.extractDirectory( filePath );
+      switch ( source )
+      {
+         case "name":
+            return fitsFileName( filePath );
+         case "file":
+            return File.extractNameAndExtension( filePath );
+         case "ext":
+            return ( fitsFileExtension( filePath ) != "" ) ? fitsFileExtension( filePath ) : File.extractExtension( filePath );
+         case "path":
+            return filePath;
+         case "dir":
+            return dir.substring( dir.lastIndexOf( "/" ) + 1 );
+      }
+   }
+
+   let name = fitsKeywordName( source );
+   let found = null;
+   for ( let i = 0; i < fitsKeys.length; ++i )
+      if ( fitsKeywordName( fitsKeys[i].name ) == name )
+         found = fitsKeys[i];
+   if ( found == null )
+      throw new Error( "Template keyword not found: " + name );
+   return fitsStringValue( found.value );
+}
+
+
+function applyTemplateFilter( filter, text )
+{
+   switch ( filter )
+   {
+      case "":
+         return text;
+      case "upper":
+         return text.toUpperCase();
+      case "lower":
+         return text.toLowerCase();
+      case "trim":
+         return text.trim();
+      case "date":
+         //date part of an ISO 8601 date/time
+         return text.split( "T" )[0];
+      case "time":
+         return ( text.indexOf( "T" ) >= 0 ) ? text.split( "T" )[1] : text;
+   }
+
+   if ( filter.charAt( 0 ) == "%" )
+   {
+      if ( /[diouxXeEfgG]$/.test( filter ) )
+      {
+         let number = parseFloat( text );
+         if ( isNaN( number ) )
+            throw new Error( "Template value is not numeric for " + filter + ": " + text );
+         return format( filter, number );
+      }
+      return format( filter, text );
+   }
+
+   throw new Error( "Unknown template filter: " + filter );
+}
+
+
+/*
+ * Resolves an output path template such as "{OBJECT}/{FILTER}/{name}" into a
+ * path relative to the output directory.  Each directory and file name is
+ * resolved as by resolveTemplate() and then made safe with safeFileName().
+ */
+function resolvePathTemplate( template, filePath, fitsKeys )
+{
+   //split at slashes outside placeholders
+   let parts = new Array;
+   let part = "";
+   let depth = 0;
+   for ( let i = 0; i < template.length; ++i )
+   {
+      let c = template.charAt( i );
+      if ( c == "{" )
+         ++depth;
+      else if ( c == "}" && depth > 0 )
+         --depth;
+      if ( ( c == "/" || c == "\\" ) && depth == 0 )
+      {
+         parts.push( part );
+         part = "";
+      }
+      else
+         part += c;
+   }
+   parts.push( part );
+
+   let names = new Array;
+   for ( let i = 0; i < parts.length; ++i )
+      if ( parts[i].trim().length > 0 )
+         names.push( safeFileName( resolveTemplate( parts[i], filePath, fitsKeys, false ) ) );
+   if ( names.length == 0 )
+      throw new Error( "The output name template is empty: " + template );
+   return names.join( "/" );
+}
+
+
+/*
+ * Replaces the characters that cannot appear in a file or directory name,
+ * and drops trailing dots and spaces.  Empty names and names such as ".."
+ * become a single underscore.
+ */
+function safeFileName( name )
+{
+   let safe = name.replace( /[\\\/:*?"<>|\x00-\x1f]/g, "_" ).trim().replace( /[. ]+$/, "" );
+   return ( safe.length == 0 ) ? "_" : safe;
+}
+
+
+/*
+ * Works out the value and comment of an add or edit operation for one file,
+ * according to the value mode.
+ */
+function resolveValue( mode, value, comment, filePath, fitsKeys )
+{
+   switch ( mode )
+   {
+      case "template":
+         return { value: resolveValueTemplate( value, filePath, fitsKeys ),
+                  comment: resolveTemplate( comment, filePath, fitsKeys, false ) };
+      case "expression":
+         return { value: evaluateExpression( value, fitsKeys ), comment: comment };
+      default:
+         return { value: value, comment: comment };
+   }
+}
+
+
+/*
+ * Evaluates an arithmetic expression over the numeric keyword values of a
+ * header and returns the result as FITS number text.  Each intermediate
+ * result carries whether it is real or integer, so that, for example, the
+ * sum of two integer keywords is written as an integer.
+ */
+function evaluateExpression( expression, fitsKeys )
+{
+   let tokens = tokenizeExpression( expression );
+   let position = 0;
+
+   let peek = function()
+   {
+      return ( position < tokens.length ) ? tokens[position] : null;
+   };
+   let next = function()
+   {
+      return tokens[position++];
+   };
+   let expect = function( text )
+   {
+      let token = next();
+      if ( token == undefined || token.text != text )
+         throw new Error( "Expected '" + text + "' in expression: " + expression );
+   };
+
+   let parseSum, parseProduct, parsePower, parseUnary, parsePrimary;
+
+   parseSum = function()
+   {
+      let left = parseProduct();
+      for ( let t = peek(); t != null && ( t.text == "+" || t.text == "-" ); t = peek() )
+      {
+         next();
+         let right = parseProduct();
+         left = { value: ( t.text == "+" ) ? left.value + right.value : left.value - right.value,
+                  real: left.real || right.real };
+      }
+      return left;
+   };
+
+   parseProduct = function()
+   {
+      let left = parsePower();
+      for ( let t = peek(); t != null && ( t.text == "*" || t.text == "/" ); t = peek() )
+      {
+         next();
+         let right = parsePower();
+         if ( t.text == "*" )
+            left = { value: left.value * right.value, real: left.real || right.real };
+         else
+         {
+            if ( right.value == 0 )
+               throw new Error( "Division by zero in expression: " + expression );
+            left = { value: left.value / right.value, real: true };
+         }
+      }
+      return left;
+   };
+
+   parsePower = function()
+   {
+      let base = parseUnary();
+      let t = peek();
+      if ( t != null && t.text == "^" )
+      {
+         next();
+         let exponent = parsePower();
+         return { value: Math.pow( base.value, exponent.value ), real: base.real || exponent.real || exponent.value < 0 };
+      }
+      return base;
+   };
+
+   parseUnary = function()
+   {
+      let t = peek();
+      if ( t != null && ( t.text == "-" || t.text == "+" ) )
+      {
+         next();
+         let operand = parseUnary();
+         return { value: ( t.text == "-" ) ? -operand.value : operand.value, real: operand.real };
+      }
+      return parsePrimary();
+   };
+
+   parsePrimary = function()
+   {
+      let t = next();
+      if ( t == undefined )
+         throw new Error( "Unexpected end of expression: " + expression );
+
+      if ( t.type == "number" )
+         return { value: parseFloat( t.text ), real: /[.eE]/.test( t.text ) };
+
+      if ( t.text == "(" )
+      {
+         let result = parseSum();
+         expect( ")" );
+         return result;
+      }
+
+      if ( t.type == "keyword" )
+         return numericKeywordValue( t.text, fitsKeys );
+
+      if ( t.type == "name" )
+      {
+         let u = peek();
+         if ( u == null || u.text != "(" )
+            return numericKeywordValue( t.text, fitsKeys );
+
+         //function call
+         next();
+         let args = new Array;
+         if ( peek() != null && peek().text != ")" )
+         {
+            args.push( parseSum() );
+            while ( peek() != null && peek().text == "," )
+            {
+               next();
+               args.push( parseSum() );
+            }
+         }
+         expect( ")" );
+         return applyExpressionFunction( t.text.toLowerCase(), args, expression );
+      }
+
+      throw new Error( "Unexpected '" + t.text + "' in expression: " + expression );
+   };
+
+   let result = parseSum();
+   if ( position < tokens.length )
+      throw new Error( "Unexpected '" + tokens[position].text + "' in expression: " + expression );
+
+   return fitsNumberText( result.value, result.real );
+}
+
+
+function tokenizeExpression( expression )
+{
+   let tokens = new Array;
+   let i = 0;
+   while ( i < expression.length )
+   {
+      let c = expression.charAt( i );
+      let rest = expression.substring( i );
+      let match;
+      if ( /\s/.test( c ) )
+      {
+         ++i;
+      }
+      else if ( ( match = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec( rest ) ) != null )
+      {
+         tokens.push( { type: "number", text: match[0] } );
+         i += match[0].length;
+      }
+      else if ( ( match = /^[A-Za-z_][A-Za-z0-9_]*/.exec( rest ) ) != null )
+      {
+         tokens.push( { type: "name", text: match[0] } );
+         i += match[0].length;
+      }
+      else if ( c == "{" )
+      {
+         let end = expression.indexOf( "}", i );
+         if ( end < 0 )
+            throw new Error( "Unterminated keyword name in expression: " + expression );
+         tokens.push( { type: "keyword", text: expression.substring( i + 1, end ).trim() } );
+         i = end + 1;
+      }
+      else if ( "+-*/^(),".indexOf( c ) >= 0 )
+      {
+         tokens.push( { type: "operator", text: c } );
+         ++i;
+      }
+      else
+         throw new Error( "Unexpected '" + c + "' in expression: " + expression );
+   }
+   return tokens;
+}
+
+
+/*
+ * Returns the numeric value of a keyword, and whether it is written as a real.
+ * Quoted strings holding a number are accepted.
+ */
+function numericKeywordValue( name, fitsKeys )
+{
+   let upperName = fitsKeywordName( name );
+   let found = null;
+   for ( let i = 0; i < fitsKeys.length; ++i )
+      if ( fitsKeywordName( fitsKeys[i].name ) == upperName )
+         found = fitsKeys[i];
+   if ( found == null )
+      throw new Error( "Expression keyword not found: " + upperName );
+
+   let text = fitsStringValue( found.value ).replace( /[dD]/, "E" );
+   if ( !/^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/.test( text ) )
+      throw new Error( "Expression keyword is not numeric: " + upperName + " = " + found.value.trim() );
+
+   return { value: parseFloat( text ), real: /[.eE]/.test( text ) };
+}
+
+
+function applyExpressionFunction( name, args, expression )
+{
+   let needArgs = function( count )
+   {
+      if ( args.length != count )
+         throw new Error( "Function " + name + " takes " + count + " argument" + ((count == 1) ? "" : "s") + ": " + expression );
+   };
+   let real = function( value )
+   {
+      return { value: value, real: true };
+   };
+
+   switch ( name )
+   {
+      case "round":
+         if ( args.length == 2 )
+         {
+            let scale = Math.pow( 10, Math.round( args[1].value ) );
+            return { value: Math.round( args[0].value * scale ) / scale, real: args[1].value > 0 };
+         }
+         needArgs( 1 );
+         return { value: Math.round( args[0].value ), real: false };
+      case "floor":
+         needArgs( 1 );
+         return { value: Math.floor( args[0].value ), real: false };
+      case "ceil":
+         needArgs( 1 );
+         return { value: Math.ceil( args[0].value ), real: false };
+      case "abs":
+         needArgs( 1 );
+         return { value: Math.abs( args[0].value ), real: args[0].real };
+      case "sqrt":
+         needArgs( 1 );
+         if ( args[0].value < 0 )
+            throw new Error( "Square root of a negative number in expression: " + expression );
+         return real( Math.sqrt( args[0].value ) );
+      case "min":
+      case "max":
+         if ( args.length < 1 )
+            throw new Error( "Function " + name + " needs at least one argument: " + expression );
+         return args.reduce( function( result, arg )
+         {
+            return ( ( name == "min" ) ? arg.value < result.value : arg.value > result.value ) ? arg : result;
+         } );
+      case "c2k":
+         needArgs( 1 );
+         return real( args[0].value + 273.15 );
+      case "k2c":
+         needArgs( 1 );
+         return real( args[0].value - 273.15 );
+      case "c2f":
+         needArgs( 1 );
+         return real( args[0].value * 9 / 5 + 32 );
+      case "f2c":
+         needArgs( 1 );
+         return real( ( args[0].value - 32 ) * 5 / 9 );
+      case "deg2rad":
+         needArgs( 1 );
+         return real( args[0].value * Math.PI / 180 );
+      case "rad2deg":
+         needArgs( 1 );
+         return real( args[0].value * 180 / Math.PI );
+      case "hours2deg":
+         needArgs( 1 );
+         return real( args[0].value * 15 );
+      case "deg2hours":
+         needArgs( 1 );
+         return real( args[0].value / 15 );
+      case "mm2um":
+         needArgs( 1 );
+         return { value: args[0].value * 1000, real: args[0].real };
+      case "um2mm":
+         needArgs( 1 );
+         return real( args[0].value / 1000 );
+      case "s2min":
+         needArgs( 1 );
+         return real( args[0].value / 60 );
+      case "min2s":
+         needArgs( 1 );
+         return { value: args[0].value * 60, real: args[0].real };
+   }
+
+   throw new Error( "Unknown function '" + name + "' in expression: " + expression );
+}
+
+
+/*
+ * Returns the number written as a FITS integer or real value (with an E or
+ * D exponent), or NaN if the text is not a number.
+ */
+function fitsNumber( text )
+{
+   let t = text.trim();
+   if ( !/^[+-]?(\d+\.?\d*|\.\d+)([eEdD][+-]?\d+)?$/.test( t ) )
+      return NaN;
+   return parseFloat( t.replace( /[dD]/, "E" ) );
+}
+
+
+/*
+ * Formats a number as a FITS integer or real value.  Reals always have a
+ * decimal point, and an upper case E if an exponent is needed.
+ */
+function fitsNumberText( value, real )
+{
+   if ( !isFinite( value ) )
+      throw new Error( "Expression result is not a finite number" );
+
+   if ( !real && Math.abs( value ) < 1e15 )
+      return Math.round( value ).toString();
+
+   let text = parseFloat( value.toPrecision( 15 ) ).toString().toUpperCase();
+   let mantissa = text.split( "E" )[0];
+   if ( mantissa.indexOf( "." ) < 0 )
+      text = mantissa + ".0" + text.substring( mantissa.length );
+   return text;
+}
+
+
+/*
+ * Resolves a value template to a FITS value.  A template that starts with a
+ * quote is a FITS string and its substitutions are escaped; otherwise the
+ * resolved text is converted as for plain text values.
+ */
+function resolveValueTemplate( template, filePath, fitsKeys )
+{
+   let t = template.trim();
+   if ( t.charAt( 0 ) == "'" )
+      return resolveTemplate( t, filePath, fitsKeys, true );
+   return fitsValueFromText( resolveTemplate( t, filePath, fitsKeys, false ) );
+}
+
+
+function keywordsToJSON( fitsKeys )
+{
+   let list = new Array;
+   for ( let i = 0; i < fitsKeys.length; ++i )
+      list.push( { name: fitsKeys[i].name, value: fitsKeys[i].value, comment: fitsKeys[i].comment } );
+   return list;
+}
+
+
+function keywordsFromJSON( list )
+{
+   let fitsKeys = new Array;
+   for ( let i = 0; i < list.length; ++i )
+      fitsKeys.push( new FITSKeyword( list[i].name, list[i].value, list[i].comment ) );
+   return fitsKeys;
+}
+
+
+/*
+ * Returns true if an operation names the keyword it adds, or has a keyword
+ * name or pattern to select the keywords it edits or removes.
+ */
+function operationHasKeyword( operation )
+{
+   if ( operation.action == "add" || operation.matchMode == "keyword" )
+      return operation.name.trim() != "";
+   return operation.namePattern != "" || operation.valuePattern != "" || operation.commentPattern != "";
+}
+
+
+function conditionToJSON( condition )
+{
+   return { name: condition.name, test: condition.test, value: condition.value };
+}
+
+
+function conditionFromJSON( object )
+{
+   return new FITSKeywordCondition( object.name, object.test, object.value );
+}
+
+
+/*
+ * Returns the values allowed for a setting of the engine or of an operation
+ * that takes one of a fixed set of values, or null for other settings.
+ */
+function settingChoices( name )
+{
+   switch ( name )
+   {
+      case "action":
+         return [ "add", "edit", "remove" ];
+      case "hduTarget":
+         return HDU_TARGETS;
+      case "collisionPolicy":
+         return COLLISION_POLICIES;
+      case "backupMode":
+         return BACKUP_MODES;
+      case "conditionLogic":
+         return [ "all", "any" ];
+      case "beforeAfter":
+      case "addBeforeAfter":
+         return [ "before", "after" ];
+      case "valueMode":
+      case "addValueMode":
+      case "editValueMode":
+         return VALUE_MODES;
+      case "valueType":
+      case "addValueType":
+      case "editValueType":
+         return VALUE_TYPES;
+      case "matchMode":
+      case "editMatchMode":
+      case "removeMatchMode":
+         return MATCH_MODES;
+      case "occurrence":
+      case "editOccurrence":
+      case "removeOccurrence":
+         return OCCURRENCES;
+   }
+   return null;
+}
+
+
+/*
+ * Throws an error unless an object has the form of a recipe, with known
+ * values for the settings that take one of a fixed set of values.
+ */
+function checkRecipe( recipe )
+{
+   if ( recipe == null || typeof recipe.name != "string" || recipe.name.trim() == "" ||
+        typeof recipe.settings != "object" || recipe.settings == null || !( recipe.operations instanceof Array ) )
+      throw new Error( "Not a valid recipe" + ( ( recipe != null && typeof recipe.name == "string" ) ? ": " + recipe.name : "" ) );
+
+   let objects = [ recipe.settings ].concat( recipe.operations );
+   for ( let i = 0; i < objects.length; ++i )
+      for ( let name in objects[i] )
+      {
+         let choices = settingChoices( name );
+         if ( choices != null && choices.indexOf( objects[i][name] ) < 0 )
+            throw new Error( "Recipe " + recipe.name + ": unknown " + name + " value: " + objects[i][name] );
+      }
+}
+
+
+/*
+ * Converts an operation to a plain object holding all of its settings, and
+ * back.  Settings missing from the object keep their defaults.
+ */
+function operationToJSON( operation )
+{
+   let object = {};
+   for ( let key in operation )
+      if ( typeof operation[key] != "function" )
+         object[key] = operation[key];
+   object.target = keywordsToJSON( [ operation.target ] )[0];
+   object.conditions = operation.conditions.map( conditionToJSON );
+   return object;
+}
+
+
+function operationFromJSON( object )
+{
+   let operation = new FITSKeywordOperation( object.action );
+   for ( let key in object )
+      if ( operation.hasOwnProperty( key ) && typeof operation[key] != "function" && key != "target" && key != "conditions" )
+         operation[key] = object[key];
+   if ( object.target != undefined )
+      operation.setTarget( keywordsFromJSON( [ object.target ] )[0] );
+   if ( object.conditions != undefined )
+      operation.conditions = object.conditions.map( conditionFromJSON );
+   return operation;
+}
+
+
+/*
+ * Converts a wildcard (* and ?) or regular expression pattern to a case
+ * insensitive RegExp.  Wildcards must match the whole text.
+ */
+function patternRegExp( pattern, mode, global )
+{
+   let flags = global ? "gi" : "i";
+   if ( mode == "wildcard" )
+   {
+      let source = pattern.replace( /[.+^${}()|[\]\\]/g, "\\$&" ).replace( /\*/g, ".*" ).replace( /\?/g, "." );
+      return new RegExp( "^" + source + "$", flags );
+   }
+   return new RegExp( pattern, flags );
+}
+
+
+function patternMatches( pattern, mode, text )
+{
+   if ( pattern == "" )
+      return true;
+   return patternRegExp( pattern, mode, false ).test( text );
+}
+
+
+function isFITSExtension( suffix )
+{
+   let lcSuffix = suffix.toLowerCase();
+   return (lcSuffix == ".fit") || (lcSuffix == ".fits") || (lcSuffix == ".fts");
+}
+
+
+/*
+ * Returns the extension of a FITS file name including any compression
+ * suffix, such as ".fits", ".fits.gz", ".fits.fz" or ".fz", or "" if the
+ * name is not that of a FITS file.
+ */
+function fitsFileExtension( filePath )
+{
+   let match = /(\.(fit|fits|fts)(\.fz|\.gz)?|\.fz)$/i.exec( File.extractNameAndExtension( filePath ) );
+   return ( match != null ) ? match[1] : "";
+}
+
+
+/*
+ * Returns a FITS file name without its directory or fitsFileExtension().
+ */
+function fitsFileName( filePath )
+{
+   let suffix = fitsFileExtension( filePath );
+   if ( suffix == "" )
+      return File.extractName( filePath );
+   let name = File.extractNameAndExtension( filePath );
+   return name.substring( 0, name.length - suffix.length );
+}
+
+
+/*
+ * File.appendToName() for FITS files, keeping a compound extension such as
+ * ".fits.gz" together.
+ */
+function appendToFITSName( filePath, text )
+{
+   let suffix = fitsFileExtension( filePath );
+   if ( suffix == "" )
+      return File.appendToName( filePath, text );
+   return File.extractDrive( filePath ) + File.extractDirectory( filePath ) + "/" + fitsFileName( filePath ) + text + suffix;
+}
+
+
+function isXISFFile( filePath )
+{
+   return File.extractExtension( filePath ).toLowerCase() == ".xisf";
+}
+
+
+function isCompressedFITSFile( filePath )
+{
+   return /\.(fz|gz)$/i.test( fitsFileExtension( filePath ) );
+}
+
+
+/*
+ * Opens a FITS file for reading, or creates one for writing, through a
+ * GzipInputFile or GzipOutputFile if the file is gzipped.
+ */
+function openFITSFile( filePath )
+{
+   if ( /\.gz$/i.test( fitsFileExtension( filePath ) ) )
+      return new GzipInputFile( filePath );
+   let f = new File;
+   f.openForReading( filePath );
+   return f;
+}
+
+
+/*
+ * Tests whether a whole FITS block starts at an offset of a file opened by
+ * openFITSFile().  A gzipped file is only inflated as far as that block.
+ */
+function hasFITSBlock( f, offset )
+{
+   if ( f instanceof GzipInputFile )
+   {
+      f.position = offset;
+      return f.position == offset && f.holds( FITS_BLOCK_LENGTH );
+   }
+   return offset + FITS_BLOCK_LENGTH <= f.size;
+}
+
+
+/*
+ * Reads up to count bytes from a file opened by openFITSFile(), as a
+ * ByteArray.  Fewer bytes are returned at the end of the file.
+ */
+function readFITSBytes( f, count )
+{
+   if ( !( f instanceof GzipInputFile ) )
+      count = Math.min( count, f.size - f.position );
+   return f.read( DataType_ByteArray, count );
+}
+
+
+/*
+ * Returns the headers of the HDUs given by readHDUs() that are visible to
+ * the user, one keyword array per HDU.
+ */
+function visibleHDUHeaders( hdus )
+{
+   return hdus.filter( function( hdu ) { return !hdu.hidden; } ).map( function( hdu ) { return hdu.imageKeywords; } );
+}
+
+
+function createFITSFile( filePath )
+{
+   if ( /\.gz$/i.test( fitsFileExtension( filePath ) ) )
+      return new GzipOutputFile( filePath );
+   let f = new File;
+   f.createForWriting( filePath );
+   return f;
+}
+
+
+/*
+ * Converts between a ByteArray and a string with one character per byte,
+ * so that UTF-8 text can be searched and spliced without being decoded.
+ */
+function byteArrayToBinaryString( bytes )
+{
+   let chunks = new Array;
+   for ( let i = 0; i < bytes.length; i += 4096 )
+   {
+      let codes = new Array;
+      for ( let j = i; j < bytes.length && j < i + 4096; ++j )
+         codes.push( bytes.at( j ) );
+      chunks.push( String.fromCharCode.apply( null, codes ) );
+   }
+   return chunks.join( "" );
+}
+
+
+function binaryStringToByteArray( text )
+{
+   let bytes = new ByteArray( text.length );
+   for ( let i = 0; i < text.length; ++i )
+      bytes.at( i, text.charCodeAt( i ) );
+   return bytes;
+}
+
+
+/*
+ * Parses the attributes of an XML start tag from a binary string, decoding
+ * entities and UTF-8.
+ */
+function xmlAttributes( text )
+{
+   let attributes = {};
+   let attributeRegExp = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+   let match;
+   while ( ( match = attributeRegExp.exec( text ) ) != null )
+   {
+      let value = ( match[2] != undefined ) ? match[2] : match[3];
+      try
+      {
+         value = decodeURIComponent( escape( value ) );
+      }
+      catch ( error )
+      {
+         //not UTF-8: leave the bytes as they are
+      }
+      attributes[match[1]] = value.replace( /&(#x[0-9a-fA-F]+|#[0-9]+|lt|gt|amp|quot|apos);/g, function( entity, code )
+      {
+         switch ( code )
+         {
+            case "lt":
+               return "<";
+            case "gt":
+               return ">";
+            case "amp":
+               return "&";
+            case "quot":
+               return "\"";
+            case "apos":
+               return "'";
+            default:
+               return String.fromCharCode( ( code.charAt( 1 ) == "x" ) ? parseInt( code.substring( 2 ), 16 ) : parseInt( code.substring( 1 ), 10 ) );
+         }
+      } );
+   }
+   return attributes;
+}
+
+
+/*
+ * Returns the XISF FITSKeyword element for a keyword, as a UTF-8 binary
+ * string.
+ */
+function xisfKeywordElement( fitsKeyword )
+{
+   let attribute = function( text )
+   {
+      return "\"" + text.replace( /&/g, "&amp;" ).replace( /</g, "&lt;" ).replace( />/g, "&gt;" ).replace( /"/g, "&quot;" ) + "\"";
+   };
+   return unescape( encodeURIComponent( "<FITSKeyword name=" + attribute( fitsKeyword.name.trim() ) +
+                                        " value=" + attribute( fitsKeyword.value.trim() ) +
+                                        " comment=" + attribute( fitsKeyword.comment.trim() ) + "/>" ) );
+}
+
+
+/*
+ * Builds the XML header of an XISF file read by readXISF() with new
+ * keywords, one keyword array per image.  The FITSKeyword elements of an
+ * image whose keywords have changed are replaced, in the place of the old
+ * ones and with the same spacing; everything else is left as it was.
+ */
+function xisfHeaderText( xisf, headers )
+{
+   let text = "";
+   let last = 0;
+   for ( let i = 0; i < xisf.images.length; ++i )
+   {
+      let image = xisf.images[i];
+      if ( keywordsEqual( headers[i], image.keywords ) )
+         continue;
+
+      let elements = headers[i].map( xisfKeywordElement );
+      if ( image.elements.length > 0 )
+      {
+         let separator = image.elements[0].space;
+         for ( let e = 0; e < image.elements.length; ++e )
+         {
+            text += xisf.xml.substring( last, image.elements[e].start );
+            if ( e == 0 && elements.length > 0 )
+               text += elements.join( separator ) + image.elements[image.elements.length - 1].space;
+            last = image.elements[e].end;
+         }
+      }
+      else if ( elements.length > 0 )
+      {
+         text += xisf.xml.substring( last, image.end );
+         if ( image.empty )
+         {
+            text += ">\n" + elements.join( "\n" ) + "\n</Image>";
+            last = image.end + 2;
+         }
+         else
+         {
+            text += elements.join( "\n" ) + "\n";
+            last = image.end;
+         }
+      }
+   }
+   return text + xisf.xml.substring( last );
+}
+
+
+/*
+ * Moves the positions of every attached data block in an XISF header.
+ */
+function shiftXISFAttachments( xml, shift )
+{
+   return xml.replace( /(location\s*=\s*["']attachment:)(\d+)/g, function( location, prefix, position )
+   {
+      return prefix + ( parseInt( position, 10 ) + shift );
+   } );
+}
+
+
+/*
+ * Returns the canonical form of a keyword name: upper case with single
+ * spaces.  Names that do not fit the standard 8-character form are given
+ * the HIERARCH prefix, so "ESO DET TEMP" and "HIERARCH  eso det temp" are
+ * both "HIERARCH ESO DET TEMP".
+ */
+function fitsKeywordName( name )
+{
+   let n = name.toUpperCase().trim().replace( /\s+/g, " " );
+   if ( n.indexOf( "HIERARCH " ) == 0 )
+      return n;
+   if ( n.length > 8 || n.indexOf( " " ) >= 0 )
+      return "HIERARCH " + n;
+   return n;
+}
+
+
+/*
+ * Returns the last keyword with the given name, or null.
+ */
+function findKeyword( fitsKeys, name )
+{
+   let found = null;
+   let n = fitsKeywordName( name );
+   for ( let i = 0; i < fitsKeys.length; ++i )
+      if ( fitsKeywordName( fitsKeys[i].name ) == n )
+         found = fitsKeys[i];
+   return found;
+}
+
+
+/*
+ * Returns the size in bytes, before padding, of the data unit described by
+ * a header: |BITPIX|/8 * GCOUNT * (PCOUNT + NAXIS1 * ... * NAXISn), where a
+ * zero NAXIS1 in a random groups header is left out of the product.
+ */
+function fitsDataSize( fitsKeys )
+{
+   let integer = function( name, defaultValue )
+   {
+      let k = findKeyword( fitsKeys, name );
+      return ( k != null ) ? parseInt( fitsStringValue( k.value ), 10 ) : defaultValue;
+   };
+
+   let naxis = integer( "NAXIS", 0 );
+   if ( naxis == 0 )
+      return 0;
+
+   let count = 1;
+   for ( let n = 1; n <= naxis; ++n )
+   {
+      let length = integer( "NAXIS" + n, 0 );
+      if ( !( n == 1 && length == 0 && findKeyword( fitsKeys, "GROUPS" ) != null ) )
+         count *= length;
+   }
+   return Math.abs( integer( "BITPIX", 8 ) ) / 8 * integer( "GCOUNT", 1 ) * ( integer( "PCOUNT", 0 ) + count );
+}
+
+
+/*
+ * Tests whether a header describes an image: the primary header or an
+ * IMAGE extension, with at least one axis.  Keywords from an XISF image
+ * (with neither SIMPLE nor XTENSION) always belong to an image.
+ */
+function isImageHDU( fitsKeys )
+{
+   if ( findKeyword( fitsKeys, "SIMPLE" ) == null && findKeyword( fitsKeys, "XTENSION" ) == null )
+      return true;
+   let naxis = findKeyword( fitsKeys, "NAXIS" );
+   if ( naxis == null || parseInt( naxis.value, 10 ) == 0 )
+      return false;
+   let xtension = findKeyword( fitsKeys, "XTENSION" );
+   return xtension == null || fitsStringValue( xtension.value ).toUpperCase() == "IMAGE";
+}
+
+
+/*
+ * Returns a short description of HDU index of a file for display, such as
+ * "primary HDU" or "HDU 2 SCI (IMAGE)".
+ */
+function hduLabel( headers, index )
+{
+   if ( index == 0 )
+      return "primary HDU";
+   let extname = findKeyword( headers[index], "EXTNAME" );
+   let xtension = findKeyword( headers[index], "XTENSION" );
+   return "HDU " + index + ( ( extname != null ) ? " " + fitsStringValue( extname.value ) : "" ) +
+          ( ( xtension != null ) ? " (" + fitsStringValue( xtension.value ) + ")" : "" );
+}
+
+
+/*
+ * Tests whether a header is that of a tile-compressed image, as written by
+ * fpack: a binary table with ZIMAGE = T.
+ */
+function isCompressedImageHDU( fitsKeys )
+{
+   let zimage = findKeyword( fitsKeys, "ZIMAGE" );
+   let xtension = findKeyword( fitsKeys, "XTENSION" );
+   return zimage != null && zimage.value.trim() == "T" &&
+          xtension != null && fitsStringValue( xtension.value ).toUpperCase() == "BINTABLE";
+}
+
+
+/*
+ * Returns the name a keyword of a tile-compressed image header has in the
+ * header of the uncompressed image: ZBITPIX is BITPIX, ZNAXISn is NAXISn and
+ * so on, while keywords that only describe the compressed table (TFORMn,
+ * ZCMPTYPE, ZTILEn, ...) have no name and give null.  Other keywords keep
+ * their own name.
+ */
+function uncompressedKeywordName( fitsKeyword )
+{
+   let name = fitsKeywordName( fitsKeyword.name );
+   let mapped = { ZSIMPLE: "SIMPLE", ZTENSION: "XTENSION", ZBITPIX: "BITPIX", ZNAXIS: "NAXIS",
+                  ZPCOUNT: "PCOUNT", ZGCOUNT: "GCOUNT", ZEXTEND: "EXTEND", ZBLOCKED: "BLOCKED",
+                  ZHECKSUM: "CHECKSUM", ZDATASUM: "DATASUM" };
+   if ( mapped.hasOwnProperty( name ) )
+      return mapped[name];
+   if ( /^ZNAXIS\d+$/.test( name ) )
+      return name.substring( 1 );
+   if ( /^(XTENSION|BITPIX|NAXIS\d*|PCOUNT|GCOUNT|TFIELDS|THEAP|CHECKSUM|DATASUM|T(TYPE|FORM|UNIT|SCAL|ZERO|NULL|DIM|DISP)\d+)$/.test( name ) ||
+        /^(ZIMAGE|ZCMPTYPE|ZMASKCMP|ZQUANTIZ|ZDITHER0|ZSCALE|ZZERO|ZBLANK|Z(TILE|NAME|VAL)\d+)$/.test( name ) )
+      return null;
+   //fpack names a compressed primary image, funpack drops the name again
+   if ( name == "EXTNAME" && fitsStringValue( fitsKeyword.value ).toUpperCase() == "COMPRESSED_IMAGE" )
+      return null;
+   return fitsKeyword.name;
+}
+
+
+/*
+ * Builds the header of the image held by a tile-compressed image HDU: the
+ * structural keywords from ZSIMPLE/ZTENSION, ZBITPIX, ZNAXIS and ZNAXISn,
+ * then the image's own keywords in their order in the compressed header.
+ */
+function uncompressedKeywords( fitsKeys )
+{
+   let image = new Array;
+   let copy = function( zname, name, defaultValue )
+   {
+      let k = findKeyword( fitsKeys, zname );
+      if ( k != null )
+         image.push( new FITSKeyword( name, k.value, k.comment ) );
+      else if ( defaultValue != undefined )
+         image.push( new FITSKeyword( name, defaultValue, "" ) );
+   };
+
+   let primary = findKeyword( fitsKeys, "ZSIMPLE" ) != null;
+   if ( primary )
+      copy( "ZSIMPLE", "SIMPLE" );
+   else
+      copy( "ZTENSION", "XTENSION", "'IMAGE   '" );
+   copy( "ZBITPIX", "BITPIX" );
+   copy( "ZNAXIS", "NAXIS", "0" );
+   let naxis = parseInt( image[image.length - 1].value, 10 );
+   for ( let n = 1; n <= naxis; ++n )
+      copy( "ZNAXIS" + n, "NAXIS" + n );
+   if ( primary )
+   {
+      copy( "ZEXTEND", "EXTEND" );
+   }
+   else
+   {
+      copy( "ZPCOUNT", "PCOUNT", "0" );
+      copy( "ZGCOUNT", "GCOUNT", "1" );
+   }
+
+   for ( let i = 0; i < fitsKeys.length; ++i )
+   {
+      let name = uncompressedKeywordName( fitsKeys[i] );
+      if ( name == null || ( name != fitsKeys[i].name && isProtectedKeyword( name ) ) )
+         continue;
+      image.push( ( name == fitsKeys[i].name ) ? fitsKeys[i] : new FITSKeyword( name, fitsKeys[i].value, fitsKeys[i].comment ) );
+   }
+   return image;
+}
+
+
+/*
+ * Rebuilds the header of a tile-compressed image HDU for the image keywords
+ * given, the reverse of uncompressedKeywords().  The compression keywords of
+ * the original compressed header are kept where they were, and the image's
+ * own keywords take the place of the old ones; the image's structural
+ * keywords cannot be edited and are left out.
+ */
+function compressedKeywords( compressedKeys, imageKeys )
+{
+   let zname = { CHECKSUM: "ZHECKSUM", DATASUM: "ZDATASUM", BLOCKED: "ZBLOCKED" };
+   let ownKeys = new Array;
+   for ( let i = 0; i < imageKeys.length; ++i )
+   {
+      let name = fitsKeywordName( imageKeys[i].name );
+      if ( /^(SIMPLE|XTENSION|BITPIX|NAXIS\d*|EXTEND|PCOUNT|GCOUNT)$/.test( name ) )
+         continue;
+      ownKeys.push( zname.hasOwnProperty( name ) ? new FITSKeyword( zname[name], imageKeys[i].value, imageKeys[i].comment ) : imageKeys[i] );
+   }
+
+   let named = findKeyword( imageKeys, "EXTNAME" ) != null;
+   let fitsKeys = new Array;
+   let placed = false;
+   for ( let i = 0; i < compressedKeys.length; ++i )
+   {
+      let name = uncompressedKeywordName( compressedKeys[i] );
+      if ( name == null && named && fitsKeywordName( compressedKeys[i].name ) == "EXTNAME" )
+         continue;
+      if ( name == null || ( name != compressedKeys[i].name && isProtectedKeyword( name ) ) )
+      {
+         fitsKeys.push( compressedKeys[i] );
+      }
+      else if ( !placed )
+      {
+         fitsKeys = fitsKeys.concat( ownKeys );
+         placed = true;
+      }
+   }
+   return placed ? fitsKeys : fitsKeys.concat( ownKeys );
+}
+
+
+function keywordsEqual( fitsKeys1, fitsKeys2 )
+{
+   if ( fitsKeys1.length != fitsKeys2.length )
+      return false;
+   for ( let i = 0; i < fitsKeys1.length; ++i )
+      if ( fitsKeywordName( fitsKeys1[i].name ) != fitsKeywordName( fitsKeys2[i].name ) ||
+           fitsKeys1[i].value.trim() != fitsKeys2[i].value.trim() ||
+           fitsKeys1[i].comment.trim() != fitsKeys2[i].comment.trim() )
+         return false;
+   return true;
+}
+
+
+/*
+ * Mandatory and structural keywords that describe the data layout.  These
+ * are never added, edited or removed, and nothing is inserted among them.
+ */
+function isProtectedKeyword( name )
+{
+   let n = fitsKeywordName( name );
+   return /^(SIMPLE|BITPIX|NAXIS\d*|EXTEND|BZERO|BSCALE|END|XTENSION|PCOUNT|GCOUNT)$/.test( n );
+}
+
+
+/*
+ * Returns the number of structural keywords at the start of a header.
+ */
+function structuralKeywordCount( fitsKeys )
+{
+   let count = 0;
+   while ( count < fitsKeys.length && isProtectedKeyword( fitsKeys[count].name ) )
+      ++count;
+   return count;
+}
+
+
+function isCommentaryKeyword( name )
+{
+   let n = name.toUpperCase().trim();
+   return (n == "COMMENT") || (n == "HISTORY") || (n == "");
+}
+
+
+/*
+ * Joins string values written with the long-string CONTINUE convention into
+ * one logical keyword: a string ending in '&' is continued by the string of
+ * the following CONTINUE card.  The comments of the cards are joined too.
+ */
+function mergeContinueKeywords( fitsKeys )
+{
+   let merged = new Array;
+   for ( let i = 0; i < fitsKeys.length; ++i )
+   {
+      let value = fitsKeys[i].value.trim();
+      if ( value.charAt( 0 ) != "'" || fitsKeywordName( fitsKeys[i].name ) == "CONTINUE" )
+      {
+         merged.push( fitsKeys[i] );
+         continue;
+      }
+
+      let text = fitsStringValue( value );
+      let comments = [ fitsKeys[i].comment.trim() ];
+      let first = i;
+      while ( text.charAt( text.length - 1 ) == "&" &&
+              i + 1 < fitsKeys.length &&
+              fitsKeywordName( fitsKeys[i + 1].name ) == "CONTINUE" &&
+              fitsKeys[i + 1].value.trim().charAt( 0 ) == "'" )
+      {
+         ++i;
+         text = text.substring( 0, text.length - 1 ) + fitsStringValue( fitsKeys[i].value );
+         comments.push( fitsKeys[i].comment.trim() );
+      }
+
+      if ( i == first )
+         merged.push( fitsKeys[i] );
+      else
+         merged.push( new FITSKeyword( fitsKeys[first].name, "'" + text.replace( /'/g, "''" ) + "'",
+                                       comments.filter( function( c ) { return c != ""; } ).join( " " ) ) );
+   }
+   return merged;
+}
+
+
+/*
+ * Returns the text of the header card for a keyword that needs one card,
+ * without padding or truncation.  Strings start in column 11 and other
+ * values are right justified to column 30; HIERARCH cards have the value
+ * straight after " = ".
+ */
+function fitsCardText( fitsKeyword )
+{
+   let name = fitsKeywordName( fitsKeyword.name );
+   let value = fitsKeyword.value.trim();
+   let comment = fitsKeyword.comment.trim();
+
+   if ( isCommentaryKeyword( name ) )
+      return padRight( name, 8 ) + comment;
+   if ( name == "HIERARCH" && value == "" )
+      return name + " " + comment;         //a HIERARCH card without an equals sign holds only text
+
+   let card;
+   if ( name.indexOf( "HIERARCH " ) == 0 )
+      card = name + " = " + value;
+   else if ( name == "CONTINUE" )
+      card = "CONTINUE  " + value;
+   else
+      card = padRight( name, 8 ) + "= " + ( ( value.charAt( 0 ) == "'" ) ? padRight( value, 20 ) : padLeft( value, 20 ) );
+   if ( comment.length > 0 )
+      card += " / " + comment;
+   return card;
+}
+
+
+/*
+ * Returns keywords as they read back from the header cards they are
+ * written to: long text is written over several cards, and CONTINUE cards
+ * are merged again on reading.
+ */
+function fitsCardsReadBack( fitsKeys )
+{
+   let cardKeys = new Array;
+   for ( let i = 0; i < fitsKeys.length; ++i )
+      cardKeys = cardKeys.concat( fitsCardKeywords( fitsKeys[i] ) );
+   return mergeContinueKeywords( cardKeys );
+}
+
+
+/*
+ * Checks that the keywords read back from a written file are the keywords
+ * expected, names, values and comments, and throws an Error if not.  A
+ * comment cut short at the end of its card only has to match as far as it
+ * goes.
+ */
+function verifyKeywords( keywords, expected, outputFilePath, where )
+{
+   if ( keywords.length != expected.length )
+      throw new Error( "Verification failed - keyword count mismatch" + where + ": " + outputFilePath );
+   for ( let i = 0; i < expected.length; ++i )
+   {
+      let comment = expected[i].comment.trim();
+      let writtenComment = keywords[i].comment.trim();
+      let truncated = fitsCardText( expected[i] ).length > FITS_CARD_LENGTH && comment.indexOf( writtenComment ) == 0;
+      if ( ( fitsKeywordName( keywords[i].name ) != fitsKeywordName( expected[i].name ) ) ||
+           ( keywords[i].value.trim() != expected[i].value.trim() ) )
+         throw new Error( "Verification failed - keyword mismatch at " + expected[i].name.trim() + where + ": " + outputFilePath );
+      if ( writtenComment != comment && !truncated )
+         throw new Error( "Verification failed - comment mismatch at " + expected[i].name.trim() + where + ": " + outputFilePath );
+   }
+}
+
+
+/*
+ * Checks a header against the FITS standard.  Returns a list of problems,
+ * each { severity: "error" or "warning", message }.  Errors are illegal
+ * characters in names, values or comments, values too long for a card, bad
+ * value syntax and mandatory keywords out of order; duplicate keywords and
+ * comments that will be truncated are warnings.
+ */
+function lintHeader( fitsKeys )
+{
+   let problems = new Array;
+   let problem = function( severity, message )
+   {
+      problems.push( { severity: severity, message: message } );
+   };
+
+   //SIMPLE, BITPIX, NAXIS and NAXISn must come first, in that order
+   let names = fitsKeys.map( function( k ) { return fitsKeywordName( k.name ); } );
+   if ( names.indexOf( "SIMPLE" ) >= 0 )
+   {
+      let expected = [ "SIMPLE", "BITPIX", "NAXIS" ];
+      let naxis = ( names[2] == "NAXIS" ) ? parseInt( fitsKeys[2].value, 10 ) : 0;
+      for ( let n = 1; n <= naxis; ++n )
+         expected.push( "NAXIS" + n );
+      for ( let i = 0; i < expected.length; ++i )
+         if ( names[i] != expected[i] )
+         {
+            problem( "error", "Mandatory keyword " + expected[i] + " is not keyword " + (i + 1) );
+            break;
+         }
+   }
+
+   let counts = {};
+   for ( let i = 0; i < fitsKeys.length; ++i )
+   {
+      let name = names[i];
+      let commentary = isCommentaryKeyword( name ) || name == "CONTINUE" ||
+                       ( name == "HIERARCH" && fitsKeys[i].value.trim() == "" );
+
+      if ( name.indexOf( "HIERARCH " ) == 0 ? !/^HIERARCH( [A-Z0-9_-]+)+$/.test( name ) : !/^[A-Z0-9_-]*$/.test( name ) )
+         problem( "error", "Illegal characters in keyword name: " + name );
+      if ( /[^\x20-\x7E]/.test( fitsKeys[i].value + fitsKeys[i].comment ) )
+         problem( "error", "Non-printable or non-ASCII characters in keyword: " + name );
+      if ( !commentary && !isFITSValue( fitsKeys[i].value ) )
+         problem( "error", "Bad value syntax: " + name + " = " + fitsKeys[i].value.trim() );
+
+      let cards = fitsCardKeywords( fitsKeys[i] );
+      for ( let c = 0; c < cards.length; ++c )
+      {
+         if ( fitsCardText( new FITSKeyword( cards[c].name, cards[c].value, "" ) ).length > FITS_CARD_LENGTH )
+            problem( "error", "Value too long for a header card: " + name );
+         else if ( fitsCardText( cards[c] ).length > FITS_CARD_LENGTH )
+            problem( "warning", "Comment will be truncated: " + name );
+      }
+
+      if ( !commentary && name != "" )
+         counts[name] = ( counts[name] || 0 ) + 1;
+   }
+
+   for ( let name in counts )
+      if ( counts[name] > 1 )
+         problem( "warning", "Duplicate keyword: " + name + " (" + counts[name] + " times)" );
+
+   return problems;
+}
+
+
+/*
+ * Splits a keyword into keywords that each fit on one header card.  A string
+ * value too long for one card, or with a comment that does not fit, is
+ * continued on CONTINUE cards; long COMMENT and HISTORY text is wrapped over
+ * several cards.  Keywords that fit, and other values, are returned as is.
+ */
+function fitsCardKeywords( fitsKeyword )
+{
+   let name = fitsKeywordName( fitsKeyword.name );
+   let value = fitsKeyword.value.trim();
+   let comment = fitsKeyword.comment.trim();
+   let commentLength = ( comment.length > 0 ) ? comment.length + 3 : 0;
+
+   if ( isCommentaryKeyword( name ) )
+   {
+      if ( 8 + comment.length <= FITS_CARD_LENGTH )
+         return [ fitsKeyword ];
+      return wrapText( comment, FITS_CARD_LENGTH - 8 ).map( function( line ) { return new FITSKeyword( name, "", line ); } );
+   }
+
+   let prefixLength = ( name.indexOf( "HIERARCH " ) == 0 ) ? name.length + 3 : 10;
+   let valueLength = ( prefixLength == 10 ) ? Math.max( value.length, 20 ) : value.length;
+   if ( value.charAt( 0 ) != "'" || name == "CONTINUE" ||
+        prefixLength + valueLength + commentLength <= FITS_CARD_LENGTH )
+      return [ fitsKeyword ];
+
+   //split the quoted text, without separating the two quotes of an escaped quote
+   let text = fitsStringValue( value ).replace( /'/g, "''" );
+   let pieces = new Array;
+   let room = FITS_CARD_LENGTH - prefixLength - 3;
+   do
+   {
+      let n = Math.min( room, text.length );
+      let quotes = 0;
+      while ( n - quotes > 0 && text.charAt( n - quotes - 1 ) == "'" )
+         ++quotes;
+      if ( quotes % 2 == 1 && n < text.length )
+         --n;
+      pieces.push( text.substring( 0, n ) );
+      text = text.substring( n );
+      room = FITS_CARD_LENGTH - 13;
+   }
+   while ( text.length > 0 );
+
+   let cards = new Array;
+   for ( let i = 0; i < pieces.length; ++i )
+      cards.push( new FITSKeyword( ( i == 0 ) ? name : "CONTINUE",
+                                   "'" + pieces[i] + ( ( i < pieces.length - 1 ) ? "&" : "" ) + "'", "" ) );
+
+   //the comment goes on the last card if it fits, otherwise on CONTINUE cards of its own
+   let last = cards[cards.length - 1];
+   let lastPrefixLength = ( cards.length == 1 ) ? prefixLength : 10;
+   if ( comment.length > 0 && lastPrefixLength + last.value.length + commentLength <= FITS_CARD_LENGTH )
+   {
+      last.comment = comment;
+   }
+   else if ( comment.length > 0 )
+   {
+      last.value = last.value.substring( 0, last.value.length - 1 ) + "&'";
+      let lines = wrapText( comment, FITS_CARD_LENGTH - 16 );
+      for ( let i = 0; i < lines.length; ++i )
+         cards.push( new FITSKeyword( "CONTINUE", ( i < lines.length - 1 ) ? "'&'" : "''", lines[i] ) );
+   }
+   return cards;
+}
+
+
+/*
+ * Wraps text into lines of at most width characters, breaking at spaces
+ * where possible.
+ */
+function wrapText( text, width )
+{
+   let lines = new Array;
+   let rest = text.trim();
+   while ( rest.length > width )
+   {
+      let n = rest.lastIndexOf( " ", width );
+      if ( n <= 0 )
+         n = width;
+      lines.push( rest.substring( 0, n ).trimRight() );
+      rest = rest.substring( n ).trimLeft();
+   }
+   lines.push( rest );
+   return lines;
+}
+
+
+/*
+ * Returns a keyword as readable card text for display
+ */
+function fitsKeywordText( fitsKeyword )
+{
+   let text = padRight( fitsKeyword.name.trim(), 8 );
+   if ( isCommentaryKeyword( fitsKeyword.name ) )
+      return text + fitsKeyword.comment.trim();
+
+   text += "= " + fitsKeyword.value.trim();
+   if ( fitsKeyword.comment.trim().length > 0 )
+      text += " / " + fitsKeyword.comment.trim();
+   return text;
+}
+
+
+function padRight( text, length )
+{
+   while ( text.length < length ) { text += " "; }
+   return text;
+}
+
+
+function padLeft( text, length )
+{
+   while ( text.length < length ) { text = " " + text; }
+   return text;
+}
+
+
+
+/*
+ * Deflate (RFC 1951) tables: base values and extra bits of the length and
+ * distance codes, the order of the code length code lengths, and the CRC-32
+ * used by gzip (RFC 1952).
+ */
+function deflateTables()
+{
+   let crc = new Array( 256 );
+   for ( let n = 0; n < 256; ++n )
+   {
+      let c = n;
+      for ( let k = 0; k < 8; ++k )
+         c = ( c & 1 ) ? ( 0xedb88320 ^ ( c >>> 1 ) ) : ( c >>> 1 );
+      crc[n] = c;
+   }
+
+   return {
+      lengthBase: [ 3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258 ],
+      lengthExtra: [ 0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0 ],
+      distanceBase: [ 1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537,
+                      2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577 ],
+      distanceExtra: [ 0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13 ],
+      codeLengthOrder: [ 16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15 ],
+      crc: crc
+   };
+}
+
+
+/*
+ * Code lengths of the fixed Huffman codes: literal/length codes, then
+ * distance codes.
+ */
+function fixedCodeLengths()
+{
+   let lengths = new Array;
+   for ( let i = 0; i < 288; ++i )
+      lengths.push( ( i < 144 ) ? 8 : ( i < 256 ) ? 9 : ( i < 280 ) ? 7 : 8 );
+   for ( let i = 0; i < 30; ++i )
+      lengths.push( 5 );
+   return lengths;
+}
+
+
+
+/*
+ * Returns a Uint8Array twice the size of buffer, holding its first length
+ * bytes.
+ */
+function grownBuffer( buffer, length )
+{
+   let grown = new Uint8Array( 2*buffer.length );
+   grown.set( buffer.subarray( 0, length ) );
+   return grown;
+}
+
+
+
+/*
+ * Reads a gzipped file as the file it holds, inflating it on the fly.  It
+ * provides the part of the File interface used to read FITS files:
+ * position, isEOF, seekEnd(), read() and close().  Moving the position
+ * forward inflates and discards data, and moving it back starts again from
+ * the beginning, so a header near the start of a large file is read quickly
+ * as long as the reader stops there; finding the last HDU inflates it all.
+ * The gzip trailer only holds the size of the last member, modulo 2^32, so
+ * there is no size: the length is the position after seekEnd(), and holds()
+ * tests for data ahead.
+ */
+function GzipInputFile( filePath )
+{
+   let tables = deflateTables();
+   let file = new File;
+
+   let input = new ByteArray;       // compressed data being read
+   let inputIndex = 0;
+   let bitBuffer = 0;
+   let bitCount = 0;
+
+   let window = new Uint8Array( DEFLATE_WINDOW_SIZE );
+   let windowIndex = 0;
+   let output = new Uint8Array( RAW_COPY_CHUNK_SIZE );
+   let outputIndex = 0;             // output[outputIndex] to output[outputLength - 1] are not yet read
+   let outputLength = 0;
+   let position = 0;                // offset of output[outputIndex]
+
+   let crc = 0;
+   let memberSize = 0;
+   let memberStart = true;
+   let streamEnd = false;
+   let fixedCodes = null;
+
+   let nextByte = function()
+   {
+      if ( inputIndex >= input.length )
+      {
+         if ( file.isEOF )
+            throw new Error( "Unexpected end of compressed data: " + filePath );
+         input = file.read( DataType_ByteArray, Math.min( RAW_COPY_CHUNK_SIZE, file.size - file.position ) );
+         inputIndex = 0;
+      }
+      return input.at( inputIndex++ );
+   };
+
+   let bits = function( count )
+   {
+      while ( bitCount < count )
+      {
+         bitBuffer |= nextByte() << bitCount;
+         bitCount += 8;
+      }
+      let value = bitBuffer & ( ( 1 << count ) - 1 );
+      bitBuffer >>>= count;
+      bitCount -= count;
+      return value;
+   };
+
+   let uint32 = function()
+   {
+      let value = 0;
+      for ( let i = 0; i < 4; ++i )
+         value += nextByte() * Math.pow( 2, 8*i );
+      return value;
+   };
+
+   //canonical Huffman code from code lengths: the number of codes of each length and the symbols in code order
+   let huffman = function( lengths )
+   {
+      let counts = new Array( 16 );
+      let offsets = new Array( 16 );
+      for ( let i = 0; i < 16; ++i )
+         counts[i] = 0;
+      for ( let i = 0; i < lengths.length; ++i )
+         counts[lengths[i]]++;
+      counts[0] = 0;
+      offsets[1] = 0;
+      for ( let i = 1; i < 15; ++i )
+         offsets[i + 1] = offsets[i] + counts[i];
+      let symbols = new Array( lengths.length );
+      for ( let i = 0; i < lengths.length; ++i )
+         if ( lengths[i] != 0 )
+            symbols[offsets[lengths[i]]++] = i;
+      return { counts: counts, symbols: symbols };
+   };
+
+   let decode = function( code )
+   {
+      let value = 0;
+      let first = 0;
+      let index = 0;
+      for ( let length = 1; length < 16; ++length )
+      {
+         value |= bits( 1 );
+         let count = code.counts[length];
+         if ( value - count < first )
+            return code.symbols[index + value - first];
+         index += count;
+         first = ( first + count ) << 1;
+         value <<= 1;
+      }
+      throw new Error( "Invalid compressed data: " + filePath );
+   };
+
+   let emit = function( b )
+   {
+      if ( outputLength == output.length )
+         output = grownBuffer( output, outputLength );
+      output[outputLength++] = b;
+      window[windowIndex] = b;
+      windowIndex = ( windowIndex + 1 ) & ( DEFLATE_WINDOW_SIZE - 1 );
+      crc = tables.crc[( crc ^ b ) & 0xff] ^ ( crc >>> 8 );
+      ++memberSize;
+   };
+
+   let readMemberHeader = function()
+   {
+      if ( nextByte() != 0x1f || nextByte() != 0x8b || nextByte() != 8 )
+         throw new Error( "Not a gzip file: " + filePath );
+      let flags = nextByte();
+      for ( let i = 0; i < 6; ++i )
+         nextByte(); // modification time, extra flags, operating system
+      if ( flags & 4 )
+      {
+         let length = nextByte() + nextByte() * 256;
+         for ( let i = 0; i < length; ++i )
+            nextByte();
+      }
+      if ( flags & 8 )
+         while ( nextByte() != 0 );
+      if ( flags & 16 )
+         while ( nextByte() != 0 );
+      if ( flags & 2 )
+      {
+         nextByte();
+         nextByte();
+      }
+      crc = 0xffffffff;
+      memberSize = 0;
+      memberStart = false;
+   };
+
+   let inflateCodes = function( literalCode, distanceCode )
+   {
+      for ( ;; )
+      {
+         let symbol = decode( literalCode );
+         if ( symbol < 256 )
+         {
+            emit( symbol );
+         }
+         else if ( symbol == 256 )
+         {
+            return;
+         }
+         else
+         {
+            symbol -= 257;
+            if ( symbol >= 29 )
+               throw new Error( "Invalid compressed data: " + filePath );
+            let length = tables.lengthBase[symbol] + bits( tables.lengthExtra[symbol] );
+            let d = decode( distanceCode );
+            if ( d >= 30 )
+               throw new Error( "Invalid compressed data: " + filePath );
+            let distance = tables.distanceBase[d] + bits( tables.distanceExtra[d] );
+            if ( distance > memberSize )
+               throw new Error( "Invalid compressed data: " + filePath );
+            for ( ; length > 0; --length )
+               emit( window[( windowIndex - distance ) & ( DEFLATE_WINDOW_SIZE - 1 )] );
+         }
+      }
+   };
+
+   //inflates one deflate block, and reads the gzip trailer after the last block of a member
+   let inflateBlock = function()
+   {
+      if ( memberStart )
+         readMemberHeader();
+
+      let last = bits( 1 );
+      switch ( bits( 2 ) )
+      {
+         case 0:
+         {
+            bitBuffer = 0;
+            bitCount = 0;
+            let length = nextByte() + nextByte() * 256;
+            nextByte();
+            nextByte();
+            for ( let i = 0; i < length; ++i )
+               emit( nextByte() );
+            break;
+         }
+         case 1:
+         {
+            if ( fixedCodes == null )
+            {
+               let lengths = fixedCodeLengths();
+               fixedCodes = { literal: huffman( lengths.slice( 0, 288 ) ), distance: huffman( lengths.slice( 288 ) ) };
+            }
+            inflateCodes( fixedCodes.literal, fixedCodes.distance );
+            break;
+         }
+         case 2:
+         {
+            let literalCount = bits( 5 ) + 257;
+            let distanceCount = bits( 5 ) + 1;
+            let codeLengthCount = bits( 4 ) + 4;
+            let codeLengths = new Array( 19 );
+            for ( let i = 0; i < 19; ++i )
+               codeLengths[tables.codeLengthOrder[i]] = ( i < codeLengthCount ) ? bits( 3 ) : 0;
+            let codeLengthCode = huffman( codeLengths );
+
+            let lengths = new Array;
+            while ( lengths.length < literalCount + distanceCount )
+            {
+               let symbol = decode( codeLengthCode );
+               if ( symbol < 16 )
+               {
+                  lengths.push( symbol );
+                  continue;
+               }
+               let repeat = 0;
+               let value = 0;
+               if ( symbol == 16 )
+               {
+                  if ( lengths.length == 0 )
+                     throw new Error( "Invalid compressed data: " + filePath );
+                  value = lengths[lengths.length - 1];
+                  repeat = 3 + bits( 2 );
+               }
+               else
+               {
+                  repeat = ( symbol == 17 ) ? 3 + bits( 3 ) : 11 + bits( 7 );
+               }
+               for ( ; repeat > 0; --repeat )
+                  lengths.push( value );
+            }
+            if ( lengths.length > literalCount + distanceCount )
+               throw new Error( "Invalid compressed data: " + filePath );
+
+            inflateCodes( huffman( lengths.slice( 0, literalCount ) ), huffman( lengths.slice( literalCount ) ) );
+            break;
+         }
+         default:
+            throw new Error( "Invalid compressed data: " + filePath );
+      }
+
+      if ( last )
+      {
+         bitBuffer = 0;
+         bitCount = 0;
+         if ( uint32() != ( ( crc ^ 0xffffffff ) >>> 0 ) )
+            throw new Error( "CRC error in compressed data: " + filePath );
+         if ( uint32() != memberSize % 4294967296 )
+            throw new Error( "Length error in compressed data: " + filePath );
+
+         //another member may follow; anything else is ignored, as gzip does
+         memberStart = true;
+         streamEnd = true;
+         if ( inputIndex < input.length || !file.isEOF )
+         {
+            streamEnd = nextByte() != 0x1f;
+            --inputIndex;
+         }
+      }
+   };
+
+   //inflates until count bytes are waiting or the data ends
+   let fill = function( count )
+   {
+      while ( outputLength - outputIndex < count && !streamEnd )
+         inflateBlock();
+   };
+
+   let consume = function( count )
+   {
+      outputIndex += count;
+      position += count;
+      if ( outputIndex >= RAW_COPY_CHUNK_SIZE )
+      {
+         output.set( output.subarray( outputIndex, outputLength ) );
+         outputLength -= outputIndex;
+         outputIndex = 0;
+      }
+   };
+
+   let rewind = function()
+   {
+      file.position = 0;
+      input = new ByteArray;
+      inputIndex = 0;
+      bitBuffer = 0;
+      bitCount = 0;
+      windowIndex = 0;
+      outputIndex = 0;
+      outputLength = 0;
+      position = 0;
+      memberStart = true;
+      streamEnd = false;
+   };
+
+   file.openForReading( filePath );
+   if ( file.size < 18 )
+   {
+      file.close();
+      throw new Error( "Not a gzip file: " + filePath );
+   }
+   rewind();
+
+   Object.defineProperty( this, "position", {
+      get: function() { return position; },
+      set: function( newPosition )
+      {
+         if ( newPosition < position )
+            rewind();
+         while ( position < newPosition )
+         {
+            fill( Math.min( newPosition - position, RAW_COPY_CHUNK_SIZE ) );
+            let count = Math.min( newPosition - position, outputLength - outputIndex );
+            if ( count == 0 )
+               break;
+            consume( count );
+         }
+      }
+   } );
+
+   Object.defineProperty( this, "isEOF", {
+      get: function()
+      {
+         fill( 1 );
+         return outputLength == outputIndex;
+      }
+   } );
+
+   //moves to the end of the inflated data, whose length is then the position
+   this.seekEnd = function()
+   {
+      for ( ;; )
+      {
+         consume( outputLength - outputIndex );
+         if ( streamEnd )
+            break;
+         inflateBlock();
+      }
+   };
+
+   //tests whether count bytes follow the position
+   this.holds = function( count )
+   {
+      fill( count );
+      return outputLength - outputIndex >= count;
+   };
+
+   this.read = function( dataType, count )
+   {
+      let bytes = this.readBytes( count );
+      let data = new ByteArray( bytes.length );
+      for ( let i = 0; i < bytes.length; ++i )
+         data.at( i, bytes[i] );
+      return data;
+   };
+
+   //as read(), but returns a Uint8Array, which GzipOutputFile.write() also takes
+   this.readBytes = function( count )
+   {
+      fill( count );
+      let n = Math.min( count, outputLength - outputIndex );
+      let data = new Uint8Array( output.subarray( outputIndex, outputIndex + n ) );
+      consume( n );
+      return data;
+   };
+
+   this.close = function()
+   {
+      file.close();
+   };
+}
+
+
+
+/*
+ * Writes a gzipped file from the data passed to write(), in order, and
+ * finishes it on close().  Data is deflated in blocks with the fixed Huffman
+ * codes, using matches found through a hash of the previous 32 KiB.  This
+ * compresses less well than gzip itself but is quick enough in script, and
+ * the result is read by any gzip reader.
+ */
+function GzipOutputFile( filePath )
+{
+   let tables = deflateTables();
+   let file = new File;
+
+   let crc = 0xffffffff;
+   let size = 0;
+   let data = new Uint8Array( DEFLATE_WINDOW_SIZE + DEFLATE_BLOCK_SIZE );
+   let dataLength = 0;              // up to 32 KiB already deflated, then data still to deflate
+   let dataStart = 0;               // offset of data[0]
+   let deflated = 0;                // offset of the first byte still to deflate
+   let head = new Int32Array( 1 << 15 );
+   let chain = new Int32Array( DEFLATE_WINDOW_SIZE );
+   for ( let i = 0; i < head.length; ++i )
+      head[i] = -1;
+
+   let output = new Uint8Array( RAW_COPY_CHUNK_SIZE );
+   let outputLength = 0;
+   let bitBuffer = 0;
+   let bitCount = 0;
+
+   let putByte = function( b )
+   {
+      if ( outputLength == output.length )
+         output = grownBuffer( output, outputLength );
+      output[outputLength++] = b;
+   };
+
+   let putBits = function( value, count )
+   {
+      bitBuffer |= value << bitCount;
+      bitCount += count;
+      while ( bitCount >= 8 )
+      {
+         putByte( bitBuffer & 0xff );
+         bitBuffer >>>= 8;
+         bitCount -= 8;
+      }
+   };
+
+   //Huffman codes are sent most significant bit first, so they are stored reversed
+   let reversed = function( code, length )
+   {
+      let r = 0;
+      for ( let i = 0; i < length; ++i )
+      {
+         r = ( r << 1 ) | ( code & 1 );
+         code >>= 1;
+      }
+      return r;
+   };
+
+   let fixedLengths = fixedCodeLengths();
+   let literalCodes = new Array( 288 );
+   for ( let i = 0; i < 288; ++i )
+   {
+      //fixed codes are assigned in the order 256-279, 0-143, 280-287, 144-255
+      let code = ( i < 144 ) ? 0x30 + i : ( i < 256 ) ? 0x190 + i - 144 : ( i < 280 ) ? i - 256 : 0xc0 + i - 280;
+      literalCodes[i] = reversed( code, fixedLengths[i] );
+   }
+   let distanceCodes = new Array( 30 );
+   for ( let i = 0; i < 30; ++i )
+      distanceCodes[i] = reversed( i, 5 );
+   let lengthSymbols = new Array( 259 );
+   for ( let i = 28; i >= 0; --i )
+      for ( let length = tables.lengthBase[i]; length < tables.lengthBase[i] + ( 1 << tables.lengthExtra[i] ) && length <= 258; ++length )
+         if ( lengthSymbols[length] == undefined )
+            lengthSymbols[length] = i;
+
+   let putSymbol = function( symbol )
+   {
+      putBits( literalCodes[symbol], fixedLengths[symbol] );
+   };
+
+   let putMatch = function( length, distance )
+   {
+      let l = lengthSymbols[length];
+      putSymbol( 257 + l );
+      putBits( length - tables.lengthBase[l], tables.lengthExtra[l] );
+      let d = 29;
+      while ( tables.distanceBase[d] > distance )
+         --d;
+      putBits( distanceCodes[d], 5 );
+      putBits( distance - tables.distanceBase[d], tables.distanceExtra[d] );
+   };
+
+   let flush = function()
+   {
+      if ( outputLength == 0 )
+         return;
+      let bytes = new ByteArray( outputLength );
+      for ( let i = 0; i < outputLength; ++i )
+         bytes.at( i, output[i] );
+      file.write( bytes );
+      outputLength = 0;
+   };
+
+   let deflateBlock = function( last )
+   {
+      putBits( last ? 1 : 0, 1 );
+      putBits( 1, 2 ); // fixed Huffman codes
+
+      let end = dataStart + dataLength;
+      let insert = function( offset )
+      {
+         if ( offset + 3 <= end )
+         {
+            let i = offset - dataStart;
+            let h = ( ( data[i] << 10 ) ^ ( data[i + 1] << 5 ) ^ data[i + 2] ) & 0x7fff;
+            chain[offset & ( DEFLATE_WINDOW_SIZE - 1 )] = head[h];
+            head[h] = offset;
+         }
+      };
+
+      for ( let offset = deflated; offset < end; )
+      {
+         let bestLength = 0;
+         let bestDistance = 0;
+         if ( offset + 3 <= end )
+         {
+            let i = offset - dataStart;
+            let candidate = head[( ( data[i] << 10 ) ^ ( data[i + 1] << 5 ) ^ data[i + 2] ) & 0x7fff];
+            let maxLength = Math.min( 258, end - offset );
+            for ( let tries = 0; tries < DEFLATE_MAX_CHAIN && candidate >= dataStart && offset - candidate <= DEFLATE_WINDOW_SIZE; ++tries )
+            {
+               let j = candidate - dataStart;
+               let length = 0;
+               while ( length < maxLength && data[j + length] == data[i + length] )
+                  ++length;
+               if ( length > bestLength )
+               {
+                  bestLength = length;
+                  bestDistance = offset - candidate;
+                  if ( length == maxLength )
+                     break;
+               }
+               let next = chain[candidate & ( DEFLATE_WINDOW_SIZE - 1 )];
+               if ( next >= candidate )
+                  break;
+               candidate = next;
+            }
+         }
+
+         if ( bestLength >= 3 )
+         {
+            putMatch( bestLength, bestDistance );
+            for ( let k = 0; k < bestLength; ++k )
+               insert( offset + k );
+            offset += bestLength;
+         }
+         else
+         {
+            putSymbol( data[offset - dataStart] );
+            insert( offset );
+            ++offset;
+         }
+      }
+      putSymbol( 256 );
+
+      deflated = end;
+      if ( dataLength > DEFLATE_WINDOW_SIZE )
+      {
+         data.set( data.subarray( dataLength - DEFLATE_WINDOW_SIZE, dataLength ) );
+         dataLength = DEFLATE_WINDOW_SIZE;
+         dataStart = end - DEFLATE_WINDOW_SIZE;
+      }
+      if ( outputLength >= RAW_COPY_CHUNK_SIZE )
+         flush();
+   };
+
+   let putUint32 = function( value )
+   {
+      for ( let i = 0; i < 4; ++i )
+         putByte( Math.floor( value / Math.pow( 2, 8*i ) ) & 0xff );
+   };
+
+   file.createForWriting( filePath );
+   [ 0x1f, 0x8b, 8, 0, 0, 0, 0, 0, 0, 255 ].forEach( putByte ); // no name or time, unknown operating system
+
+   //takes a ByteArray or a Uint8Array
+   this.write = function( bytes )
+   {
+      while ( dataLength + bytes.length > data.length )
+         data = grownBuffer( data, dataLength );
+      if ( bytes instanceof Uint8Array )
+         data.set( bytes, dataLength );
+      else
+         for ( let i = 0; i < bytes.length; ++i )
+            data[dataLength + i] = bytes.at( i );
+      for ( let i = dataLength; i < dataLength + bytes.length; ++i )
+         crc = tables.crc[( crc ^ data[i] ) & 0xff] ^ ( crc >>> 8 );
+      dataLength += bytes.length;
+      size += bytes.length;
+      if ( dataStart + dataLength - deflated >= DEFLATE_BLOCK_SIZE )
+         deflateBlock( false );
+   };
+
+   this.close = function()
+   {
+      try
+      {
+         deflateBlock( true );
+         if ( bitCount > 0 )
+            putBits( 0, 8 - bitCount );
+         putUint32( ( crc ^ 0xffffffff ) >>> 0 );
+         putUint32( size % 4294967296 );
+         flush();
+      }
+      finally
+      {
+         file.close();
+      }
+   };
+}
+
+
+
+/*
+ * A single add, edit or remove step within an edit plan
+ */
+function FITSKeywordOperation( action )
+{
+   this.action = action;                        // "add", "edit" or "remove"
+   this.name = "";                              // keyword to add, or the keyword being edited/removed
+   this.value = "";
+   this.valueMode = "literal";                  // "literal", "template" or "expression"
+   this.valueType = "raw";                      // one of VALUE_TYPES
+   this.comment = "";
+   this.target = new FITSKeyword( "", "", "" ); // add location, or the keyword to edit/remove
+   this.matchName = false;
+   this.beforeAfter = "before";
+   this.allowDuplicates = false;
+
+   //edit/remove matching: the selected target keyword, or wildcard/regex patterns
+   this.matchMode = "keyword";                  // "keyword", "wildcard" or "regex"
+   this.namePattern = "";
+   this.valuePattern = "";
+   this.commentPattern = "";
+   this.occurrence = "last";                    // "first", "last" or "all"
+   this.replaceMatch = false;                   // edit: replace the text matched by the value pattern
+
+   this.conditions = new Array;                 // FITSKeywordCondition objects a file must meet
+   this.conditionLogic = "all";                 // "all" or "any" of the conditions
+   this.filePath = "";                          // the only input file to edit, or "" for every file
+   this.hdu = -1;                               // with filePath, the only HDU to edit, or -1 for the target HDUs
+
+   this.setTarget = function( fitsKeyword )
+   {
+      this.target = new FITSKeyword( fitsKeyword.name, fitsKeyword.value, fitsKeyword.comment );
+   }
+
+   this.setPatterns = function( matchMode, namePattern, valuePattern, commentPattern )
+   {
+      this.matchMode = matchMode;
+      if ( matchMode != "keyword" )
+      {
+         this.namePattern = namePattern;
+         this.valuePattern = valuePattern;
+         this.commentPattern = commentPattern;
+         this.name = ( namePattern != "" ) ? namePattern : "*";
+      }
+   }
+
+   /*
+    * Tests a keyword against the target or patterns.  Empty patterns match
+    * anything, and matching is case insensitive.  The value of a COMMENT or
+    * HISTORY card is its text.
+    */
+   this.matches = function( fitsKeyword )
+   {
+      if ( this.matchMode == "keyword" )
+         return isFITSEqual( this.target, fitsKeyword, this.matchName );
+
+      let valueText = isCommentaryKeyword( fitsKeyword.name ) ? fitsKeyword.comment : fitsStringValue( fitsKeyword.value );
+      return patternMatches( this.namePattern, this.matchMode, fitsKeyword.name.trim() ) &&
+             patternMatches( this.valuePattern, this.matchMode, valueText.trim() ) &&
+             patternMatches( this.commentPattern, this.matchMode, fitsKeyword.comment.trim() );
+   }
+
+   this.matchingIndices = function( fitsKeys )
+   {
+      let indices = new Array;
+      for ( let j = 0; j < fitsKeys.length; ++j )
+         if ( this.matches( fitsKeys[j] ) )
+            indices.push( j );
+      return indices;
+   }
+
+   this.selectOccurrences = function( indices )
+   {
+      if ( indices.length == 0 || this.occurrence == "all" )
+         return indices;
+      return [ ( this.occurrence == "first" ) ? indices[0] : indices[indices.length - 1] ];
+   }
+
+   /*
+    * Returns the edited copy of a matched keyword.  With replaceMatch the text
+    * matched by the value pattern is replaced by the new value (which may use
+    * $1 etc. in regex mode).  In pattern modes an empty comment keeps the
+    * existing comment.  COMMENT and HISTORY cards hold their text in the
+    * comment, so a new value replaces that text.
+    */
+   this.editedKeyword = function( fitsKeyword, value, comment )
+   {
+      let newValue = value;
+      if ( this.replaceMatch && this.matchMode != "keyword" && this.valuePattern != "" )
+      {
+         let regExp = patternRegExp( this.valuePattern, this.matchMode, true/*global*/ );
+         if ( isCommentaryKeyword( fitsKeyword.name ) )
+            return new FITSKeyword( fitsKeyword.name, fitsKeyword.value,
+                                    fitsKeyword.comment.replace( regExp, fitsStringValue( value ) ) );
+
+         let replaced = fitsStringValue( fitsKeyword.value ).replace( regExp, fitsStringValue( value ) );
+         newValue = ( fitsKeyword.value.trim().charAt( 0 ) == "'" ) ? "'" + replaced.replace( /'/g, "''" ) + "'" : replaced;
+      }
+
+      let newComment = comment;
+      if ( isCommentaryKeyword( fitsKeyword.name ) && value.trim() != "" )
+         return new FITSKeyword( fitsKeyword.name, fitsKeyword.value, fitsStringValue( value ) );
+      if ( this.matchMode != "keyword" && comment.trim() == "" )
+         newComment = fitsKeyword.comment;
+
+      return new FITSKeyword( fitsKeyword.name, newValue, newComment );
+   }
+
+   this.appliesTo = function( filePath, hdu )
+   {
+      return this.filePath == "" || ( this.filePath == filePath && ( this.hdu < 0 || this.hdu == hdu ) );
+   }
+
+   this.conditionsMet = function( fitsKeys )
+   {
+      if ( this.conditions.length == 0 )
+         return true;
+      for ( let i = 0; i < this.conditions.length; ++i )
+      {
+         let met = this.conditions[i].isMet( fitsKeys );
+         if ( met != ( this.conditionLogic == "all" ) )
+            return met;
+      }
+      return this.conditionLogic == "all";
+   }
+
+   this.conditionText = function()
+   {
+      let parts = new Array;
+      for ( let i = 0; i < this.conditions.length; ++i )
+         parts.push( this.conditions[i].description() );
+      return parts.join( ( this.conditionLogic == "all" ) ? " and " : " or " );
+   }
+
+   this.locationText = function()
+   {
+      if ( this.filePath != "" )
+         return this.matchLocationText() + ", in " + File.extractNameAndExtension( this.filePath ) +
+                ( ( this.hdu > 0 ) ? " HDU " + this.hdu : "" );
+      return this.matchLocationText();
+   }
+
+   this.matchLocationText = function()
+   {
+      if ( this.action != "add" )
+      {
+         if ( this.matchMode != "keyword" )
+         {
+            let parts = new Array;
+            if ( this.namePattern != "" ) parts.push( "name " + this.namePattern );
+            if ( this.valuePattern != "" ) parts.push( "value " + this.valuePattern );
+            if ( this.commentPattern != "" ) parts.push( "comment " + this.commentPattern );
+            return this.matchMode + " " + ( ( parts.length > 0 ) ? parts.join( ", " ) : "any keyword" ) +
+                   ", " + this.occurrence + ( this.replaceMatch ? ", replace match" : "" );
+         }
+         return ( this.matchName ? "match name" : "match name, value, comment" ) +
+                ( ( this.occurrence != "last" ) ? ", " + this.occurrence : "" );
+      }
+      if ( this.target.name == "" )
+      {
+         return "at end";
+      }
+      return this.beforeAfter + " " + this.target.name.trim();
+   }
+
+   this.description = function()
+   {
+      let condition = ( this.conditions.length > 0 ) ? ", if " + this.conditionText() : "";
+      switch ( this.action )
+      {
+         case "add":
+            return "Keyword: " + this.name + ", added " + this.locationText() +
+                   " with value: " + this.value + ", and comment: " + this.comment + condition;
+         case "edit":
+            return "Keyword: " + this.name + ", edited with value: " + this.value +
+                   ", and comment: " + this.comment + " (" + this.locationText() + ")" + condition;
+         default:
+            return "Keyword: " + this.name + ", removed (" + this.locationText() + ")" + condition;
+      }
+   }
+}
+
+
+
+/*
+ * A test on one keyword of a file header.  Value tests use the last card
+ * with the keyword name, or any card for COMMENT and HISTORY.  String
+ * comparisons ignore case and quotes; numeric comparisons fail if either
+ * side is not a number.
+ */
+function FITSKeywordCondition( name, test, value )
+{
+   this.name = fitsKeywordName( name );
+   this.test = test;                            // one of CONDITION_TESTS
+   this.value = value;
+
+   if ( this.test == "regex" )
+      new RegExp( fitsStringValue( this.value ), "i" );   // throws if invalid
+
+   this.cardValues = function( fitsKeys )
+   {
+      let values = new Array;
+      for ( let i = 0; i < fitsKeys.length; ++i )
+         if ( fitsKeywordName( fitsKeys[i].name ) == this.name )
+         {
+            if ( isCommentaryKeyword( this.name ) )
+               values.push( fitsKeys[i].comment.trim() );
+            else
+               values = [ fitsStringValue( fitsKeys[i].value ) ];
+         }
+      return values;
+   }
+
+   this.valueMeets = function( text )
+   {
+      let wanted = fitsStringValue( this.value );
+      let number = /^[+-]?(\d+\.?\d*|\.\d+)([eEdD][+-]?\d+)?$/;
+      let numeric = number.test( text ) && number.test( wanted );
+      let difference = numeric ? parseFloat( text.replace( /[dD]/, "E" ) ) - parseFloat( wanted.replace( /[dD]/, "E" ) ) : NaN;
+      switch ( this.test )
+      {
+         case "blank":
+            return text == "";
+         case "equals":
+            return numeric ? difference == 0 : text.toUpperCase() == wanted.toUpperCase();
+         case "notequals":
+            return numeric ? difference != 0 : text.toUpperCase() != wanted.toUpperCase();
+         case "lt":
+            return difference < 0;
+         case "le":
+            return difference <= 0;
+         case "gt":
+            return difference > 0;
+         case "ge":
+            return difference >= 0;
+         case "regex":
+            return new RegExp( wanted, "i" ).test( text );
+         default:
+            return true;
+      }
+   }
+
+   this.isMet = function( fitsKeys )
+   {
+      let values = this.cardValues( fitsKeys );
+      switch ( this.test )
+      {
+         case "exists":
+            return values.length > 0;
+         case "missing":
+            return values.length == 0;
+         case "blank":
+            if ( values.length == 0 )
+               return true;
+            break;
+         case "notequals":
+            if ( values.length == 0 )
+               return true;
+            for ( let i = 0; i < values.length; ++i )
+               if ( !this.valueMeets( values[i] ) )
+                  return false;
+            return true;
+      }
+      for ( let i = 0; i < values.length; ++i )
+         if ( this.valueMeets( values[i] ) )
+            return true;
+      return false;
+   }
+
+   this.description = function()
+   {
+      switch ( this.test )
+      {
+         case "exists":
+            return this.name + " exists";
+         case "missing":
+            return this.name + " is missing";
+         case "blank":
+            return this.name + " is blank";
+         case "regex":
+            return this.name + " matches /" + this.value + "/";
+         default:
+            return this.name + " " + CONDITION_SYMBOLS[CONDITION_TESTS.indexOf( this.test )] + " " + this.value;
+      }
+   }
+}
+
+
+
+/*
+ * Parses numeric tolerances separated by semicolons or commas, such as
+ * "CCD-TEMP = 2; SET-TEMP = 0.5".  Returns an object keyed by keyword name.
+ */
+function parseTolerances( text )
+{
+   let tolerances = {};
+   let parts = text.split( /[;,]/ );
+   for ( let i = 0; i < parts.length; ++i )
+   {
+      let part = parts[i].trim();
+      if ( part == "" )
+         continue;
+      let match = /^(.+?)\s*=\s*(\S+)$/.exec( part );
+      let tolerance = ( match != null ) ? fitsNumber( match[2] ) : NaN;
+      if ( isNaN( tolerance ) || tolerance < 0 )
+         throw new Error( "Not a tolerance: " + part );
+      tolerances[fitsKeywordName( match[1] )] = tolerance;
+   }
+   return tolerances;
+}
+
+
+/*
+ * Parses conditions written as FITSKeywordCondition.description() gives
+ * them, separated by semicolons: "IMAGETYP = 'Light Frame'; FILTER is
+ * missing; EXPTIME >= 60; OBJECT matches /^M/".  Throws an Error for text
+ * that is not a condition.
+ */
+function parseConditions( text )
+{
+   let conditions = new Array;
+   let parts = text.split( ";" );
+   for ( let i = 0; i < parts.length; ++i )
+   {
+      let part = parts[i].trim();
+      if ( part == "" )
+         continue;
+
+      let match = /^(.+?)\s+(?:is\s+)?(exists|missing|blank)$/i.exec( part );
+      if ( match != null )
+      {
+         conditions.push( new FITSKeywordCondition( match[1], match[2].toLowerCase(), "" ) );
+         continue;
+      }
+      match = /^(.+?)\s+matches\s+(.+)$/i.exec( part );
+      if ( match != null )
+      {
+         let pattern = match[2].trim();
+         if ( pattern.length > 1 && pattern.charAt( 0 ) == "/" && pattern.charAt( pattern.length - 1 ) == "/" )
+            pattern = pattern.substring( 1, pattern.length - 1 );
+         conditions.push( new FITSKeywordCondition( match[1], "regex", pattern ) );
+         continue;
+      }
+      match = /^(.+?)\s*(!=|<=|>=|=|<|>)\s*(.*)$/.exec( part );
+      if ( match == null || match[1].trim() == "" )
+         throw new Error( "Not a condition: " + part );
+      conditions.push( new FITSKeywordCondition( match[1], CONDITION_TESTS[CONDITION_SYMBOLS.indexOf( match[2] )], match[3].trim() ) );
+   }
+   return conditions;
+}
+
+
+
+
+
+
+
+/*
+ * Batch FITS keyword edit dialog
+ */
+function BatchFITSKeywordEditDialog( engine )
+{
+   this.__base__ = Dialog;
+   this.__base__();
+
+   this.engine = engine;
+
+   //
+
+   //let labelWidth1 = this.font.width( "Output format hints:" + 'T' );
+   var labelWidth1 = this.font.width( "Modify output file name with:" );
+   var commentWidth = 36 * this.font.width( "M" );
+   this.textEditWidth = 25 * this.font.width( "M" );
+   this.numericEditWidth = 6 * this.font.width( "0" );
+
+   var valueModeToolTip =
+      "<p>Literal: the value and comment are written exactly as entered.</p>" +
+      "<p>Template: the value and comment are worked out for each file from " +
+      "placeholders in braces:</p>" +
+      "<p><b>{KEYWORD}</b> the value of another keyword in the same header<br>" +
+      "<b>{name}</b>, <b>{file}</b>, <b>{ext}</b> the file name without or with " +
+      "its extension, and the extension<br>" +
+      "<b>{dir}</b>, <b>{path}</b> the parent directory name and the full path<br>" +
+      "<b>{name~/_(Ha|OIII|SII)_/}</b> the first capture group of a regular " +
+      "expression applied to any of the above<br>" +
+      "<b>{EXPTIME|%.0f}</b>, <b>{OBJECT|upper}</b> formatting filters: upper, " +
+      "lower, trim, date, time or a format specification<br>" +
+      "<b>{{</b> and <b>}}</b> literal braces</p>" +
+      "<p>For example <b>{TELESCOP}-{INSTRUME}</b>.  Files where a placeholder " +
+      "cannot be resolved are not processed.</p>" +
+      "<p>Expression: the value is calculated for each file from the numeric " +
+      "values of other keywords, for example <b>XPIXSZ * XBINNING</b> or " +
+      "<b>round({CCD-TEMP}, 1)</b>.  Keyword names containing a hyphen must be " +
+      "written in braces.  Operators: + - * / ^ and parentheses.  Functions: " +
+      "round(x[, digits]), floor, ceil, abs, sqrt, min, max, and the unit " +
+      "conversions c2k, k2c, c2f, f2c, deg2rad, rad2deg, hours2deg, deg2hours, " +
+      "mm2um, um2mm, s2min, min2s.  The comment is written as entered.  Files " +
+      "where a keyword is missing or not numeric are not processed.</p>";
+
+   var valueTypeNames = [ "As typed", "String", "Integer", "Float", "Logical", "Date/time" ];
+   var valueTypeToolTip =
+      "<p>The type of the value, used to check it and write it in standard FITS form.</p>" +
+      "<p>As typed: written exactly as entered, which must be a valid FITS value " +
+      "(strings in single quotes, T or F for logicals).<br>" +
+      "String: quoted, with any quotes in the text doubled.<br>" +
+      "Integer: digits with an optional sign.<br>" +
+      "Float: a number, always written with a decimal point.<br>" +
+      "Logical: T or F (true/false and yes/no are also accepted).<br>" +
+      "Date/time: ISO-8601, YYYY-MM-DD or YYYY-MM-DDThh:mm:ss[.sss].</p>" +
+      "<p>Template and expression results are formatted the same way.</p>";
+
+   this.previewFilePath = "";
+   this.previewKeywords = new Array;
+
+   // Header label
+
+   this.helpLabel = new Label( this );
+   this.helpLabel.frameStyle = FrameStyle_Box;
+   this.helpLabel.margin = this.logicalPixelsToPhysical( 4 );
+   this.helpLabel.wordWrapping = true;
+   this.helpLabel.useRichText = true;
+   this.helpLabel.text = "<p><b>" + TITLE + " v" + VERSION + "</b> &mdash; "  +
+                         "A batch utility to edit, add or remove FITS keywords in FITS files.</p>" +
+                         "<p>Copyright &copy; 2021 Michael Cranfield</p>";
+
+
+   // File input
+
+   this.files_TreeBox = new TreeBox( this );
+   this.files_TreeBox.multipleSelection = true;
+   this.files_TreeBox.rootDecoration = false;
+   this.files_TreeBox.alternateRowColor = true;
+   this.files_TreeBox.setScaledMinSize( 500, 200 );
+   this.files_TreeBox.numberOfColumns = 1;
+   this.files_TreeBox.headerVisible = false;
+
+   this.files_TreeBox.onNodeSelectionUpdated = function()
+   {
+      this.dialog.updateControls(true)
+   }
+
+   for ( let i = 0; i < this.engine.inputFiles.length; ++i )
+   {
+      let node = new TreeBoxNode( this.files_TreeBox );
+      node.setText( 0, this.engine.inputFiles[i] );
+   }
+
+   //adds files to the input list, leaving out duplicates
+   this.addInputFiles = function( filePaths )
+   {
+      let added = this.engine.addInputFiles( filePaths );
+      this.files_TreeBox.canUpdate = false;
+      for ( let i = 0; i < added.length; ++i )
+      {
+         let node = new TreeBoxNode( this.files_TreeBox );
+         node.setText( 0, added[i] );
+      }
+      this.files_TreeBox.canUpdate = true;
+      if ( added.length < filePaths.length )
+         console.noteln( format( "%d file%s already in the input list", filePaths.length - added.length,
+                                 ( filePaths.length - added.length == 1 ) ? " is" : "s are" ) );
+      this.updateControls( true );
+   }
+
+   //adds the files of a folder that pass the folder filters
+   this.addFolder = function( directory )
+   {
+      try
+      {
+         let filePaths = this.engine.findFolderFiles( directory );
+         if ( filePaths.length == 0 )
+            console.warningln( "No files found in <raw>" + directory + "</raw>" );
+         this.addInputFiles( filePaths );
+      }
+      catch ( error )
+      {
+         (new MessageBox( error.message, TITLE, StdIcon_Error, StdButton_Ok )).execute();
+      }
+   }
+
+   this.files_TreeBox.onFileDrag = function( wx, wy, files )
+   {
+      return true;
+   }
+
+   //dropped folders are searched with the folder filters, dropped files are added as they are
+   this.files_TreeBox.onFileDrop = function( wx, wy, files )
+   {
+      let filePaths = new Array;
+      for ( let i = 0; i < files.length; ++i )
+      {
+         if ( File.directoryExists( files[i] ) )
+            this.dialog.addFolder( files[i] );
+         else if ( fitsFileExtension( files[i] ) != "" || isXISFFile( files[i] ) )
+            filePaths.push( files[i] );
+         else
+            console.warningln( "Not a FITS or XISF file: <raw>" + files[i] + "</raw>" );
+      }
+      if ( filePaths.length > 0 )
+         this.dialog.addInputFiles( filePaths );
+   }
+
+   this.filesAdd_Button = new PushButton( this );
+   this.filesAdd_Button.text = "Add";
+   this.filesAdd_Button.icon = this.scaledResource( ":/icons/add.png" );
+   this.filesAdd_Button.toolTip = "<p>Add image files to the input images list.</p>";
+   this.filesAdd_Button.onClick = function()
+   {
+      let ofd = new OpenFileDialog;
+      ofd.multipleSelections = true;
+      ofd.caption = "Select Images";
+      ofd.loadImageFilters();
+      ofd.filters = [ [ "Compressed FITS files", "*.fz", "*.fit.gz", "*.fits.gz", "*.fts.gz" ] ].concat( ofd.filters );
+
+      if ( ofd.execute() )
+         this.dialog.addInputFiles( ofd.fileNames );
+   };
+
+   this.filesAddFolder_Button = new PushButton( this );
+   this.filesAddFolder_Button.text = "Add Folder";
+   this.filesAddFolder_Button.icon = this.scaledResource( ":/icons/folder.png" );
+   this.filesAddFolder_Button.toolTip =
+      "<p>Add the files of a folder, and of its subfolders if selected below, that " +
+      "pass the folder filters.  Folders can also be dropped on the input images list.</p>";
+   this.filesAddFolder_Button.onClick = function()
+   {
+      let gdd = new GetDirectoryDialog;
+      gdd.caption = "Select Folder";
+      if ( gdd.execute() )
+         this.dialog.addFolder( gdd.directory );
+   };
+
+   this.filesClear_Button = new PushButton( this );
+   this.filesClear_Button.text = "Clear";
+   this.filesClear_Button.icon = this.scaledResource( ":/icons/clear.png" );
+   this.filesClear_Button.toolTip = "<p>Clear the list of input images.</p>";
+   this.filesClear_Button.onClick = function()
+   {
+      this.dialog.files_TreeBox.clear();
+      this.dialog.engine.inputFiles.length = 0;
+      this.dialog.updateControls(true)
+   };
+
+   this.filesInvert_Button = new PushButton( this );
+   this.filesInvert_Button.text = "Invert Selection";
+   this.filesInvert_Button.icon = this.scaledResource( ":/icons/select-invert.png" );
+   this.filesInvert_Button.toolTip = "<p>Invert the current selection of input images.</p>";
+   this.filesInvert_Button.onClick = function()
+   {
+      for ( let i = 0; i < this.dialog.files_TreeBox.numberOfChildren; ++i )
+         this.dialog.files_TreeBox.child( i ).selected =
+               !this.dialog.files_TreeBox.child( i ).selected;
+      this.dialog.updateControls(true)
+   };
+
+   this.filesRemove_Button = new PushButton( this );
+   this.filesRemove_Button.text = "Remove Selected";
+   this.filesRemove_Button.icon = this.scaledResource( ":/icons/delete.png" );
+   this.filesRemove_Button.toolTip = "<p>Remove all selected images from the input images list.</p>";
+   this.filesRemove_Button.onClick = function()
+   {
+      this.dialog.engine.inputFiles.length = 0;
+      for ( let i = 0; i < this.dialog.files_TreeBox.numberOfChildren; ++i )
+         if ( !this.dialog.files_TreeBox.child( i ).selected )
+            this.dialog.engine.inputFiles.push( this.dialog.files_TreeBox.child( i ).text( 0 ) );
+      for ( let i = this.dialog.files_TreeBox.numberOfChildren; --i >= 0; )
+         if ( this.dialog.files_TreeBox.child( i ).selected )
+            this.dialog.files_TreeBox.remove( i );
+      this.dialog.updateControls(true)
+   };
+
+   this.filesButtons_Sizer = new HorizontalSizer;
+   this.filesButtons_Sizer.spacing = 4;
+   this.filesButtons_Sizer.add( this.filesAdd_Button );
+   this.filesButtons_Sizer.add( this.filesAddFolder_Button );
+   this.filesButtons_Sizer.addStretch();
+   this.filesButtons_Sizer.add( this.filesClear_Button );
+   this.filesButtons_Sizer.addStretch();
+   this.filesButtons_Sizer.add( this.filesInvert_Button );
+   this.filesButtons_Sizer.add( this.filesRemove_Button );
+
+   this.folderRecursive_Check = new CheckBox( this );
+   this.folderRecursive_Check.text = "Include subfolders";
+   this.folderRecursive_Check.checked = engine.folderRecursive;
+   this.folderRecursive_Check.toolTip = "<p>Search the subfolders of an added folder too, to any depth.</p>";
+   this.folderRecursive_Check.onCheck = function( checked )
+   {
+      engine.folderRecursive = checked;
+   }
+
+   this.folderExtensions_Label = new Label( this );
+   this.folderExtensions_Label.text = "Extensions:";
+   this.folderExtensions_Label.textAlignment = TextAlign_Right|TextAlign_VertCenter;
+
+   this.folderExtensions_Edit = new Edit( this );
+   this.folderExtensions_Edit.text = engine.folderExtensions;
+   this.folderExtensions_Edit.toolTip = "<p>The file extensions added from folders, separated by spaces.</p>";
+   this.folderExtensions_Edit.onEditCompleted = function()
+   {
+      engine.folderExtensions = this.text.trim();
+   }
+
+   this.folderNamePattern_Label = new Label( this );
+   this.folderNamePattern_Label.text = "Name:";
+   this.folderNamePattern_Label.textAlignment = TextAlign_Right|TextAlign_VertCenter;
+
+   this.folderNamePattern_Edit = new Edit( this );
+   this.folderNamePattern_Edit.text = engine.folderNamePattern;
+   this.folderNamePattern_Edit.setScaledFixedWidth( 120 );
+   this.folderNamePattern_Edit.toolTip =
+      "<p>A wildcard pattern (* and ?) the file name must match, such as <b>*_Ha_*</b>.  " +
+      "Leave blank for any name.</p>";
+   this.folderNamePattern_Edit.onEditCompleted = function()
+   {
+      engine.folderNamePattern = this.text.trim();
+   }
+
+   this.folderFilter_Sizer = new HorizontalSizer;
+   this.folderFilter_Sizer.spacing = 4;
+   this.folderFilter_Sizer.add( this.folderRecursive_Check );
+   this.folderFilter_Sizer.addSpacing( 8 );
+   this.folderFilter_Sizer.add( this.folderExtensions_Label );
+   this.folderFilter_Sizer.add( this.folderExtensions_Edit, 100 );
+   this.folderFilter_Sizer.add( this.folderNamePattern_Label );
+   this.folderFilter_Sizer.add( this.folderNamePattern_Edit );
+
+   this.headerFilter_Label = new Label( this );
+   this.headerFilter_Label.text = "Header filter:";
+   this.headerFilter_Label.textAlignment = TextAlign_Right|TextAlign_VertCenter;
+
+   this.headerFilter_Edit = new Edit( this );
+   this.headerFilter_Edit.text = engine.folderHeaderFilter;
+   this.headerFilter_Edit.toolTip =
+      "<p>Conditions the header of a file found in a folder must meet, separated by " +
+      "semicolons, for example <b>IMAGETYP = 'Light Frame'; FILTER is missing</b>.  " +
+      "The tests are =, !=, &lt;, &lt;=, &gt;, &gt;=, exists, is missing, is blank and " +
+      "matches /regex/.  The HDUs selected by the HDU target are tested.  Leave blank " +
+      "to add every file.</p>";
+   this.headerFilter_Edit.onEditCompleted = function()
+   {
+      try
+      {
+         parseConditions( this.text );
+         engine.folderHeaderFilter = this.text.trim();
+      }
+      catch ( error )
+      {
+         (new MessageBox( error.message, TITLE, StdIcon_Error, StdButton_Ok )).execute();
+         this.text = engine.folderHeaderFilter;
+      }
+   }
+
+   this.headerFilter_Sizer = new HorizontalSizer;
+   this.headerFilter_Sizer.spacing = 4;
+   this.headerFilter_Sizer.add( this.headerFilter_Label );
+   this.headerFilter_Sizer.add( this.headerFilter_Edit, 100 );
+
+   this.files_GroupBox = new GroupBox( this );
+   this.files_GroupBox.title = "Input Images";
+   this.files_GroupBox.sizer = new VerticalSizer;
+   this.files_GroupBox.sizer.margin = 6;
+   this.files_GroupBox.sizer.spacing = 4;
+   this.files_GroupBox.sizer.add( this.files_TreeBox, 100 );
+   this.files_GroupBox.sizer.add( this.filesButtons_Sizer );
+   this.files_GroupBox.sizer.add( this.folderFilter_Sizer );
+   this.files_GroupBox.sizer.add( this.headerFilter_Sizer );
+
+
+   //-----Add keyword-----elements
+
+   this.addKeyword_Label = new Label( this )
+   this.addKeyword_Label.text = "Keyword:";
+   this.addKeyword_Label.minWidth = labelWidth1;
+   this.addKeyword_Label.textAlignment = TextAlign_Right|TextAlign_VertCenter;
+
+   this.addKeyword_Edit = new Edit( this );
+   this.addKeyword_Edit.readOnly = false;
+   this.addKeyword_Edit.text = engine.addKeyword;
+   this.addKeyword_Edit.toolTip =
+      "<p>Specifies the keyword to add.  Names longer than 8 characters or " +
+      "containing spaces, such as ESO DET TEMP, are written as HIERARCH keywords.</p>";
+   this.addKeyword_Edit.onEditCompleted = function() {
+      engine.addKeyword = fitsKeywordName( this.text );
+      this.text = engine.addKeyword;
+   }
+
+   this.addValue_Label = new Label( this )
+   this.addValue_Label.text = "Value:";
+   this.addValue_Label.minWidth = labelWidth1;
+   this.addValue_Label.textAlignment = TextAlign_Right|TextAlign_VertCenter;
+
+   this.addValue_Edit = new Edit( this );
+   this.addValue_Edit.readOnly = false;
+   this.addValue_Edit.text = engine.addValue;
+   this.addValue_Edit.toolTip =
+      "<p>Specifies the keyword value to add.</p>";
+   this.addValue_Edit.onEditCompleted = function() {
+      engine.addValue = this.text.trim();
+      this.dialog.updateResolvedValues();
+   }
+
+   this.addValueMode_Combo = new ComboBox( this );
+   this.addValueMode_Combo.addItem( "Literal" );
+   this.addValueMode_Combo.addItem( "Template" );
+   this.addValueMode_Combo.addItem( "Expression" );
+   this.addValueMode_Combo.currentItem = VALUE_MODES.indexOf( engine.addValueMode );
+   this.addValueMode_Combo.toolTip = valueModeToolTip;
+   this.addValueMode_Combo.onItemSelected = function( index )
+   {
+      engine.addValueMode = VALUE_MODES[index];
+      this.dialog.updateResolvedValues();
+   }
+
+   this.addValueType_Combo = new ComboBox( this );
+   for ( let i = 0; i < valueTypeNames.length; ++i )
+      this.addValueType_Combo.addItem( valueTypeNames[i] );
+   this.addValueType_Combo.currentItem = VALUE_TYPES.indexOf( engine.addValueType );
+   this.addValueType_Combo.toolTip = valueTypeToolTip;
+   this.addValueType_Combo.onItemSelected = function( index )
+   {
+      engine.addValueType = VALUE_TYPES[index];
+      this.dialog.updateResolvedValues();
+   }
+
+   this.addResolved_Label = new Label( this );
+   this.addResolved_Label.textAlignment = TextAlign_Left|TextAlign_VertCenter;
+
+   this.addComment_Label = new Label( this )
+   this.addComment_Label.text = "Comment:";
+   this.addComment_Label.minWidth = labelWidth1;
+   this.addComment_Label.textAlignment = TextAlign_Right|TextAlign_VertCenter;
+
+   this.addComment_Edit = new Edit( this );
+   this.addComment_Edit.readOnly = false;
+   this.addComment_Edit.minWidth = commentWidth;
+   this.addComment_Edit.text = engine.addComment;
+   this.addComment_Edit.toolTip =
+      "<p>Specifies the comment to add.</p>";
+   this.addComment_Edit.onEditCompleted = function() {
+      engine.addComment = this.text.trim();
+      this.dialog.updateResolvedValues();
+   }
+
+   this.addLocation_Label = new Label( this )
+   this.addLocation_Label.text = "Keyword:";
+   this.addLocation_Label.minWidth = labelWidth1;
+   this.addLocation_Label.textAlignment = TextAlign_Right|TextAlign_VertCenter;
+
+   this.addLocation_Combo = new ComboBox ( this );
+   this.addLocation_Combo.minWidth = labelWidth1;
+   this.addLocation_Combo.addItem("");
+   this.addLocation_Combo.currentItem = 0;
+   this.addLocation_Combo.toolTip =
+      "<p>Specifies the keyword before or after which the new keyword " +
+      "will be added.  The keywords of the file selected in the InputImages " +
+      "list come first, followed by those found only in other input files; " +
+      "each shows in how many files it appears and how many values it has.  " +
+      "New keywords cannot be " +
+      "added among the structural keywords (SIMPLE, BITPIX, NAXISn, EXTEND, " +
+      "BZERO, BSCALE) at the start of the header.</p>";
+   this.addLocation_Combo.onItemSelected = function( index )
+   {
+      engine.locationKeywordIndex = index;
+   }
+
+   this.addMatchName_Check = new CheckBox( this );
+   this.addMatchName_Check.text = "Match name only";
+   this.addMatchName_Check.checked = engine.addMatchName;
+   this.addMatchName_Check.toolTip =
+      "<p>Check here if add Location should only check the Keyword " +
+      "name.  If different files in the batch have different values " +
+      "for the desired add location keyword then check this box.</p>";
+   this.addMatchName_Check.onCheck = function( checked )
+   {
+      engine.addMatchName = checked;
+   }
+
+   this.addBeforeAfter_Label = new Label( this );
+   this.addBeforeAfter_Label.text = "Add new keyword:";
+   this.addBeforeAfter_Label.minWidth = labelWidth1;
+   this.addBeforeAfter_Label.textAlignment = TextAlign_Right|TextAlign_VertCenter;
+
+
+   this.addBeforeAfter_Combo = new ComboBox( this );
+   this.addBeforeAfter_Combo.addItem( "before" );
+   this.addBeforeAfter_Combo.addItem( "after" );
+   this.addBeforeAfter_Combo.currentItem = 0;
+   if (engine.addBeforeAfter == "after") {  this.addBeforeAfter_Combo.currentItem = 1; }
+   this.addBeforeAfter_Combo.toolTip =
+       "<p>Specifies whether the new keyword should be written " +
+       "before or after the locator keyword below.</p>";
+   this.addBeforeAfter_Combo.onItemSelected = function( index )
+   {
+      engine.addBeforeAfter = this.itemText(index).trim();
+   }
+
+   this.addDuplicates_Label = new Label( this ) //Used to position duplicate checkbox
+   this.addDuplicates_Label.text = "";
+   this.addDuplicates_Label.minWidth = labelWidth1;
+   this.addDuplicates_Label.textAlignment = TextAlign_Right|TextAlign_VertCenter;
+
+   this.addDuplicates_Check = new CheckBox( this );
+   this.addDuplicates_Check.text = "Allow duplicate keywords?";
+   this.addDuplicates_Check.checked = engine.addDuplicates;
+   this.addDuplicates_Check.toolTip =
+      "<p>Check here if you want to allow your new keyword to duplicate an " +
+      "existing keyword.  Note duplicate keywords other than COMMENT, " +
+      "CONTINUE, or HISTORY keywords can lead to undefined behaviour.</p>";
+   this.addDuplicates_Check.onCheck = function( checked )
+   {
+      engine.addDuplicates = checked;
+      //console.writeln("addDuplicates = ", engine.addDuplicates);
+   };
+
+   //-----Add keyword-----sizers
+
+   this.addKeyword_Sizer = new HorizontalSizer;
+   this.addKeyword_Sizer.spacing = 4;
+   this.addKeyword_Sizer.add( this.addKeyword_Label );
+   this.addKeyword_Sizer.add( this.addKeyword_Edit );
+   this.addKeyword_Sizer.addStretch();
+
+   this.addValue_Sizer = new HorizontalSizer;
+   this.addValue_Sizer.spacing = 4;
+   this.addValue_Sizer.add( this.addValue_Label );
+   this.addValue_Sizer.add( this.addValue_Edit );
+   this.addValue_Sizer.add( this.addValueMode_Combo );
+   this.addValue_Sizer.add( this.addValueType_Combo );
+   this.addValue_Sizer.addStretch();
+
+   this.addResolved_Sizer = new HorizontalSizer;
+   this.addResolved_Sizer.spacing = 4;
+   this.addResolved_Sizer.addSpacing( labelWidth1 + 4 );
+   this.addResolved_Sizer.add( this.addResolved_Label, 100 );
+
+   this.addComment_Sizer = new HorizontalSizer;
+   this.addComment_Sizer.spacing = 4;
+   this.addComment_Sizer.add( this.addComment_Label );
+   this.addComment_Sizer.add( this.addComment_Edit );
+   this.addComment_Sizer.addStretch();
+
+   this.addBeforeAfter_Sizer = new HorizontalSizer;
+   this.addBeforeAfter_Sizer.spacing = 4;
+   this.addBeforeAfter_Sizer.add( this.addBeforeAfter_Label );
+   this.addBeforeAfter_Sizer.add( this.addBeforeAfter_Combo );
+   this.addBeforeAfter_Sizer.addStretch();
+
+   this.addLocation_Sizer = new HorizontalSizer;
+   this.addLocation_Sizer.spacing = 4;
+   this.addLocation_Sizer.add( this.addLocation_Label );
+   this.addLocation_Sizer.add( this.addLocation_Combo );
+   this.addLocation_Sizer.add( this.addMatchName_Check );
+   this.addLocation_Sizer.addStretch();
+
+   this.addDuplicates_Sizer = new HorizontalSizer;
+   this.addDuplicates_Sizer.spacing = 4;
+   this.addDuplicates_Sizer.add( this.addDuplicates_Label );
+   this.addDuplicates_Sizer.add( this.addDuplicates_Check );
+   this.addDuplicates_Sizer.addStretch();
+
+   //-----Add keyword-----section
+
+   this.addKeywordSection = new Control(this);
+   this.addKeywordSection.sizer = new VerticalSizer( this );
+   this.addKeywordSection.sizer.spacing = 4;
+   this.addKeywordSection.sizer.add( this.addKeyword_Sizer );
+   this.addKeywordSection.sizer.add( this.addValue_Sizer );
+   this.addKeywordSection.sizer.add( this.addResolved_Sizer );
+   this.addKeywordSection.sizer.add( this.addComment_Sizer );
+   this.addKeywordSection.sizer.add( this.addBeforeAfter_Sizer );
+   this.addKeywordSection.sizer.add( this.addLocation_Sizer );
+   this.addKeywordSection.sizer.add( this.addDuplicates_Sizer );
+
+   this.addKeywordBar = new SectionBar(this, "Add keyword");
+   this.addKeywordBar.enableCheckBox();
+   this.addKeywordBar.setSection(this.addKeywordSection);
+   this.addKeywordBar.checkBox.checked = true;
+   this.addKeywordBar.checkBox.onCheck = function( checked )
+   {
+      engine.actionAdd = true;
+      engine.actionEdit = false;
+      engine.actionRemove = false;
+      this.dialog.updateControls(false);
+   }
+
+
+
+   /*
+    * Creates the wildcard/regex matching controls of the edit or remove
+    * section, bound to the engine properties starting with prefix.
+    */
+   this.createMatchControls = function( prefix )
+   {
+      let controls = {};
+
+      controls.mode_Combo = new ComboBox( this );
+      controls.mode_Combo.addItem( "Selected keyword" );
+      controls.mode_Combo.addItem( "Wildcard pattern" );
+      controls.mode_Combo.addItem( "Regular expression" );
+      controls.mode_Combo.currentItem = MATCH_MODES.indexOf( engine[prefix + "MatchMode"] );
+      controls.mode_Combo.toolTip =
+         "<p>Selected keyword: act on the keyword selected from the list.</p>" +
+         "<p>Wildcard pattern: act on keywords whose name, value and comment match " +
+         "the patterns below, where * matches any text and ? any single character.</p>" +
+         "<p>Regular expression: as wildcard, but the patterns are regular " +
+         "expressions that may match anywhere in the text.</p>" +
+         "<p>Matching is not case sensitive, and an empty pattern matches anything.  " +
+         "For COMMENT and HISTORY cards the value pattern is tested against the card text.</p>";
+      controls.mode_Combo.onItemSelected = function( index )
+      {
+         engine[prefix + "MatchMode"] = MATCH_MODES[index];
+         this.dialog.updateMatchControls();
+      }
+
+      controls.patterns_Label = new Label( this );
+      controls.patterns_Label.text = "Name / value / comment:";
+      controls.patterns_Label.minWidth = labelWidth1;
+      controls.patterns_Label.textAlignment = TextAlign_Right|TextAlign_VertCenter;
+
+      let patternEdit = function( dialog, property, toolTip )
+      {
+         let edit = new Edit( dialog );
+         edit.text = engine[property];
+         edit.toolTip = toolTip;
+         edit.onEditCompleted = function()
+         {
+            engine[property] = this.text.trim();
+         }
+         return edit;
+      };
+      controls.namePattern_Edit = patternEdit( this, prefix + "NamePattern",
+         "<p>Pattern for the keyword name, for example SWCREATE* or PLTSOLVD.</p>" );
+      controls.valuePattern_Edit = patternEdit( this, prefix + "ValuePattern",
+         "<p>Pattern for the keyword value (string values without their quotes), " +
+         "for example *ImageCalibration* to match HISTORY cards containing that text.</p>" );
+      controls.commentPattern_Edit = patternEdit( this, prefix + "CommentPattern",
+         "<p>Pattern for the keyword comment.</p>" );
+
+      controls.patterns_Sizer = new HorizontalSizer;
+      controls.patterns_Sizer.spacing = 4;
+      controls.patterns_Sizer.add( controls.patterns_Label );
+      controls.patterns_Sizer.add( controls.namePattern_Edit );
+      controls.patterns_Sizer.add( controls.valuePattern_Edit );
+      controls.patterns_Sizer.add( controls.commentPattern_Edit );
+      controls.patterns_Sizer.addStretch();
+
+      controls.occurrence_Label = new Label( this );
+      controls.occurrence_Label.text = "Apply to:";
+      controls.occurrence_Label.minWidth = labelWidth1;
+      controls.occurrence_Label.textAlignment = TextAlign_Right|TextAlign_VertCenter;
+
+      controls.occurrence_Combo = new ComboBox( this );
+      controls.occurrence_Combo.addItem( "Last match" );
+      controls.occurrence_Combo.addItem( "First match" );
+      controls.occurrence_Combo.addItem( "All matches" );
+      controls.occurrence_Combo.currentItem = OCCURRENCES.indexOf( engine[prefix + "Occurrence"] );
+      controls.occurrence_Combo.toolTip =
+         "<p>Specifies which of the matching keywords in each file are acted on.</p>";
+      controls.occurrence_Combo.onItemSelected = function( index )
+      {
+         engine[prefix + "Occurrence"] = OCCURRENCES[index];
+      }
+
+      controls.occurrence_Sizer = new HorizontalSizer;
+      controls.occurrence_Sizer.spacing = 4;
+      controls.occurrence_Sizer.add( controls.occurrence_Label );
+      controls.occurrence_Sizer.add( controls.occurrence_Combo );
+      controls.occurrence_Sizer.addStretch();
+
+      return controls;
+   }
+
+   this.updateMatchControls = function()
+   {
+      let editPatterns = ( engine.editMatchMode != "keyword" );
+      this.editKeyword_Combo.enabled = !editPatterns;
+      this.editMatchName_Check.enabled = !editPatterns;
+      this.editMatch.namePattern_Edit.enabled = editPatterns;
+      this.editMatch.valuePattern_Edit.enabled = editPatterns;
+      this.editMatch.commentPattern_Edit.enabled = editPatterns;
+      this.editReplaceMatch_Check.enabled = editPatterns;
+
+      let removePatterns = ( engine.removeMatchMode != "keyword" );
+      this.removeKeyword_Combo.enabled = !removePatterns;
+      this.removeMatchName_Check.enabled = !removePatterns;
+      this.removeMatch.namePattern_Edit.enabled = removePatterns;
+      this.removeMatch.valuePattern_Edit.enabled = removePatterns;
+      this.removeMatch.commentPattern_Edit.enabled = removePatterns;
+   }
+
+   //-----Edit keyword-----elements
+
+   this.editKeyword_Label = new Label( this )
+   this.editKeyword_Label.text = "Keyword:";
+   this.editKeyword_Label.minWidth = labelWidth1;
+   this.editKeyword_Label.textAlignment = TextAlign_Right|TextAlign_VertCenter;
+
+   this.editKeyword_Combo = new ComboBox ( this );
+   this.editKeyword_Combo.minWidth = labelWidth1;
+   this.editKeyword_Combo.addItem("");
+   this.editKeyword_Combo.currentItem = 0;
+   this.editKeyword_Combo.toolTip =
+      "<p>Specifies the keyword to be edited, from the selected file or any other " +
+      "input file.  Structural keywords (SIMPLE, " +
+      "BITPIX, NAXISn, EXTEND, BZERO, BSCALE, END) cannot be edited.</p>";
+   this.editKeyword_Combo.onItemSelected = function( index )
+   {
+      let newKwd = engine.keywordList[index];
+      if (engine.editKeywordIndex != index)
+      {
+         engine.editValue = newKwd.value;
+         this.dialog.editValue_Edit.text = engine.editValue;
+         engine.editComment = newKwd.comment;
+         this.dialog.editComment_Edit.text = engine.editComment;
+      }
+      engine.editKeywordIndex = index;
+      this.dialog.updateResolvedValues();
+   }
+
+   this.editMatchName_Check = new CheckBox( this );
+   this.editMatchName_Check.text = "Match name only";
+   this.editMatchName_Check.checked = engine.editMatchName;
+   this.editMatchName_Check.toolTip =
+      "<p>Check here if you only want to check the Keyword name. " +
+      "If different files in the batch have different values " +
+      "for the keyword you want to edit then check this box.</p>";
+   this.editMatchName_Check.onCheck = function( checked )
+   {
+      engine.editMatchName = checked;
+   }
+
+   this.editMatch = this.createMatchControls( "edit" );
+
+   this.editReplaceMatch_Check = new CheckBox( this );
+   this.editReplaceMatch_Check.text = "Replace matched text only";
+   this.editReplaceMatch_Check.checked = engine.editReplaceMatch;
+   this.editReplaceMatch_Check.toolTip =
+      "<p>Check here to replace only the part of each matched value that matches " +
+      "the value pattern, using the new value as replacement text.  With a " +
+      "regular expression the replacement may refer to capture groups as $1, $2 " +
+      "etc.  Otherwise the whole value is replaced.</p>";
+   this.editReplaceMatch_Check.onCheck = function( checked )
+   {
+      engine.editReplaceMatch = checked;
+   }
+   this.editMatch.occurrence_Sizer.insert( 2, this.editReplaceMatch_Check );
+
+   this.editValue_Label = new Label( this )
+   this.editValue_Label.text = "Value:";
+   this.editValue_Label.minWidth = labelWidth1;
+   this.editValue_Label.textAlignment = TextAlign_Right|TextAlign_VertCenter;
+
+   this.editValue_Edit = new Edit( this );
+   this.editValue_Edit.readOnly = false;
+   this.editValue_Edit.text = engine.editValue;
+   this.editValue_Edit.toolTip =
+      "<p>Specifies the new value for the keyword to be edited.</p>";
+   this.editValue_Edit.onEditCompleted = function() {
+      engine.editValue = this.text.trim();
+      this.dialog.updateResolvedValues();
+   }
+
+   this.editValueMode_Combo = new ComboBox( this );
+   this.editValueMode_Combo.addItem( "Literal" );
+   this.editValueMode_Combo.addItem( "Template" );
+   this.editValueMode_Combo.addItem( "Expression" );
+   this.editValueMode_Combo.currentItem = VALUE_MODES.indexOf( engine.editValueMode );
+   this.editValueMode_Combo.toolTip = valueModeToolTip;
+   this.editValueMode_Combo.onItemSelected = function( index )
+   {
+      engine.editValueMode = VALUE_MODES[index];
+      this.dialog.updateResolvedValues();
+   }
+
+   this.editValueType_Combo = new ComboBox( this );
+   for ( let i = 0; i < valueTypeNames.length; ++i )
+      this.editValueType_Combo.addItem( valueTypeNames[i] );
+   this.editValueType_Combo.currentItem = VALUE_TYPES.indexOf( engine.editValueType );
+   this.editValueType_Combo.toolTip = valueTypeToolTip;
+   this.editValueType_Combo.onItemSelected = function( index )
+   {
+      engine.editValueType = VALUE_TYPES[index];
+      this.dialog.updateResolvedValues();
+   }
+
+   this.editResolved_Label = new Label( this );
+   this.editResolved_Label.textAlignment = TextAlign_Left|TextAlign_VertCenter;
 
    this.editComment_Label = new Label( this )
    this.editComment_Label.text = "Comment:";
    this.editComment_Label.minWidth = labelWidth1;
    this.editComment_Label.textAlignment = TextAlign_Right|TextAlign_VertCenter;
 
-   this.editComment_Edit = new Edit( this );
-   this.editComment_Edit.readOnly = false;
-   this.editComment_Edit.text = engine.editComment;
-   this.editComment_Edit.minWidth = commentWidth;
-   this.editComment_Edit.toolTip =
-      "<p>Specifies the new comment for the keyword to be edited.</p>";
-   this.editComment_Edit.onEditCompleted = function() {
-      engine.editComment = this.text.trim();
+   this.editComment_Edit = new Edit( this );
+   this.editComment_Edit.readOnly = false;
+   this.editComment_Edit.text = engine.editComment;
+   this.editComment_Edit.minWidth = commentWidth;
+   this.editComment_Edit.toolTip =
+      "<p>Specifies the new comment for the keyword to be edited.</p>";
+   this.editComment_Edit.onEditCompleted = function() {
+      engine.editComment = this.text.trim();
+      this.dialog.updateResolvedValues();
+   }
+
+   //-----Edit keyword-----sizers
+
+   this.editKeyword_Sizer = new HorizontalSizer;
+   this.editKeyword_Sizer.spacing = 4;
+   this.editKeyword_Sizer.add( this.editKeyword_Label );
+   this.editKeyword_Sizer.add( this.editKeyword_Combo );
+   this.editKeyword_Sizer.add( this.editMatchName_Check );
+   this.editKeyword_Sizer.add( this.editMatch.mode_Combo );
+   this.editKeyword_Sizer.addStretch();
+
+   this.editValue_Sizer = new HorizontalSizer;
+   this.editValue_Sizer.spacing = 4;
+   this.editValue_Sizer.add( this.editValue_Label );
+   this.editValue_Sizer.add( this.editValue_Edit );
+   this.editValue_Sizer.add( this.editValueMode_Combo );
+   this.editValue_Sizer.add( this.editValueType_Combo );
+   this.editValue_Sizer.addStretch();
+
+   this.editResolved_Sizer = new HorizontalSizer;
+   this.editResolved_Sizer.spacing = 4;
+   this.editResolved_Sizer.addSpacing( labelWidth1 + 4 );
+   this.editResolved_Sizer.add( this.editResolved_Label, 100 );
+
+   this.editComment_Sizer = new HorizontalSizer;
+   this.editComment_Sizer.spacing = 4;
+   this.editComment_Sizer.add( this.editComment_Label );
+   this.editComment_Sizer.add( this.editComment_Edit );
+   this.editComment_Sizer.addStretch();
+
+   //-----Edit keyword-----section
+
+   this.editKeywordSection = new Control(this);
+   this.editKeywordSection.sizer = new VerticalSizer;
+   this.editKeywordSection.sizer.spacing = 4;
+   this.editKeywordSection.sizer.add( this.editKeyword_Sizer );
+   this.editKeywordSection.sizer.add( this.editMatch.patterns_Sizer );
+   this.editKeywordSection.sizer.add( this.editMatch.occurrence_Sizer );
+   this.editKeywordSection.sizer.add( this.editValue_Sizer );
+   this.editKeywordSection.sizer.add( this.editResolved_Sizer );
+   this.editKeywordSection.sizer.add( this.editComment_Sizer );
+
+
+
+   this.editKeywordBar = new SectionBar(this, "Edit keyword");
+   this.editKeywordBar.enableCheckBox();
+   this.editKeywordBar.setSection(this.editKeywordSection);
+   this.editKeywordBar.checkBox.onCheck = function( checked )
+   {
+      engine.actionAdd = false;
+      engine.actionEdit = true;
+      engine.actionRemove = false;
+      this.dialog.updateControls(false);
+   }
+   this.editKeywordBar.updateSection();
+
+
+   //-----Remove keyword-----elements
+
+   this.removeKeyword_Label = new Label( this )
+   this.removeKeyword_Label.text = "Keyword:";
+   this.removeKeyword_Label.minWidth = labelWidth1;
+   this.removeKeyword_Label.textAlignment = TextAlign_Right|TextAlign_VertCenter;
+
+   this.removeKeyword_Combo = new ComboBox ( this );
+   this.removeKeyword_Combo.minWidth = labelWidth1;
+   this.removeKeyword_Combo.addItem("");
+   this.removeKeyword_Combo.currentItem = 0;
+   this.removeKeyword_Combo.toolTip =
+      "<p>Specifies the keyword to be removed, from the selected file or any other " +
+      "input file.  Structural keywords (SIMPLE, " +
+      "BITPIX, NAXISn, EXTEND, BZERO, BSCALE, END) cannot be removed.</p>";
+   this.removeKeyword_Combo.onItemSelected = function( index )
+   {
+      let newKwd = engine.keywordList[index];
+      engine.removeValue = newKwd.value;
+      this.dialog.removeValue_Label2.text = engine.removeValue;
+      engine.removeComment = newKwd.comment;
+      this.dialog.removeComment_Label2.text = engine.removeComment;
+      engine.removeKeywordIndex = index;
+   }
+
+   this.removeMatchName_Check = new CheckBox( this );
+   this.removeMatchName_Check.text = "Match name only";
+   this.removeMatchName_Check.checked = engine.removeMatchName;
+   this.removeMatchName_Check.toolTip =
+      "<p>Check here if only want to check the Keyword name. " +
+      "If different files in the batch have different values " +
+      "for the keyword you want to remove then check this box.</p>";
+   this.removeMatchName_Check.onCheck = function( checked )
+   {
+      engine.removeMatchName = checked;
+   }
+
+   this.removeMatch = this.createMatchControls( "remove" );
+
+   this.removeValue_Label1 = new Label( this )
+   this.removeValue_Label1.text = "Value:";
+   this.removeValue_Label1.minWidth = labelWidth1;
+   this.removeValue_Label1.textAlignment = TextAlign_Right|TextAlign_VertCenter;
+
+   this.removeValue_Label2 = new Label( this );
+   this.removeValue_Label2.text = engine.removeValue;
+   this.removeValue_Label2.minWidth = labelWidth1;
+   this.removeValue_Label2.textAlignment = TextAlign_Right|TextAlign_VertCenter;
+
+
+   this.removeComment_Label1 = new Label( this )
+   this.removeComment_Label1.text = "Comment:";
+   this.removeComment_Label1.minWidth = labelWidth1;
+   this.removeComment_Label1.textAlignment = TextAlign_Right|TextAlign_VertCenter;
+
+   this.removeComment_Label2 = new Label( this )
+   this.removeComment_Label2.text = engine.removeComment;
+   this.removeComment_Label2.minWidth = commentWidth;
+   this.removeComment_Label2.textAlignment = TextAlign_Left|TextAlign_VertCenter;
+
+   //-----Remove keyword-----sizers
+
+   this.removeKeyword_Sizer = new HorizontalSizer;
+   this.removeKeyword_Sizer.spacing = 4;
+   this.removeKeyword_Sizer.add( this.removeKeyword_Label );
+   this.removeKeyword_Sizer.add( this.removeKeyword_Combo );
+   this.removeKeyword_Sizer.add( this.removeMatchName_Check );
+   this.removeKeyword_Sizer.add( this.removeMatch.mode_Combo );
+   this.removeKeyword_Sizer.addStretch();
+
+   this.removeValue_Sizer = new HorizontalSizer;
+   this.removeValue_Sizer.spacing = 4;
+   this.removeValue_Sizer.add( this.removeValue_Label1 );
+   this.removeValue_Sizer.add( this.removeValue_Label2 );
+   this.removeValue_Sizer.addStretch();
+
+   this.removeComment_Sizer = new HorizontalSizer;
+   this.removeComment_Sizer.spacing = 4;
+   this.removeComment_Sizer.add( this.removeComment_Label1 );
+   this.removeComment_Sizer.add( this.removeComment_Label2 );
+   this.removeComment_Sizer.addStretch();
+
+   //-----Remove keyword-----section
+
+   this.removeKeywordSection = new Control(this);
+   this.removeKeywordSection.sizer = new VerticalSizer;
+   this.removeKeywordSection.sizer.spacing = 4;
+   this.removeKeywordSection.sizer.add( this.removeKeyword_Sizer );
+   this.removeKeywordSection.sizer.add( this.removeMatch.patterns_Sizer );
+   this.removeKeywordSection.sizer.add( this.removeMatch.occurrence_Sizer );
+   this.removeKeywordSection.sizer.add( this.removeValue_Sizer );
+   this.removeKeywordSection.sizer.add( this.removeComment_Sizer );
+
+
+
+   this.removeKeywordBar = new SectionBar(this, "Remove keyword");
+   this.removeKeywordBar.enableCheckBox();
+   this.removeKeywordBar.setSection(this.removeKeywordSection);
+   this.removeKeywordBar.checkBox.onCheck = function( checked )
+   {
+      engine.actionAdd = false;
+      engine.actionEdit = false;
+      engine.actionRemove = true;
+      this.dialog.updateControls(false);
+   }
+
+
+   //-----Edit plan-----elements
+
+   this.operations_TreeBox = new TreeBox( this );
+   this.operations_TreeBox.multipleSelection = false;
+   this.operations_TreeBox.rootDecoration = false;
+   this.operations_TreeBox.alternateRowColor = true;
+   this.operations_TreeBox.setScaledMinSize( 500, 120 );
+   this.operations_TreeBox.numberOfColumns = 6;
+   this.operations_TreeBox.headerVisible = true;
+   this.operations_TreeBox.setHeaderText( 0, "Action" );
+   this.operations_TreeBox.setHeaderText( 1, "Keyword" );
+   this.operations_TreeBox.setHeaderText( 2, "Value" );
+   this.operations_TreeBox.setHeaderText( 3, "Comment" );
+   this.operations_TreeBox.setHeaderText( 4, "Location / match" );
+   this.operations_TreeBox.setHeaderText( 5, "Conditions" );
+   this.operations_TreeBox.toolTip =
+      "<p>The operations in this list are applied in order to the keywords of " +
+      "each input file before the file is written.  If the list is empty the " +
+      "selected add, edit or remove action is applied on its own.</p>";
+
+   this.operationAdd_Button = new PushButton( this );
+   this.operationAdd_Button.text = "Add to Plan";
+   this.operationAdd_Button.icon = this.scaledResource( ":/icons/add.png" );
+   this.operationAdd_Button.toolTip = "<p>Add the selected add, edit or remove action to the end of the edit plan.</p>";
+   this.operationAdd_Button.onClick = function()
+   {
+      let operation = engine.currentOperation();
+      try
+      {
+         engine.validateOperations( [ operation ] );
+      }
+      catch ( error )
+      {
+         (new MessageBox( error.message, TITLE, StdIcon_Error, StdButton_Ok )).execute();
+         return;
+      }
+      engine.operations.push( operation );
+      this.dialog.updateOperationsList( engine.operations.length - 1 );
+   };
+
+   this.operationsGrid_Button = new PushButton( this );
+   this.operationsGrid_Button.text = "Keyword Grid...";
+   this.operationsGrid_Button.icon = this.scaledResource( ":/icons/table.png" );
+   this.operationsGrid_Button.toolTip =
+      "<p>Show the keywords of all input files side by side, and edit values " +
+      "cell by cell.  Each cell edit is added to the edit plan as an operation " +
+      "for that file only.</p>";
+   this.operationsGrid_Button.onClick = function()
+   {
+      if ( engine.inputFiles.length == 0 )
+      {
+         (new MessageBox( "No input files have been specified.", TITLE, StdIcon_Error, StdButton_Ok )).execute();
+         return;
+      }
+      if ( (new BatchFITSKeywordGridDialog( engine )).execute() )
+         this.dialog.updateOperationsList( -1 );
+   };
+
+   this.operationUp_Button = new PushButton( this );
+   this.operationUp_Button.text = "Move Up";
+   this.operationUp_Button.icon = this.scaledResource( ":/icons/arrow-up.png" );
+   this.operationUp_Button.toolTip = "<p>Move the selected operation one step earlier in the edit plan.</p>";
+   this.operationUp_Button.onClick = function()
+   {
+      let index = this.dialog.selectedOperationIndex();
+      if ( index > 0 )
+      {
+         let operation = engine.operations[index];
+         engine.operations[index] = engine.operations[index - 1];
+         engine.operations[index - 1] = operation;
+         this.dialog.updateOperationsList( index - 1 );
+      }
+   };
+
+   this.operationDown_Button = new PushButton( this );
+   this.operationDown_Button.text = "Move Down";
+   this.operationDown_Button.icon = this.scaledResource( ":/icons/arrow-down.png" );
+   this.operationDown_Button.toolTip = "<p>Move the selected operation one step later in the edit plan.</p>";
+   this.operationDown_Button.onClick = function()
+   {
+      let index = this.dialog.selectedOperationIndex();
+      if ( index >= 0 && index < engine.operations.length - 1 )
+      {
+         let operation = engine.operations[index];
+         engine.operations[index] = engine.operations[index + 1];
+         engine.operations[index + 1] = operation;
+         this.dialog.updateOperationsList( index + 1 );
+      }
+   };
+
+   this.operationDelete_Button = new PushButton( this );
+   this.operationDelete_Button.text = "Delete";
+   this.operationDelete_Button.icon = this.scaledResource( ":/icons/delete.png" );
+   this.operationDelete_Button.toolTip = "<p>Delete the selected operation from the edit plan.</p>";
+   this.operationDelete_Button.onClick = function()
+   {
+      let index = this.dialog.selectedOperationIndex();
+      if ( index >= 0 )
+      {
+         engine.operations.splice( index, 1 );
+         this.dialog.updateOperationsList( Math.min( index, engine.operations.length - 1 ) );
+      }
+   };
+
+   this.operationsClear_Button = new PushButton( this );
+   this.operationsClear_Button.text = "Clear";
+   this.operationsClear_Button.icon = this.scaledResource( ":/icons/clear.png" );
+   this.operationsClear_Button.toolTip = "<p>Delete all operations from the edit plan.</p>";
+   this.operationsClear_Button.onClick = function()
+   {
+      engine.operations.length = 0;
+      this.dialog.updateOperationsList( -1 );
+   };
+
+   this.operationsButtons_Sizer = new HorizontalSizer;
+   this.operationsButtons_Sizer.spacing = 4;
+   this.operationsButtons_Sizer.add( this.operationAdd_Button );
+   this.operationsButtons_Sizer.add( this.operationsGrid_Button );
+   this.operationsButtons_Sizer.addStretch();
+   this.operationsButtons_Sizer.add( this.operationUp_Button );
+   this.operationsButtons_Sizer.add( this.operationDown_Button );
+   this.operationsButtons_Sizer.addStretch();
+   this.operationsButtons_Sizer.add( this.operationDelete_Button );
+   this.operationsButtons_Sizer.add( this.operationsClear_Button );
+
+   this.operations_GroupBox = new GroupBox( this );
+   this.operations_GroupBox.title = "Edit Plan";
+   this.operations_GroupBox.sizer = new VerticalSizer;
+   this.operations_GroupBox.sizer.margin = 6;
+   this.operations_GroupBox.sizer.spacing = 4;
+   this.operations_GroupBox.sizer.add( this.operations_TreeBox, 100 );
+   this.operations_GroupBox.sizer.add( this.operationsButtons_Sizer );
+
+   //-----Conditions-----elements
+
+   this.conditionLogic_Label = new Label( this );
+   this.conditionLogic_Label.text = "Apply the action to files where";
+   this.conditionLogic_Label.textAlignment = TextAlign_Left|TextAlign_VertCenter;
+
+   this.conditionLogic_Combo = new ComboBox( this );
+   this.conditionLogic_Combo.addItem( "all conditions are met" );
+   this.conditionLogic_Combo.addItem( "any condition is met" );
+   this.conditionLogic_Combo.currentItem = ( engine.conditionLogic == "all" ) ? 0 : 1;
+   this.conditionLogic_Combo.onItemSelected = function( index )
+   {
+      engine.conditionLogic = ( index == 0 ) ? "all" : "any";
+   }
+
+   this.conditionLogic_Sizer = new HorizontalSizer;
+   this.conditionLogic_Sizer.spacing = 4;
+   this.conditionLogic_Sizer.add( this.conditionLogic_Label );
+   this.conditionLogic_Sizer.add( this.conditionLogic_Combo );
+   this.conditionLogic_Sizer.addStretch();
+
+   this.conditions_TreeBox = new TreeBox( this );
+   this.conditions_TreeBox.rootDecoration = false;
+   this.conditions_TreeBox.alternateRowColor = true;
+   this.conditions_TreeBox.multipleSelection = false;
+   this.conditions_TreeBox.setScaledMinSize( 500, 60 );
+   this.conditions_TreeBox.numberOfColumns = 1;
+   this.conditions_TreeBox.headerVisible = false;
+   this.conditions_TreeBox.toolTip =
+      "<p>Conditions tested against the header of each file before the selected " +
+      "action is applied.  They are stored with each operation added to the edit " +
+      "plan.  Files where no operation's conditions are met are skipped.</p>";
+
+   this.conditionKeyword_Edit = new Edit( this );
+   this.conditionKeyword_Edit.setScaledFixedWidth( 100 );
+   this.conditionKeyword_Edit.toolTip = "<p>The keyword to test.</p>";
+
+   this.conditionTest_Combo = new ComboBox( this );
+   this.conditionTest_Combo.addItem( "exists" );
+   this.conditionTest_Combo.addItem( "is missing" );
+   this.conditionTest_Combo.addItem( "is blank or missing" );
+   this.conditionTest_Combo.addItem( "equals" );
+   this.conditionTest_Combo.addItem( "does not equal" );
+   this.conditionTest_Combo.addItem( "is less than" );
+   this.conditionTest_Combo.addItem( "is less than or equal to" );
+   this.conditionTest_Combo.addItem( "is greater than" );
+   this.conditionTest_Combo.addItem( "is greater than or equal to" );
+   this.conditionTest_Combo.addItem( "matches regular expression" );
+   this.conditionTest_Combo.currentItem = 3;
+   this.conditionTest_Combo.onItemSelected = function( index )
+   {
+      this.dialog.conditionValue_Edit.enabled = ( index > 2 );
+   }
+
+   this.conditionValue_Edit = new Edit( this );
+   this.conditionValue_Edit.toolTip =
+      "<p>The value to compare with.  Equality ignores case and string quotes, and " +
+      "compares numerically when both sides are numbers.  The less/greater tests " +
+      "are only met when both sides are numbers.</p>";
+
+   this.conditionAdd_Button = new PushButton( this );
+   this.conditionAdd_Button.text = "Add";
+   this.conditionAdd_Button.icon = this.scaledResource( ":/icons/add.png" );
+   this.conditionAdd_Button.toolTip = "<p>Add the condition.</p>";
+   this.conditionAdd_Button.onClick = function()
+   {
+      let name = this.dialog.conditionKeyword_Edit.text.trim();
+      if ( name == "" )
+      {
+         (new MessageBox( "No condition keyword has been specified.", TITLE, StdIcon_Error, StdButton_Ok )).execute();
+         return;
+      }
+      try
+      {
+         engine.conditions.push( new FITSKeywordCondition( name, CONDITION_TESTS[this.dialog.conditionTest_Combo.currentItem],
+                                                           this.dialog.conditionValue_Edit.text.trim() ) );
+      }
+      catch ( error )
+      {
+         (new MessageBox( error.message, TITLE, StdIcon_Error, StdButton_Ok )).execute();
+         return;
+      }
+      this.dialog.updateConditionsList();
+   };
+
+   this.conditionDelete_Button = new PushButton( this );
+   this.conditionDelete_Button.text = "Delete";
+   this.conditionDelete_Button.icon = this.scaledResource( ":/icons/delete.png" );
+   this.conditionDelete_Button.toolTip = "<p>Delete the selected condition.</p>";
+   this.conditionDelete_Button.onClick = function()
+   {
+      for ( let i = this.dialog.conditions_TreeBox.numberOfChildren; --i >= 0; )
+         if ( this.dialog.conditions_TreeBox.child( i ).selected )
+            engine.conditions.splice( i, 1 );
+      this.dialog.updateConditionsList();
+   };
+
+   this.conditionsClear_Button = new PushButton( this );
+   this.conditionsClear_Button.text = "Clear";
+   this.conditionsClear_Button.icon = this.scaledResource( ":/icons/clear.png" );
+   this.conditionsClear_Button.toolTip = "<p>Delete all conditions, so the action applies to every file.</p>";
+   this.conditionsClear_Button.onClick = function()
+   {
+      engine.conditions.length = 0;
+      this.dialog.updateConditionsList();
+   };
+
+   this.condition_Sizer = new HorizontalSizer;
+   this.condition_Sizer.spacing = 4;
+   this.condition_Sizer.add( this.conditionKeyword_Edit );
+   this.condition_Sizer.add( this.conditionTest_Combo );
+   this.condition_Sizer.add( this.conditionValue_Edit, 100 );
+   this.condition_Sizer.add( this.conditionAdd_Button );
+   this.condition_Sizer.add( this.conditionDelete_Button );
+   this.condition_Sizer.add( this.conditionsClear_Button );
+
+   this.conditions_GroupBox = new GroupBox( this );
+   this.conditions_GroupBox.title = "Conditions";
+   this.conditions_GroupBox.sizer = new VerticalSizer;
+   this.conditions_GroupBox.sizer.margin = 6;
+   this.conditions_GroupBox.sizer.spacing = 4;
+   this.conditions_GroupBox.sizer.add( this.conditionLogic_Sizer );
+   this.conditions_GroupBox.sizer.add( this.conditions_TreeBox );
+   this.conditions_GroupBox.sizer.add( this.condition_Sizer );
+
+   this.updateConditionsList = function()
+   {
+      this.conditions_TreeBox.clear();
+      for ( let i = 0; i < engine.conditions.length; ++i )
+      {
+         let node = new TreeBoxNode( this.conditions_TreeBox );
+         node.setText( 0, engine.conditions[i].description() );
+      }
+   }
+
+   //-----Value table-----elements
+
+   this.valueTable_Edit = new Edit( this );
+   this.valueTable_Edit.readOnly = true;
+   this.valueTable_Edit.toolTip =
+      "<p>A CSV or TSV file giving keyword values per file.  The first column " +
+      "holds a file path or file name, and the header of each other column is " +
+      "the keyword it sets.  Existing keywords are edited, missing keywords are " +
+      "added at the end of the header.  Blank cells are ignored.</p>";
+
+   this.valueTableLoad_Button = new PushButton( this );
+   this.valueTableLoad_Button.text = "Load...";
+   this.valueTableLoad_Button.icon = this.scaledResource( ":/icons/document-open.png" );
+   this.valueTableLoad_Button.toolTip = "<p>Load a CSV or TSV value table.</p>";
+   this.valueTableLoad_Button.onClick = function()
+   {
+      let ofd = new OpenFileDialog;
+      ofd.multipleSelections = false;
+      ofd.caption = "Select Value Table";
+      ofd.filters = [ ["CSV / TSV files", "*.csv", "*.tsv", "*.txt"], ["All files", "*"] ];
+      if ( !ofd.execute() )
+         return;
+
+      try
+      {
+         engine.loadValueTable( ofd.fileName );
+      }
+      catch ( error )
+      {
+         (new MessageBox( error.message, TITLE, StdIcon_Error, StdButton_Ok )).execute();
+      }
+      this.dialog.updateValueTableControls();
+   };
+
+   this.valueTableClear_Button = new PushButton( this );
+   this.valueTableClear_Button.text = "Clear";
+   this.valueTableClear_Button.icon = this.scaledResource( ":/icons/clear.png" );
+   this.valueTableClear_Button.toolTip = "<p>Stop using the value table.</p>";
+   this.valueTableClear_Button.onClick = function()
+   {
+      engine.valueTable = null;
+      this.dialog.updateValueTableControls();
+   };
+
+   this.valueTable_Sizer = new HorizontalSizer;
+   this.valueTable_Sizer.spacing = 4;
+   this.valueTable_Sizer.add( this.valueTable_Edit, 100 );
+   this.valueTable_Sizer.add( this.valueTableLoad_Button );
+   this.valueTable_Sizer.add( this.valueTableClear_Button );
+
+   this.valueTable_GroupBox = new GroupBox( this );
+   this.valueTable_GroupBox.title = "Per-file Values";
+   this.valueTable_GroupBox.sizer = new VerticalSizer;
+   this.valueTable_GroupBox.sizer.margin = 6;
+   this.valueTable_GroupBox.sizer.spacing = 4;
+   this.valueTable_GroupBox.sizer.add( this.valueTable_Sizer );
+
+   this.updateValueTableControls = function()
+   {
+      if ( engine.valueTable == null )
+      {
+         this.valueTable_Edit.text = "";
+      }
+      else
+      {
+         this.valueTable_Edit.text = File.extractNameAndExtension( engine.valueTable.path ) + " - " +
+                                     engine.valueTable.rows.length + " rows, keywords: " +
+                                     engine.valueTable.keywords.join( ", " );
+      }
+      this.valueTableClear_Button.enabled = ( engine.valueTable != null );
+   }
+
+   this.updateValueTableControls();
+
+   //-----Header report-----elements
+
+   this.reportKeywords_Label = new Label( this );
+   this.reportKeywords_Label.text = "Keywords:";
+   this.reportKeywords_Label.textAlignment = TextAlign_Right|TextAlign_VertCenter;
+
+   this.reportKeywords_Edit = new Edit( this );
+   this.reportKeywords_Edit.text = engine.reportKeywords;
+   this.reportKeywords_Edit.toolTip =
+      "<p>The keywords to report, separated by spaces or commas, for example " +
+      "<i>DATE-OBS EXPTIME FILTER GAIN CCD-TEMP</i>.  Leave empty to report every keyword.</p>";
+   this.reportKeywords_Edit.onEditCompleted = function()
+   {
+      engine.reportKeywords = this.text.trim();
+   }
+
+   this.reportComments_Check = new CheckBox( this );
+   this.reportComments_Check.text = "Include comments";
+   this.reportComments_Check.checked = engine.reportComments;
+   this.reportComments_Check.toolTip = "<p>Report the comment of each keyword as well as its value.</p>";
+   this.reportComments_Check.onCheck = function( checked )
+   {
+      engine.reportComments = checked;
+   }
+
+   this.reportExport_Button = new PushButton( this );
+   this.reportExport_Button.text = "Export...";
+   this.reportExport_Button.icon = this.scaledResource( ":/icons/document-save.png" );
+   this.reportExport_Button.toolTip =
+      "<p>Write the keywords of the target HDUs of all input files to a CSV, " +
+      "JSON or HTML report, with the file path and HDU number of each header.  " +
+      "The empty primary HDU that fpack adds to .fz files is not counted.  " +
+      "Nothing is changed in the files.</p>";
+   this.reportExport_Button.onClick = function()
+   {
+      if ( engine.inputFiles.length == 0 )
+      {
+         (new MessageBox( "No input files have been specified.", TITLE, StdIcon_Error, StdButton_Ok )).execute();
+         return;
+      }
+      let sfd = new SaveFileDialog;
+      sfd.caption = "Export Header Report";
+      sfd.filters = [ ["CSV files", "*.csv"], ["JSON files", "*.json"], ["HTML files", "*.html"] ];
+      sfd.initialPath = "headers.csv";
+      if ( !sfd.execute() )
+         return;
+
+      engine.reportKeywords = this.dialog.reportKeywords_Edit.text.trim();
+      console.show();
+      try
+      {
+         engine.writeHeaderReport( sfd.fileName );
+      }
+      catch ( error )
+      {
+         (new MessageBox( error.message, TITLE, StdIcon_Error, StdButton_Ok )).execute();
+      }
+   };
+
+   this.report_Sizer = new HorizontalSizer;
+   this.report_Sizer.spacing = 4;
+   this.report_Sizer.add( this.reportKeywords_Label );
+   this.report_Sizer.add( this.reportKeywords_Edit, 100 );
+   this.report_Sizer.add( this.reportComments_Check );
+   this.report_Sizer.add( this.reportExport_Button );
+
+   this.report_GroupBox = new GroupBox( this );
+   this.report_GroupBox.title = "Header Report";
+   this.report_GroupBox.sizer = new VerticalSizer;
+   this.report_GroupBox.sizer.margin = 6;
+   this.report_GroupBox.sizer.spacing = 4;
+   this.report_GroupBox.sizer.add( this.report_Sizer );
+
+   //-----Consistency check-----elements
+
+   this.checkKeywords_Label = new Label( this );
+   this.checkKeywords_Label.text = "Keywords:";
+   this.checkKeywords_Label.textAlignment = TextAlign_Right|TextAlign_VertCenter;
+
+   this.checkKeywords_Edit = new Edit( this );
+   this.checkKeywords_Edit.text = engine.checkKeywords;
+   this.checkKeywords_Edit.toolTip =
+      "<p>The keywords to compare across the input files, separated by spaces or " +
+      "commas, for example <i>GAIN FILTER XBINNING CCD-TEMP</i>.  Leave empty to " +
+      "compare every keyword found in more than half of the files.</p>";
+   this.checkKeywords_Edit.onEditCompleted = function()
+   {
+      engine.checkKeywords = this.text.trim();
+   }
+
+   this.checkTolerances_Label = new Label( this );
+   this.checkTolerances_Label.text = "Tolerances:";
+   this.checkTolerances_Label.textAlignment = TextAlign_Right|TextAlign_VertCenter;
+
+   this.checkTolerances_Edit = new Edit( this );
+   this.checkTolerances_Edit.text = engine.checkTolerances;
+   this.checkTolerances_Edit.toolTip =
+      "<p>Numeric keywords whose values may vary, with the largest allowed " +
+      "difference from the median, for example <i>CCD-TEMP = 2; EXPTIME = 0.5</i>.  " +
+      "Other keywords must have the value held by a majority of the files.</p>";
+   this.checkTolerances_Edit.onEditCompleted = function()
+   {
+      engine.checkTolerances = this.text.trim();
+   }
+
+   this.check_Button = new PushButton( this );
+   this.check_Button.text = "Check...";
+   this.check_Button.icon = this.scaledResource( ":/icons/find.png" );
+   this.check_Button.toolTip =
+      "<p>Compare the keywords of the input files and list the files that disagree " +
+      "with the rest.  Each finding can be fixed by adding an edit of that file " +
+      "to the edit plan.</p>";
+   this.check_Button.onClick = function()
+   {
+      if ( engine.inputFiles.length == 0 )
+      {
+         (new MessageBox( "No input files have been specified.", TITLE, StdIcon_Error, StdButton_Ok )).execute();
+         return;
+      }
+      engine.checkKeywords = this.dialog.checkKeywords_Edit.text.trim();
+      engine.checkTolerances = this.dialog.checkTolerances_Edit.text.trim();
+      let findings;
+      try
+      {
+         findings = engine.checkConsistency();
+      }
+      catch ( error )
+      {
+         (new MessageBox( error.message, TITLE, StdIcon_Error, StdButton_Ok )).execute();
+         return;
+      }
+      (new BatchFITSKeywordCheckDialog( engine, findings )).execute();
+      this.dialog.updateOperationsList( -1 );
+   };
+
+   this.check_Sizer = new HorizontalSizer;
+   this.check_Sizer.spacing = 4;
+   this.check_Sizer.add( this.checkKeywords_Label );
+   this.check_Sizer.add( this.checkKeywords_Edit, 100 );
+   this.check_Sizer.add( this.checkTolerances_Label );
+   this.check_Sizer.add( this.checkTolerances_Edit, 50 );
+   this.check_Sizer.add( this.check_Button );
+
+   this.check_GroupBox = new GroupBox( this );
+   this.check_GroupBox.title = "Consistency Check";
+   this.check_GroupBox.sizer = new VerticalSizer;
+   this.check_GroupBox.sizer.margin = 6;
+   this.check_GroupBox.sizer.spacing = 4;
+   this.check_GroupBox.sizer.add( this.check_Sizer );
+
+   this.selectedOperationIndex = function()
+   {
+      for ( let i = 0; i < this.operations_TreeBox.numberOfChildren; ++i )
+         if ( this.operations_TreeBox.child( i ).selected )
+            return i;
+      return -1;
+   }
+
+   this.updateOperationsList = function( selectedIndex )
+   {
+      this.operations_TreeBox.canUpdate = false;
+      this.operations_TreeBox.clear();
+      for ( let i = 0; i < engine.operations.length; ++i )
+      {
+         let operation = engine.operations[i];
+         let node = new TreeBoxNode( this.operations_TreeBox );
+         node.setText( 0, operation.action );
+         node.setText( 1, operation.name );
+         node.setText( 2, operation.value + ( ( operation.valueMode != "literal" ) ? "  [" + operation.valueMode + "]" : "" ) +
+                          ( ( operation.valueType != "raw" ) ? "  [" + operation.valueType + "]" : "" ) );
+         node.setText( 3, operation.comment );
+         node.setText( 4, operation.locationText() );
+         node.setText( 5, operation.conditionText() );
+         node.selected = ( i == selectedIndex );
+      }
+      for ( let i = 0; i < this.operations_TreeBox.numberOfColumns; ++i )
+         this.operations_TreeBox.adjustColumnWidthToContents( i );
+      this.operations_TreeBox.canUpdate = true;
+   }
+
+
+   this.updateControls = function(updateKeywordList)
+   {
+
+      this.dialog.addKeywordBar.checkBox.checked = engine.actionAdd;
+      this.dialog.editKeywordBar.checkBox.checked = engine.actionEdit;
+      this.dialog.removeKeywordBar.checkBox.checked = engine.actionRemove;
+
+      this.dialog.addKeywordBar.section.enabled = engine.actionAdd;
+      this.dialog.editKeywordBar.section.enabled = engine.actionEdit;
+      this.dialog.removeKeywordBar.section.enabled = engine.actionRemove;
+
+
+
+
+      if (updateKeywordList)  //We have arrived here from a change to the file list
+      {
+         let fileName = "";
+         if (this.dialog.files_TreeBox.selectedNodes.length != 0)
+         {
+            fileName = this.dialog.files_TreeBox.selectedNodes[0].text(0);
+         }
+         else
+         {
+            if (this.dialog.files_TreeBox.numberOfChildren > 0)
+            {
+               fileName = this.dialog.files_TreeBox.child(0).text(0);
+            }
+         }
+
+
+         let currentLocationKeyword = this.dialog.engine.addLocation();
+         let currentEditKeyword = this.dialog.engine.editKeyword();
+         let currentRemoveKeyword = this.dialog.engine.removeKeyword();
+
+         this.dialog.addLocation_Combo.clear();
+         this.dialog.editKeyword_Combo.clear();
+         this.dialog.removeKeyword_Combo.clear();
+
+         engine.keywordList.length = 0;
+         engine.locationKeywordIndex = -1;
+         engine.editKeywordIndex = -1;
+         engine.removeKeywordIndex = -1;
+
+         //the pickers list the cards of each targeted HDU of the selected file after its
+         //structural keywords, then the keywords found only in other input files
+         let extractedFITSKeywords = new Array;
+         let keywordLabels = new Array;
+         this.dialog.previewFilePath = fileName;
+         this.dialog.previewKeywords = new Array;
+
+         let union = engine.keywordUnion( engine.inputFiles );
+         let countText = function( name )
+         {
+            let entry = union.keywords[fitsKeywordName( name )];
+            if ( entry == undefined )
+               return "";
+            return "  (" + entry.files + "/" + union.files + " files, " +
+                   entry.values + " value" + ( ( entry.values == 1 ) ? "" : "s" ) + ")";
+         };
+
+         let listed = {};
+         let headers = new Array;
+         if (fileName != "")
+         {
+            try
+            {
+               headers = this.dialog.engine.cachedHDUHeaders( fileName );
+            }
+            catch ( error )
+            {
+               console.warningln( "Header not read: " + fileName + " - " + error.message );
+            }
+         }
+         let targets = engine.targetHDUs( headers );
+         if ( targets.length > 0 )
+            this.dialog.previewKeywords = headers[targets[0]];
+         for ( let t = 0; t < targets.length; ++t )
+         {
+            let header = headers[targets[t]];
+            for ( let i = structuralKeywordCount( header ); i < header.length; ++i )
+            {
+               extractedFITSKeywords.push( header[i] );
+               keywordLabels.push( ( ( headers.length > 1 ) ? "[" + hduLabel( headers, targets[t] ) + "] " : "" ) +
+                                   header[i].name + countText( header[i].name ) );
+               listed[fitsKeywordName( header[i].name )] = true;
+            }
+         }
+         for ( let k = 0; k < union.names.length; ++k )
+         {
+            if ( listed.hasOwnProperty( union.names[k] ) )
+               continue;
+            extractedFITSKeywords.push( union.keywords[union.names[k]].card );
+            keywordLabels.push( union.names[k] + countText( union.names[k] ) );
+         }
+         if ( extractedFITSKeywords.length == 0 )
+         {
+            extractedFITSKeywords.push( new FITSKeyword("","","") );
+            keywordLabels.push( "" );
+         }
+
+         for ( let i = 0; i < extractedFITSKeywords.length; ++i )
+         {
+            engine.keywordList.push(extractedFITSKeywords[i]);
+            this.dialog.addLocation_Combo.addItem(keywordLabels[i]);
+            this.dialog.editKeyword_Combo.addItem(keywordLabels[i]);
+            this.dialog.removeKeyword_Combo.addItem(keywordLabels[i]);
+
+            if (isFITSEqual(extractedFITSKeywords[i], currentLocationKeyword, this.dialog.engine.addMatchName))
+            {
+               engine.locationKeywordIndex = i;
+            }
+
+            if (isFITSEqual(extractedFITSKeywords[i], currentEditKeyword, this.dialog.engine.editMatchName))
+            {
+               engine.editKeywordIndex = i;
+            }
+
+            if (isFITSEqual(extractedFITSKeywords[i], currentRemoveKeyword, this.dialog.engine.removeMatchName))
+            {
+               engine.removeKeywordIndex = i;
+            }
+         }
+
+         if (engine.locationKeywordIndex < 0)
+         {
+            engine.locationKeywordIndex = 0;
+         }
+         this.dialog.addLocation_Combo.currentItem = engine.locationKeywordIndex;
+
+         if (engine.editKeywordIndex < 0)
+         {
+            engine.editKeywordIndex = 0;
+            engine.editValue = engine.editKeyword().value;
+            this.dialog.editValue_Edit.text = engine.editValue;
+            engine.editComment = engine.editKeyword().comment;
+            this.dialog.editComment_Edit.text = engine.editComment;
+         }
+         this.dialog.editKeyword_Combo.currentItem = engine.editKeywordIndex;
+
+         if (engine.removeKeywordIndex < 0)
+         {
+            engine.removeKeywordIndex = 0;
+         }
+         engine.removeValue = engine.removeKeyword().value;
+         this.dialog.removeValue_Label2.text = engine.removeValue;
+         engine.removeComment = engine.removeKeyword().comment;
+         this.dialog.removeComment_Label2.text = engine.removeComment;
+         this.dialog.removeKeyword_Combo.currentItem = engine.removeKeywordIndex;
+
+         this.dialog.updateResolvedValues();
+
+      }
+
+
    }
 
-   //-----Edit keyword-----sizers
 
-   this.editKeyword_Sizer = new HorizontalSizer;
-   this.editKeyword_Sizer.spacing = 4;
-   this.editKeyword_Sizer.add( this.editKeyword_Label );
-   this.editKeyword_Sizer.add( this.editKeyword_Combo );
-   this.editKeyword_Sizer.add( this.editMatchName_Check );
-   this.editKeyword_Sizer.addStretch();
+   /*
+    * Shows what template values resolve to for the selected (or first) file.
+    */
+   this.resolvedText = function( mode, type, value, comment )
+   {
+      if ( mode == "literal" )
+      {
+         if ( type == "raw" )
+            return "";
+         try
+         {
+            return "Written as: " + formatFITSValue( value, type );
+         }
+         catch ( error )
+         {
+            return error.message;
+         }
+      }
+      if ( this.previewFilePath == "" )
+         return "Add input files to preview the resolved value";
+      try
+      {
+         let resolved = resolveValue( mode, value, comment, this.previewFilePath, this.previewKeywords );
+         let text = formatFITSValue( resolved.value, type );
+         if ( resolved.comment.length > 0 )
+            text += " / " + resolved.comment;
+         return File.extractNameAndExtension( this.previewFilePath ) + ": " + text;
+      }
+      catch ( error )
+      {
+         return File.extractNameAndExtension( this.previewFilePath ) + ": " + error.message;
+      }
+   }
 
-   this.editValue_Sizer = new HorizontalSizer;
-   this.editValue_Sizer.spacing = 4;
-   this.editValue_Sizer.add( this.editValue_Label );
-   this.editValue_Sizer.add( this.editValue_Edit );
-   this.editValue_Sizer.addStretch();
+   this.updateResolvedValues = function()
+   {
+      this.addResolved_Label.text = this.resolvedText( engine.addValueMode, engine.addValueType, engine.addValue, engine.addComment );
+      this.addResolved_Label.visible = ( this.addResolved_Label.text != "" );
+      this.editResolved_Label.text = this.resolvedText( engine.editValueMode, engine.editValueType, engine.editValue, engine.editComment );
+      this.editResolved_Label.visible = ( this.editResolved_Label.text != "" );
+   }
 
-   this.editComment_Sizer = new HorizontalSizer;
-   this.editComment_Sizer.spacing = 4;
-   this.editComment_Sizer.add( this.editComment_Label );
-   this.editComment_Sizer.add( this.editComment_Edit );
-   this.editComment_Sizer.addStretch();
+   //-----HDU target-----elements
+
+   this.hduTarget_Label = new Label( this );
+   this.hduTarget_Label.text = "Target HDU:";
+   this.hduTarget_Label.minWidth = labelWidth1;
+   this.hduTarget_Label.textAlignment = TextAlign_Right|TextAlign_VertCenter;
+
+   this.hduTarget_Combo = new ComboBox( this );
+   this.hduTarget_Combo.addItem( "Primary HDU" );
+   this.hduTarget_Combo.addItem( "All image HDUs" );
+   this.hduTarget_Combo.addItem( "Extension named" );
+   this.hduTarget_Combo.addItem( "HDU number" );
+   this.hduTarget_Combo.currentItem = HDU_TARGETS.indexOf( engine.hduTarget );
+   this.hduTarget_Combo.toolTip =
+      "<p>Specifies which header/data units of each file are edited: the primary " +
+      "HDU, every image HDU (the primary HDU if it holds an image, and IMAGE " +
+      "extensions), the extensions with the given EXTNAME, or the HDU with the " +
+      "given number, where 0 is the primary HDU.  Files with no matching HDU are " +
+      "skipped.</p>" +
+      "<p>Extensions can only be edited with 'Rewrite header only' checked.</p>";
+   this.hduTarget_Combo.onItemSelected = function( index )
+   {
+      engine.hduTarget = HDU_TARGETS[index];
+      this.dialog.updateHDUControls();
+      this.dialog.updateControls(true);
+   }
 
-   //-----Edit keyword-----section
+   this.hduExtname_Edit = new Edit( this );
+   this.hduExtname_Edit.text = engine.hduExtname;
+   this.hduExtname_Edit.setScaledFixedWidth( 100 );
+   this.hduExtname_Edit.toolTip = "<p>The EXTNAME of the extensions to edit, for example SCI.</p>";
+   this.hduExtname_Edit.onEditCompleted = function()
+   {
+      engine.hduExtname = this.text.trim();
+      this.dialog.updateControls(true);
+   }
 
-   this.editKeywordSection = new Control(this);
-   this.editKeywordSection.sizer = new VerticalSizer;
-   this.editKeywordSection.sizer.spacing = 4;
-   this.editKeywordSection.sizer.add( this.editKeyword_Sizer );
-   this.editKeywordSection.sizer.add( this.editValue_Sizer );
-   this.editKeywordSection.sizer.add( this.editComment_Sizer );
+   this.hduIndex_SpinBox = new SpinBox( this );
+   this.hduIndex_SpinBox.minValue = 0;
+   this.hduIndex_SpinBox.maxValue = 999;
+   this.hduIndex_SpinBox.value = engine.hduIndex;
+   this.hduIndex_SpinBox.toolTip = "<p>The number of the HDU to edit, where 0 is the primary HDU.</p>";
+   this.hduIndex_SpinBox.onValueUpdated = function( value )
+   {
+      engine.hduIndex = value;
+      this.dialog.updateControls(true);
+   }
 
+   this.hduTarget_Sizer = new HorizontalSizer;
+   this.hduTarget_Sizer.spacing = 4;
+   this.hduTarget_Sizer.add( this.hduTarget_Label );
+   this.hduTarget_Sizer.add( this.hduTarget_Combo );
+   this.hduTarget_Sizer.add( this.hduExtname_Edit );
+   this.hduTarget_Sizer.add( this.hduIndex_SpinBox );
+   this.hduTarget_Sizer.addStretch();
 
+   this.updateHDUControls = function()
+   {
+      this.hduExtname_Edit.visible = ( engine.hduTarget == "extname" );
+      this.hduIndex_SpinBox.visible = ( engine.hduTarget == "index" );
+   }
 
-   this.editKeywordBar = new SectionBar(this, "Edit keyword");
-   this.editKeywordBar.enableCheckBox();
-   this.editKeywordBar.setSection(this.editKeywordSection);
-   this.editKeywordBar.checkBox.onCheck = function( checked )
+   this.inputParameter_GroupBox = new GroupBox;
+   this.inputParameter_GroupBox.title = "Keyword change parameters";
+   this.inputParameter_GroupBox.sizer = new  VerticalSizer;
+   this.inputParameter_GroupBox.sizer.margin = 6;
+   this.inputParameter_GroupBox.sizer.spacing = 4;
+   this.inputParameter_GroupBox.sizer.add( this.hduTarget_Sizer );
+   this.inputParameter_GroupBox.sizer.addSpacing(4);
+   this.inputParameter_GroupBox.sizer.add( this.addKeywordBar );
+   this.inputParameter_GroupBox.sizer.add( this.addKeywordSection );
+   this.inputParameter_GroupBox.sizer.addSpacing(4);
+   this.inputParameter_GroupBox.sizer.add( this.editKeywordBar );
+   this.inputParameter_GroupBox.sizer.add( this.editKeywordSection );
+   this.inputParameter_GroupBox.sizer.addSpacing(4);
+   this.inputParameter_GroupBox.sizer.add( this.removeKeywordBar );
+   this.inputParameter_GroupBox.sizer.add( this.removeKeywordSection );
+
+   this.editKeywordSection.hide();
+   this.removeKeywordSection.hide();
+
+   this.updateControls(true);
+   this.updateOperationsList( -1 );
+   this.updateMatchControls();
+   this.updateConditionsList();
+   this.updateHDUControls();
+
+
+
+
+
+    // Output
+
+   this.outputDir_Edit = new Edit( this );
+   this.outputDir_Edit.readOnly = true;
+   this.outputDir_Edit.text = engine.outputDirectory;
+   this.outputDir_Edit.toolTip =
+      "<p>If specified, all converted images will be written to the output directory.</p>" +
+      "<p>If not specified, converted images will be written to the same directories " +
+      "as their corresponding input images.</p>";
+
+   this.outputDirSelect_Button = new ToolButton( this );
+   this.outputDirSelect_Button.icon = this.scaledResource( ":/browser/select-file.png" );
+   this.outputDirSelect_Button.setScaledFixedSize( 20, 20 );
+   this.outputDirSelect_Button.toolTip = "<p>Select the output directory.</p>";
+   this.outputDirSelect_Button.onClick = function()
    {
-      engine.actionAdd = false;
-      engine.actionEdit = true;
-      engine.actionRemove = false;
-      this.dialog.updateControls(false);
+      var gdd = new GetDirectoryDialog;
+      gdd.initialPath = engine.outputDirectory;
+      gdd.caption = "Select Output Directory";
+
+      if ( gdd.execute() )
+      {
+         engine.outputDirectory = gdd.directory;
+         this.dialog.outputDir_Edit.text = engine.outputDirectory;
+      }
+   };
+
+   this.outputDir_Label = new Label( this );
+   this.outputDir_Label.text = "Output Directory:";
+   this.outputDir_Label.minWidth = labelWidth1;
+   this.outputDir_Label.textAlignment = TextAlign_Right|TextAlign_VertCenter;
+
+   this.outputDir_Sizer = new HorizontalSizer;
+   this.outputDir_Sizer.spacing = 4;
+   this.outputDir_Sizer.add( this.outputDir_Label );
+   this.outputDir_Sizer.add( this.outputDir_Edit, this.textEditWidth );
+   this.outputDir_Sizer.add( this.outputDirSelect_Button );
+
+   this.outputPrefix_Label = new Label (this);
+   this.outputPrefix_Label.text = "Prefix:";
+   this.outputPrefix_Label.textAlignment = TextAlign_Right|TextAlign_VertCenter;
+
+   this.outputPrefix_Edit = new Edit( this );
+   this.outputPrefix_Edit.text = engine.outputPrefix;
+   this.outputPrefix_Edit.setFixedWidth( this.font.width( "MMMMMM" ) );
+   this.outputPrefix_Edit.toolTip = "Text to add to the start of the output file name";
+   this.outputPrefix_Edit.onEditCompleted = function()
+   {
+      engine.outputPrefix = this.text;
+   };
+
+   this.outputPostfix_Label = new Label (this);
+   this.outputPostfix_Label.text = "Postfix:";
+   this.outputPostfix_Label.textAlignment = TextAlign_Right|TextAlign_VertCenter;
+
+   this.outputPostfix_Edit = new Edit( this );
+   this.outputPostfix_Edit.text = engine.outputPostfix;
+   this.outputPostfix_Edit.setFixedWidth( this.font.width( "MMMMMM" ) );
+   this.outputPostfix_Edit.toolTip = "Text to append to the end of the output file name";
+   this.outputPostfix_Edit.onEditCompleted = function()
+   {
+      engine.outputPostfix = this.text;
+   };
+
+   this.outputFileName_Label = new Label( this );
+   this.outputFileName_Label.text = "Modify output file name with: ";
+   this.outputFileName_Label.minWidth = labelWidth1;
+   this.outputFileName_Label.textAlignment = TextAlign_Right|TextAlign_VertCenter;
+
+   this.options_Sizer = new HorizontalSizer;
+   this.options_Sizer.spacing = 4;
+   this.options_Sizer.add( this.outputFileName_Label );
+   //this.options_Sizer.add( this.outputExt_Edit );
+   this.options_Sizer.addSpacing( 8 );
+   this.options_Sizer.add( this.outputPrefix_Label );
+   this.options_Sizer.add( this.outputPrefix_Edit );
+   this.options_Sizer.addSpacing( 8 );
+   this.options_Sizer.add( this.outputPostfix_Label );
+   this.options_Sizer.add( this.outputPostfix_Edit );
+   this.options_Sizer.addStretch();
+
+   this.outputNameTemplate_Label = new Label( this );
+   this.outputNameTemplate_Label.text = "Output name template:";
+   this.outputNameTemplate_Label.minWidth = labelWidth1;
+   this.outputNameTemplate_Label.textAlignment = TextAlign_Right|TextAlign_VertCenter;
+
+   this.outputNameTemplate_Edit = new Edit( this );
+   this.outputNameTemplate_Edit.text = engine.outputNameTemplate;
+   this.outputNameTemplate_Edit.toolTip =
+      "<p>Builds the output file name, and any subdirectories below the output " +
+      "directory, from header values, for example " +
+      "<i>{OBJECT}/{FILTER}/{DATE-OBS:date}_{EXPTIME}s_{name}</i>.  Placeholders " +
+      "are written as for template values and see the keywords after editing, so " +
+      "a FILTER keyword added by this run can be used.  The output extension is " +
+      "appended.</p>" +
+      "<p>Directories are created as needed, and characters that cannot appear in " +
+      "file names are replaced by underscores.  Leave empty to name output files " +
+      "with the prefix and postfix.</p>";
+   this.outputNameTemplate_Edit.onEditCompleted = function()
+   {
+      engine.outputNameTemplate = this.text.trim();
+      this.dialog.updateOutputControls();
+   };
+
+   this.collisionPolicy_Label = new Label( this );
+   this.collisionPolicy_Label.text = "If file exists:";
+   this.collisionPolicy_Label.textAlignment = TextAlign_Right|TextAlign_VertCenter;
+
+   this.collisionPolicy_Combo = new ComboBox( this );
+   this.collisionPolicy_Combo.addItem( "Add suffix" );
+   this.collisionPolicy_Combo.addItem( "Overwrite" );
+   this.collisionPolicy_Combo.addItem( "Skip file" );
+   this.collisionPolicy_Combo.currentItem = COLLISION_POLICIES.indexOf( engine.collisionPolicy );
+   this.collisionPolicy_Combo.toolTip =
+      "<p>What to do when the output file already exists: write to a new name " +
+      "with _1, _2... appended, replace the existing file, or leave it alone and " +
+      "skip the input file.  A file written earlier in the same run always gets " +
+      "a new name, so that two input files never end up as one.</p>";
+   this.collisionPolicy_Combo.onItemSelected = function( index )
+   {
+      engine.collisionPolicy = COLLISION_POLICIES[index];
+   }
+
+   this.outputNameTemplate_Sizer = new HorizontalSizer;
+   this.outputNameTemplate_Sizer.spacing = 4;
+   this.outputNameTemplate_Sizer.add( this.outputNameTemplate_Label );
+   this.outputNameTemplate_Sizer.add( this.outputNameTemplate_Edit, 100 );
+   this.outputNameTemplate_Sizer.addSpacing( 8 );
+   this.outputNameTemplate_Sizer.add( this.collisionPolicy_Label );
+   this.outputNameTemplate_Sizer.add( this.collisionPolicy_Combo );
+
+   this.rewriteHeaderOnly_Label = new Label( this ) //Used to position header only checkbox
+   this.rewriteHeaderOnly_Label.text = "";
+   this.rewriteHeaderOnly_Label.minWidth = labelWidth1;
+
+   this.rewriteHeaderOnly_Check = new CheckBox( this );
+   this.rewriteHeaderOnly_Check.text = "Rewrite header only";
+   this.rewriteHeaderOnly_Check.checked = engine.rewriteHeaderOnly;
+   this.rewriteHeaderOnly_Check.toolTip =
+      "<p>Check here to rebuild only the FITS headers of each file.  The " +
+      "image data is copied byte-for-byte rather than being decoded and written " +
+      "again by PixInsight, which is much faster for large files and leaves " +
+      "BITPIX/BZERO and the pixel values exactly as they were.</p>" +
+      "<p>Leave unchecked to load and save each image with PixInsight.  Tile-compressed " +
+      "(.fz) and gzipped (.fits.gz) files are always edited this way, as PixInsight " +
+      "cannot write them; gzipped files are recompressed.</p>";
+   this.rewriteHeaderOnly_Check.onCheck = function( checked )
+   {
+      engine.rewriteHeaderOnly = checked;
+   }
+
+   this.rewriteHeaderOnly_Sizer = new HorizontalSizer;
+   this.rewriteHeaderOnly_Sizer.spacing = 4;
+   this.rewriteHeaderOnly_Sizer.add( this.rewriteHeaderOnly_Label );
+   this.rewriteHeaderOnly_Sizer.add( this.rewriteHeaderOnly_Check );
+   this.rewriteHeaderOnly_Sizer.addStretch();
+
+   this.modifyOriginals_Label = new Label( this ) //Used to position modify originals checkbox
+   this.modifyOriginals_Label.text = "";
+   this.modifyOriginals_Label.minWidth = labelWidth1;
+
+   this.modifyOriginals_Check = new CheckBox( this );
+   this.modifyOriginals_Check.text = "Modify original files";
+   this.modifyOriginals_Check.checked = engine.modifyOriginals;
+   this.modifyOriginals_Check.toolTip =
+      "<p>Check here to replace the original files instead of writing new copies.</p>" +
+      "<p>Each file is first written to a temporary file in the same directory, " +
+      "which is verified before it replaces the original.  The output directory, " +
+      "name template and prefix/postfix are not used in this mode.</p>";
+   this.modifyOriginals_Check.onCheck = function( checked )
+   {
+      engine.modifyOriginals = checked;
+      this.dialog.updateOutputControls();
+   }
+
+   this.modifyOriginals_Sizer = new HorizontalSizer;
+   this.modifyOriginals_Sizer.spacing = 4;
+   this.modifyOriginals_Sizer.add( this.modifyOriginals_Label );
+   this.modifyOriginals_Sizer.add( this.modifyOriginals_Check );
+   this.modifyOriginals_Sizer.addStretch();
+
+   this.backupMode_Label = new Label( this );
+   this.backupMode_Label.text = "Backup originals:";
+   this.backupMode_Label.minWidth = labelWidth1;
+   this.backupMode_Label.textAlignment = TextAlign_Right|TextAlign_VertCenter;
+
+   this.backupMode_Combo = new ComboBox( this );
+   this.backupMode_Combo.addItem( "No backup" );
+   this.backupMode_Combo.addItem( "Keep .bak copy" );
+   this.backupMode_Combo.addItem( "Copy to backup directory" );
+   this.backupMode_Combo.currentItem = BACKUP_MODES.indexOf( engine.backupMode );
+   this.backupMode_Combo.toolTip =
+      "<p>Specifies whether a copy of each original file is kept before it is " +
+      "replaced: either next to the original with a .bak extension, or below the " +
+      "backup directory with the original folder structure mirrored.</p>";
+   this.backupMode_Combo.onItemSelected = function( index )
+   {
+      engine.backupMode = BACKUP_MODES[index];
+      this.dialog.updateOutputControls();
+   }
+
+   this.backupDir_Edit = new Edit( this );
+   this.backupDir_Edit.readOnly = true;
+   this.backupDir_Edit.text = engine.backupDirectory;
+   this.backupDir_Edit.toolTip = "<p>Directory below which copies of the original files are kept.</p>";
+
+   this.backupDirSelect_Button = new ToolButton( this );
+   this.backupDirSelect_Button.icon = this.scaledResource( ":/browser/select-file.png" );
+   this.backupDirSelect_Button.setScaledFixedSize( 20, 20 );
+   this.backupDirSelect_Button.toolTip = "<p>Select the backup directory.</p>";
+   this.backupDirSelect_Button.onClick = function()
+   {
+      var gdd = new GetDirectoryDialog;
+      gdd.initialPath = engine.backupDirectory;
+      gdd.caption = "Select Backup Directory";
+
+      if ( gdd.execute() )
+      {
+         engine.backupDirectory = gdd.directory;
+         this.dialog.backupDir_Edit.text = engine.backupDirectory;
+      }
+   };
+
+   this.backup_Sizer = new HorizontalSizer;
+   this.backup_Sizer.spacing = 4;
+   this.backup_Sizer.add( this.backupMode_Label );
+   this.backup_Sizer.add( this.backupMode_Combo );
+   this.backup_Sizer.add( this.backupDir_Edit, this.textEditWidth );
+   this.backup_Sizer.add( this.backupDirSelect_Button );
+
+   this.updateOutputControls = function()
+   {
+      this.outputPrefix_Edit.enabled = !engine.modifyOriginals && engine.outputNameTemplate.length == 0;
+      this.outputPostfix_Edit.enabled = !engine.modifyOriginals && engine.outputNameTemplate.length == 0;
+      this.outputNameTemplate_Edit.enabled = !engine.modifyOriginals;
+      this.collisionPolicy_Combo.enabled = !engine.modifyOriginals;
+      this.outputDir_Edit.enabled = !engine.modifyOriginals;
+      this.outputDirSelect_Button.enabled = !engine.modifyOriginals;
+      this.backupMode_Combo.enabled = engine.modifyOriginals;
+      this.backupDir_Edit.enabled = engine.modifyOriginals && ( engine.backupMode == "directory" );
+      this.backupDirSelect_Button.enabled = engine.modifyOriginals && ( engine.backupMode == "directory" );
+   }
+
+   this.outputOptions_GroupBox = new GroupBox( this );
+   this.outputOptions_GroupBox.title = "Output File Options";
+   this.outputOptions_GroupBox.sizer = new VerticalSizer;
+   this.outputOptions_GroupBox.sizer.margin = 6;
+   this.outputOptions_GroupBox.sizer.spacing = 4;
+   this.outputOptions_GroupBox.sizer.add( this.options_Sizer );
+   this.outputOptions_GroupBox.sizer.add( this.outputNameTemplate_Sizer );
+   this.outputOptions_GroupBox.sizer.add( this.rewriteHeaderOnly_Sizer );
+   //this.outputOptions_GroupBox.sizer.add( this.overwriteExisting_Sizer );
+   this.outputOptions_GroupBox.sizer.add( this.outputDir_Sizer );
+   this.outputOptions_GroupBox.sizer.add( this.modifyOriginals_Sizer );
+   this.outputOptions_GroupBox.sizer.add( this.backup_Sizer );
+
+   this.updateOutputControls();
+
+
+
+   /*
+    * Sets every settings control from the engine, after a recipe has been
+    * loaded.
+    */
+   this.updateSettingsControls = function()
+   {
+      this.folderRecursive_Check.checked = engine.folderRecursive;
+      this.folderExtensions_Edit.text = engine.folderExtensions;
+      this.folderNamePattern_Edit.text = engine.folderNamePattern;
+      this.headerFilter_Edit.text = engine.folderHeaderFilter;
+
+      this.addKeyword_Edit.text = engine.addKeyword;
+      this.addValue_Edit.text = engine.addValue;
+      this.addValueMode_Combo.currentItem = VALUE_MODES.indexOf( engine.addValueMode );
+      this.addValueType_Combo.currentItem = VALUE_TYPES.indexOf( engine.addValueType );
+      this.addComment_Edit.text = engine.addComment;
+      this.addMatchName_Check.checked = engine.addMatchName;
+      this.addBeforeAfter_Combo.currentItem = ( engine.addBeforeAfter == "after" ) ? 1 : 0;
+      this.addDuplicates_Check.checked = engine.addDuplicates;
+
+      this.editMatchName_Check.checked = engine.editMatchName;
+      this.editReplaceMatch_Check.checked = engine.editReplaceMatch;
+      this.editValue_Edit.text = engine.editValue;
+      this.editValueMode_Combo.currentItem = VALUE_MODES.indexOf( engine.editValueMode );
+      this.editValueType_Combo.currentItem = VALUE_TYPES.indexOf( engine.editValueType );
+      this.editComment_Edit.text = engine.editComment;
+      this.removeMatchName_Check.checked = engine.removeMatchName;
+
+      let prefixes = [ "edit", "remove" ];
+      for ( let i = 0; i < prefixes.length; ++i )
+      {
+         let controls = this[prefixes[i] + "Match"];
+         controls.mode_Combo.currentItem = MATCH_MODES.indexOf( engine[prefixes[i] + "MatchMode"] );
+         controls.namePattern_Edit.text = engine[prefixes[i] + "NamePattern"];
+         controls.valuePattern_Edit.text = engine[prefixes[i] + "ValuePattern"];
+         controls.commentPattern_Edit.text = engine[prefixes[i] + "CommentPattern"];
+         controls.occurrence_Combo.currentItem = OCCURRENCES.indexOf( engine[prefixes[i] + "Occurrence"] );
+      }
+
+      this.hduTarget_Combo.currentItem = HDU_TARGETS.indexOf( engine.hduTarget );
+      this.hduExtname_Edit.text = engine.hduExtname;
+      this.hduIndex_SpinBox.value = engine.hduIndex;
+      this.conditionLogic_Combo.currentItem = ( engine.conditionLogic == "all" ) ? 0 : 1;
+
+      this.outputDir_Edit.text = engine.outputDirectory;
+      this.outputPrefix_Edit.text = engine.outputPrefix;
+      this.outputPostfix_Edit.text = engine.outputPostfix;
+      this.outputNameTemplate_Edit.text = engine.outputNameTemplate;
+      this.collisionPolicy_Combo.currentItem = COLLISION_POLICIES.indexOf( engine.collisionPolicy );
+      this.rewriteHeaderOnly_Check.checked = engine.rewriteHeaderOnly;
+      this.modifyOriginals_Check.checked = engine.modifyOriginals;
+      this.backupMode_Combo.currentItem = BACKUP_MODES.indexOf( engine.backupMode );
+      this.backupDir_Edit.text = engine.backupDirectory;
+      this.reportKeywords_Edit.text = engine.reportKeywords;
+      this.reportComments_Check.checked = engine.reportComments;
+      this.checkKeywords_Edit.text = engine.checkKeywords;
+      this.checkTolerances_Edit.text = engine.checkTolerances;
+
+      this.updateControls( true );
+      this.updateOperationsList( -1 );
+      this.updateMatchControls();
+      this.updateConditionsList();
+      this.updateHDUControls();
+      this.updateOutputControls();
    }
-   this.editKeywordBar.updateSection();
 
 
-   //-----Remove keyword-----elements
 
-   this.removeKeyword_Label = new Label( this )
-   this.removeKeyword_Label.text = "Keyword:";
-   this.removeKeyword_Label.minWidth = labelWidth1;
-   this.removeKeyword_Label.textAlignment = TextAlign_Right|TextAlign_VertCenter;
+   // Recipes
 
-   this.removeKeyword_Combo = new ComboBox ( this );
-   this.removeKeyword_Combo.minWidth = labelWidth1;
-   this.removeKeyword_Combo.addItem("");
-   this.removeKeyword_Combo.currentItem = 0;
-   this.removeKeyword_Combo.toolTip =
-      "<p>Specifies the keyword to be removed.  Note that you may not remove " +
-      "some keywords.  If you try to remove these Pixinsight will override.</p>";
-   this.removeKeyword_Combo.onItemSelected = function( index )
+   this.recipe_Label = new Label( this );
+   this.recipe_Label.text = "Recipe:";
+   this.recipe_Label.textAlignment = TextAlign_Right|TextAlign_VertCenter;
+
+   this.recipe_Combo = new ComboBox( this );
+   this.recipe_Combo.editEnabled = true;
+   this.recipe_Combo.setScaledMinWidth( 250 );
+   this.recipe_Combo.toolTip =
+      "<p>Named recipes hold the add, edit and remove settings, the edit plan, " +
+      "the conditions and the output options, but not the input files.  Select " +
+      "a recipe to load it, or type a new name to save the current settings.</p>";
+
+   this.updateRecipeList = function( selectedName )
    {
-      let newKwd = engine.keywordList[index];
-      engine.removeValue = newKwd.value;
-      this.dialog.removeValue_Label2.text = engine.removeValue;
-      engine.removeComment = newKwd.comment;
-      this.dialog.removeComment_Label2.text = engine.removeComment;
-      engine.removeKeywordIndex = index;
+      let recipes = engine.readRecipes();
+      this.recipe_Combo.clear();
+      for ( let i = 0; i < recipes.length; ++i )
+      {
+         this.recipe_Combo.addItem( recipes[i].name );
+         if ( recipes[i].name == selectedName )
+            this.recipe_Combo.currentItem = i;
+      }
+      this.recipe_Combo.editText = selectedName;
    }
 
-   this.removeMatchName_Check = new CheckBox( this );
-   this.removeMatchName_Check.text = "Match name only";
-   this.removeMatchName_Check.checked = engine.removeMatchName;
-   this.removeMatchName_Check.toolTip =
-      "<p>Check here if only want to check the Keyword name. " +
-      "If different files in the batch have different values " +
-      "for the keyword you want to remove then check this box.</p>";
-   this.removeMatchName_Check.onCheck = function( checked )
+   this.selectedRecipe = function()
    {
-      engine.removeMatchName = checked;
+      let name = this.recipe_Combo.editText.trim();
+      let recipe = ( name != "" ) ? engine.findRecipe( name ) : null;
+      if ( recipe == null )
+         (new MessageBox( ( name != "" ) ? "No recipe named: " + name : "No recipe has been selected.",
+                          TITLE, StdIcon_Error, StdButton_Ok )).execute();
+      return recipe;
    }
 
-   this.removeValue_Label1 = new Label( this )
-   this.removeValue_Label1.text = "Value:";
-   this.removeValue_Label1.minWidth = labelWidth1;
-   this.removeValue_Label1.textAlignment = TextAlign_Right|TextAlign_VertCenter;
+   this.recipeLoad_Button = new PushButton( this );
+   this.recipeLoad_Button.text = "Load";
+   this.recipeLoad_Button.icon = this.scaledResource( ":/icons/open.png" );
+   this.recipeLoad_Button.toolTip = "<p>Replace the current settings and edit plan with those of the selected recipe.</p>";
+   this.recipeLoad_Button.onClick = function()
+   {
+      let recipe = this.dialog.selectedRecipe();
+      if ( recipe == null )
+         return;
+      try
+      {
+         engine.applyRecipe( recipe );
+      }
+      catch ( error )
+      {
+         (new MessageBox( error.message, TITLE, StdIcon_Error, StdButton_Ok )).execute();
+      }
+      this.dialog.updateSettingsControls();
+   };
 
-   this.removeValue_Label2 = new Label( this );
-   this.removeValue_Label2.text = engine.removeValue;
-   this.removeValue_Label2.minWidth = labelWidth1;
-   this.removeValue_Label2.textAlignment = TextAlign_Right|TextAlign_VertCenter;
+   this.recipeSave_Button = new PushButton( this );
+   this.recipeSave_Button.text = "Save";
+   this.recipeSave_Button.icon = this.scaledResource( ":/icons/save.png" );
+   this.recipeSave_Button.toolTip = "<p>Save the current settings and edit plan as a recipe with the name shown.</p>";
+   this.recipeSave_Button.onClick = function()
+   {
+      let name = this.dialog.recipe_Combo.editText.trim();
+      if ( name == "" )
+      {
+         (new MessageBox( "Type a name for the recipe.", TITLE, StdIcon_Error, StdButton_Ok )).execute();
+         return;
+      }
+      if ( engine.findRecipe( name ) != null )
+         if ( (new MessageBox( "<p>Replace the recipe named " + name + "?</p>",
+                               TITLE, StdIcon_Warning, StdButton_Yes, StdButton_No )).execute() != StdButton_Yes )
+            return;
+      engine.storeRecipe( engine.recipe( name ) );
+      this.dialog.updateRecipeList( name );
+   };
 
+   this.recipeDelete_Button = new PushButton( this );
+   this.recipeDelete_Button.text = "Delete";
+   this.recipeDelete_Button.icon = this.scaledResource( ":/icons/delete.png" );
+   this.recipeDelete_Button.toolTip = "<p>Delete the selected recipe from the recipe library.</p>";
+   this.recipeDelete_Button.onClick = function()
+   {
+      let recipe = this.dialog.selectedRecipe();
+      if ( recipe == null )
+         return;
+      if ( (new MessageBox( "<p>Delete the recipe named " + recipe.name + "?</p>",
+                            TITLE, StdIcon_Warning, StdButton_Yes, StdButton_No )).execute() != StdButton_Yes )
+         return;
+      engine.deleteRecipe( recipe.name );
+      this.dialog.updateRecipeList( "" );
+   };
 
-   this.removeComment_Label1 = new Label( this )
-   this.removeComment_Label1.text = "Comment:";
-   this.removeComment_Label1.minWidth = labelWidth1;
-   this.removeComment_Label1.textAlignment = TextAlign_Right|TextAlign_VertCenter;
+   this.recipeImport_Button = new PushButton( this );
+   this.recipeImport_Button.text = "Import...";
+   this.recipeImport_Button.icon = this.scaledResource( ":/icons/document-open.png" );
+   this.recipeImport_Button.toolTip =
+      "<p>Add the recipes in recipe files to the recipe library, replacing any " +
+      "recipes with the same names.</p>";
+   this.recipeImport_Button.onClick = function()
+   {
+      let ofd = new OpenFileDialog;
+      ofd.multipleSelections = true;
+      ofd.caption = "Select Recipe Files";
+      ofd.filters = [ ["Recipe files", "*.json"] ];
+      if ( !ofd.execute() )
+         return;
 
-   this.removeComment_Label2 = new Label( this )
-   this.removeComment_Label2.text = engine.removeComment;
-   this.removeComment_Label2.minWidth = commentWidth;
-   this.removeComment_Label2.textAlignment = TextAlign_Left|TextAlign_VertCenter;
+      let names = new Array;
+      for ( let i = 0; i < ofd.fileNames.length; ++i )
+      {
+         try
+         {
+            names = names.concat( engine.importRecipeFile( ofd.fileNames[i] ) );
+         }
+         catch ( error )
+         {
+            (new MessageBox( error.message, TITLE, StdIcon_Error, StdButton_Ok )).execute();
+         }
+      }
+      this.dialog.updateRecipeList( ( names.length > 0 ) ? names[0] : "" );
+      console.writeln( "Imported recipes: " + names.join( ", " ) );
+   };
 
-   //-----Remove keyword-----sizers
+   this.recipeExport_Button = new PushButton( this );
+   this.recipeExport_Button.text = "Export...";
+   this.recipeExport_Button.icon = this.scaledResource( ":/icons/document-save.png" );
+   this.recipeExport_Button.toolTip = "<p>Write the selected recipe to a recipe file, to share it with others.</p>";
+   this.recipeExport_Button.onClick = function()
+   {
+      let recipe = this.dialog.selectedRecipe();
+      if ( recipe == null )
+         return;
+      let sfd = new SaveFileDialog;
+      sfd.caption = "Export Recipe";
+      sfd.filters = [ ["Recipe files", "*.json"] ];
+      sfd.initialPath = recipe.name.replace( /[^A-Za-z0-9_.-]+/g, "_" ) + ".json";
+      if ( !sfd.execute() )
+         return;
+      try
+      {
+         engine.exportRecipeFile( sfd.fileName, [ recipe ] );
+      }
+      catch ( error )
+      {
+         (new MessageBox( error.message, TITLE, StdIcon_Error, StdButton_Ok )).execute();
+      }
+   };
 
-   this.removeKeyword_Sizer = new HorizontalSizer;
-   this.removeKeyword_Sizer.spacing = 4;
-   this.removeKeyword_Sizer.add( this.removeKeyword_Label );
-   this.removeKeyword_Sizer.add( this.removeKeyword_Combo );
-   this.removeKeyword_Sizer.add( this.removeMatchName_Check );
-   this.removeKeyword_Sizer.addStretch();
+   this.recipe_Sizer = new HorizontalSizer;
+   this.recipe_Sizer.spacing = 4;
+   this.recipe_Sizer.add( this.recipe_Label );
+   this.recipe_Sizer.add( this.recipe_Combo, 100 );
+   this.recipe_Sizer.add( this.recipeLoad_Button );
+   this.recipe_Sizer.add( this.recipeSave_Button );
+   this.recipe_Sizer.add( this.recipeDelete_Button );
+   this.recipe_Sizer.addSpacing( 8 );
+   this.recipe_Sizer.add( this.recipeImport_Button );
+   this.recipe_Sizer.add( this.recipeExport_Button );
 
-   this.removeValue_Sizer = new HorizontalSizer;
-   this.removeValue_Sizer.spacing = 4;
-   this.removeValue_Sizer.add( this.removeValue_Label1 );
-   this.removeValue_Sizer.add( this.removeValue_Label2 );
-   this.removeValue_Sizer.addStretch();
+   this.recipes_GroupBox = new GroupBox( this );
+   this.recipes_GroupBox.title = "Recipes";
+   this.recipes_GroupBox.sizer = new VerticalSizer;
+   this.recipes_GroupBox.sizer.margin = 6;
+   this.recipes_GroupBox.sizer.spacing = 4;
+   this.recipes_GroupBox.sizer.add( this.recipe_Sizer );
 
-   this.removeComment_Sizer = new HorizontalSizer;
-   this.removeComment_Sizer.spacing = 4;
-   this.removeComment_Sizer.add( this.removeComment_Label1 );
-   this.removeComment_Sizer.add( this.removeComment_Label2 );
-   this.removeComment_Sizer.addStretch();
+   this.updateRecipeList( "" );
 
-   //-----Remove keyword-----section
 
-   this.removeKeywordSection = new Control(this);
-   this.removeKeywordSection.sizer = new VerticalSizer;
-   this.removeKeywordSection.sizer.spacing = 4;
-   this.removeKeywordSection.sizer.add( this.removeKeyword_Sizer );
-   this.removeKeywordSection.sizer.add( this.removeValue_Sizer );
-   this.removeKeywordSection.sizer.add( this.removeComment_Sizer );
 
+   // OK/Cancel Buttons
 
+   this.ok_Button = new PushButton( this );
+   this.ok_Button.text = "OK";
+   this.ok_Button.icon = this.scaledResource( ":/icons/ok.png" );
+   this.ok_Button.onClick = function()
+   {
+      this.dialog.ok();
+   };
 
-   this.removeKeywordBar = new SectionBar(this, "Remove keyword");
-   this.removeKeywordBar.enableCheckBox();
-   this.removeKeywordBar.setSection(this.removeKeywordSection);
-   this.removeKeywordBar.checkBox.onCheck = function( checked )
+   this.cancel_Button = new PushButton( this );
+   this.cancel_Button.text = "Cancel";
+   this.cancel_Button.icon = this.scaledResource( ":/icons/cancel.png" );
+   this.cancel_Button.onClick = function()
    {
-      engine.actionAdd = false;
-      engine.actionEdit = false;
-      engine.actionRemove = true;
-      this.dialog.updateControls(false);
-   }
+      this.dialog.cancel();
+   };
+
+   this.preview_Button = new PushButton( this );
+   this.preview_Button.text = "Preview";
+   this.preview_Button.icon = this.scaledResource( ":/icons/document-text.png" );
+   this.preview_Button.toolTip =
+      "<p>Show the header changes that would be made to each input file, and " +
+      "which files would not be processed, without writing anything.</p>";
+   this.preview_Button.onClick = function()
+   {
+      if ( engine.inputFiles.length == 0 )
+      {
+         (new MessageBox( "No input files have been specified.", TITLE, StdIcon_Error, StdButton_Ok )).execute();
+         return;
+      }
+      let plans = engine.previewFiles();
+      (new BatchFITSKeywordPreviewDialog( plans )).execute();
+   };
 
+   this.revert_Button = new PushButton( this );
+   this.revert_Button.text = "Revert...";
+   this.revert_Button.icon = this.scaledResource( ":/icons/undo.png" );
+   this.revert_Button.toolTip =
+      "<p>Restore the previous headers of all files written by an earlier run, " +
+      "using the journal that run wrote.  Files changed since that run are " +
+      "left untouched.</p>";
+   this.revert_Button.onClick = function()
+   {
+      let ofd = new OpenFileDialog;
+      ofd.multipleSelections = false;
+      ofd.caption = "Select Journal of Run to Revert";
+      ofd.filters = [ ["Journal files", "*.json"] ];
+      if ( engine.lastJournalPath.length > 0 )
+         ofd.initialPath = engine.lastJournalPath;
+      if ( !ofd.execute() )
+         return;
+
+      if ( (new MessageBox( "<p>Restore the previous headers of the files listed in:</p>" +
+                            "<p>" + ofd.fileName + "</p><p><b>Are you sure?</b></p>",
+                            TITLE, StdIcon_Warning, StdButton_Yes, StdButton_No )).execute() != StdButton_Yes )
+         return;
 
-   this.updateControls = function(updateKeywordList)
+      console.show();
+      try
+      {
+         engine.revertFromJournal( ofd.fileName );
+      }
+      catch ( error )
+      {
+         (new MessageBox( error.message, TITLE, StdIcon_Error, StdButton_Ok )).execute();
+      }
+      this.dialog.updateControls( true );
+   };
+
+   this.newInstance_Button = new ToolButton( this );
+   this.newInstance_Button.icon = this.scaledResource( ":/process-interface/new-instance.png" );
+   this.newInstance_Button.setScaledFixedSize( 24, 24 );
+   this.newInstance_Button.toolTip =
+      "<p>New Instance: drag to the workspace to store the input files, edit " +
+      "plan and output options in a process icon.  Executing the icon runs the " +
+      "edit without this dialog.</p>";
+   this.newInstance_Button.onMousePress = function()
    {
+      this.hasFocus = true;
+      engine.exportParameters();
+      this.pushed = false;
+      this.dialog.newInstance();
+   };
 
-      this.dialog.addKeywordBar.checkBox.checked = engine.actionAdd;
-      this.dialog.editKeywordBar.checkBox.checked = engine.actionEdit;
-      this.dialog.removeKeywordBar.checkBox.checked = engine.actionRemove;
+   this.buttons_Sizer = new HorizontalSizer;
+   this.buttons_Sizer.spacing = 6;
+   this.buttons_Sizer.add( this.newInstance_Button );
+   this.buttons_Sizer.add( this.preview_Button );
+   this.buttons_Sizer.add( this.revert_Button );
+   this.buttons_Sizer.addStretch();
+   this.buttons_Sizer.add( this.ok_Button );
+   this.buttons_Sizer.add( this.cancel_Button );
 
-      this.dialog.addKeywordBar.section.enabled = engine.actionAdd;
-      this.dialog.editKeywordBar.section.enabled = engine.actionEdit;
-      this.dialog.removeKeywordBar.section.enabled = engine.actionRemove;
 
 
+   // Dialog layout
+
+   this.sizer = new VerticalSizer;
+   this.sizer.margin = 8;
+   this.sizer.spacing = 8;
+   this.sizer.add( this.helpLabel );
+   this.sizer.addSpacing( 4 );
+   this.sizer.add( this.recipes_GroupBox );
+   this.sizer.add( this.files_GroupBox, 100 );
+   this.sizer.add( this.inputParameter_GroupBox );
+   this.sizer.add( this.conditions_GroupBox );
+   this.sizer.add( this.operations_GroupBox, 50 );
+   this.sizer.add( this.valueTable_GroupBox );
+   this.sizer.add( this.report_GroupBox );
+   this.sizer.add( this.check_GroupBox );
+   this.sizer.add( this.outputOptions_GroupBox );
+   this.sizer.add( this.buttons_Sizer );
+
+   this.windowTitle = TITLE + " Script";
+   this.userResizable = true;
+   this.adjustToContents();
+
 
 
-      if (updateKeywordList)  //We have arrived here from a change to the file list
+
+}
+
+
+// Our dialog inherits all properties and methods from the core Dialog object.
+BatchFITSKeywordEditDialog.prototype = new Dialog;
+
+
+
+/*
+ * Dry-run preview dialog: one node per file, with the card changes as children
+ */
+function BatchFITSKeywordPreviewDialog( plans )
+{
+   this.__base__ = Dialog;
+   this.__base__();
+
+   let processed = 0;
+   let skipped = 0;
+   for ( let i = 0; i < plans.length; ++i )
+      if ( plans[i].keywords != null )
       {
-         let fileName = "";
-         if (this.dialog.files_TreeBox.selectedNodes.length != 0)
+         if ( plans[i].skipReason != "" )
+            ++skipped;
+         else
+            ++processed;
+      }
+   let failed = plans.length - processed - skipped;
+
+   this.summary_Label = new Label( this );
+   this.summary_Label.useRichText = true;
+   this.summary_Label.text = "<p><b>" + processed + "</b> file" + ((processed == 1) ? "" : "s") +
+                             " would be written, <b>" + failed + "</b> file" + ((failed == 1) ? "" : "s") +
+                             " would not be processed, <b>" + skipped + "</b> would be skipped.  " +
+                             "Nothing has been written.</p>";
+
+   this.plans_TreeBox = new TreeBox( this );
+   this.plans_TreeBox.rootDecoration = true;
+   this.plans_TreeBox.alternateRowColor = true;
+   this.plans_TreeBox.setScaledMinSize( 900, 400 );
+   this.plans_TreeBox.numberOfColumns = 4;
+   this.plans_TreeBox.headerVisible = true;
+   this.plans_TreeBox.setHeaderText( 0, "File / change" );
+   this.plans_TreeBox.setHeaderText( 1, "Card" );
+   this.plans_TreeBox.setHeaderText( 2, "Before" );
+   this.plans_TreeBox.setHeaderText( 3, "After" );
+
+   //list files that would not be processed first
+   for ( let pass = 0; pass < 2; ++pass )
+   {
+      for ( let i = 0; i < plans.length; ++i )
+      {
+         let plan = plans[i];
+         if ( (plan.keywords == null) != (pass == 0) )
+            continue;
+
+         let fileNode = new TreeBoxNode( this.plans_TreeBox );
+         fileNode.setText( 0, File.extractNameAndExtension( plan.filePath ) );
+         fileNode.setToolTip( 0, plan.filePath );
+         if ( plan.keywords == null )
          {
-            fileName = this.dialog.files_TreeBox.selectedNodes[0].text(0);
+            fileNode.setText( 1, "Not processed: " + plan.error );
+            fileNode.setTextColor( 0, 0xffff0000 );
+            fileNode.setTextColor( 1, 0xffff0000 );
+         }
+         else if ( plan.skipReason != "" )
+         {
+            fileNode.setText( 1, "Skipped: " + plan.skipReason );
          }
          else
          {
-            if (this.dialog.files_TreeBox.numberOfChildren > 0)
+            let count = 0;
+            for ( let j = 0; j < plan.changes.length; ++j )
+               if ( plan.changes[j].type == "insert" || plan.changes[j].type == "change" || plan.changes[j].type == "remove" )
+                  ++count;
+            fileNode.setText( 1, count + " change" + ((count == 1) ? "" : "s") );
+         }
+
+         for ( let j = 0; j < plan.changes.length; ++j )
+         {
+            let change = plan.changes[j];
+            if ( change.type == "error" )
+               continue;
+            let node = new TreeBoxNode( fileNode );
+            node.setText( 0, change.type );
+            if ( change.type == "matches" )
             {
-               fileName = this.dialog.files_TreeBox.child(0).text(0);
+               node.setText( 1, change.count + " matched (" + change.note + ")" );
+               continue;
+            }
+            if ( change.type == "hdu" )
+            {
+               node.setText( 0, "HDU" );
+               node.setText( 1, change.note );
+               continue;
+            }
+            if ( change.type == "lint" )
+            {
+               node.setText( 0, "check" );
+               node.setText( 1, change.note );
+               continue;
+            }
+            if ( change.type == "skipped" )
+            {
+               node.setText( 1, "Conditions not met: " + change.note );
+               continue;
             }
+            node.setText( 1, "#" + (change.index + 1) + ((change.note != undefined) ? " (" + change.note + ")" : "") );
+            if ( change.before != undefined )
+               node.setText( 2, fitsKeywordText( change.before ) );
+            if ( change.after != undefined )
+               node.setText( 3, fitsKeywordText( change.after ) );
          }
+         fileNode.expanded = true;
+      }
+   }
 
+   for ( let i = 0; i < this.plans_TreeBox.numberOfColumns; ++i )
+      this.plans_TreeBox.adjustColumnWidthToContents( i );
 
-         let currentLocationKeyword = this.dialog.engine.addLocation();
-         let currentEditKeyword = this.dialog.engine.editKeyword();
-         let currentRemoveKeyword = this.dialog.engine.removeKeyword();
+   this.close_Button = new PushButton( this );
+   this.close_Button.text = "Close";
+   this.close_Button.icon = this.scaledResource( ":/icons/close.png" );
+   this.close_Button.onClick = function()
+   {
+      this.dialog.ok();
+   };
 
-         this.dialog.addLocation_Combo.clear();
-         this.dialog.editKeyword_Combo.clear();
-         this.dialog.removeKeyword_Combo.clear();
+   this.buttons_Sizer = new HorizontalSizer;
+   this.buttons_Sizer.spacing = 6;
+   this.buttons_Sizer.addStretch();
+   this.buttons_Sizer.add( this.close_Button );
 
-         engine.keywordList.length = 0;
-         engine.locationKeywordIndex = -1;
-         engine.editKeywordIndex = -1;
-         engine.removeKeywordIndex = -1;
+   this.sizer = new VerticalSizer;
+   this.sizer.margin = 8;
+   this.sizer.spacing = 8;
+   this.sizer.add( this.summary_Label );
+   this.sizer.add( this.plans_TreeBox, 100 );
+   this.sizer.add( this.buttons_Sizer );
 
-         let extractedFITSKeywords = new Array( new FITSKeyword("","","") );
-         let firstUsable = 0;
-         let lengthExclEND = 1;
-         if (fileName != "")
-         {
-            extractedFITSKeywords.length = 0;
-            extractedFITSKeywords = this.dialog.engine.extractFITSKeywords(fileName);
-            let naxisCount = extractedFITSKeywords[2].value
-            firstUsable = 3 + naxisCount.toInt();
-            lengthExclEND = extractedFITSKeywords.length - 1;
-         }
+   this.windowTitle = TITLE + " Preview";
+   this.userResizable = true;
+   this.adjustToContents();
+}
 
-         for ( let i = firstUsable; i < lengthExclEND; ++i )
-         {
-            engine.keywordList.push(extractedFITSKeywords[i]);
-            this.dialog.addLocation_Combo.addItem(extractedFITSKeywords[i].name);
-            this.dialog.editKeyword_Combo.addItem(extractedFITSKeywords[i].name);
-            this.dialog.removeKeyword_Combo.addItem(extractedFITSKeywords[i].name);
+BatchFITSKeywordPreviewDialog.prototype = new Dialog;
 
-            if (isFITSEqual(extractedFITSKeywords[i], currentLocationKeyword, this.dialog.engine.addMatchName))
-            {
-               engine.locationKeywordIndex = i - firstUsable;
-            }
 
-            if (isFITSEqual(extractedFITSKeywords[i], currentEditKeyword, this.dialog.engine.editMatchName))
-            {
-               engine.editKeywordIndex = i - firstUsable;
-            }
 
-            if (isFITSEqual(extractedFITSKeywords[i], currentRemoveKeyword, this.dialog.engine.removeMatchName))
-            {
-               engine.removeKeywordIndex = i - firstUsable;
-            }
-         }
+/*
+ * Keyword grid: the keywords of every input file side by side, with files
+ * as rows and keywords as columns, or the reverse.  Missing values, and
+ * values that differ from the most common value of a keyword, are
+ * highlighted.  Cell edits are kept until OK, when each one becomes an
+ * operation in the edit plan for that file only.
+ */
+function BatchFITSKeywordGridDialog( engine )
+{
+   this.__base__ = Dialog;
+   this.__base__();
+
+   let grid = engine.keywordGrid( engine.inputFiles );
+
+   //pending cell edits by file and keyword, starting with those already in the edit plan for the HDU shown
+   let edits = {};
+   let editKey = function( row, name )
+   {
+      return row.filePath + "\n" + name;
+   };
+   for ( let j = 0; j < engine.operations.length; ++j )
+   {
+      let operation = engine.operations[j];
+      for ( let i = 0; i < grid.rows.length && operation.filePath != ""; ++i )
+      {
+         if ( grid.rows[i].filePath != operation.filePath || grid.rows[i].hdu != operation.hdu )
+            continue;
+         let name = fitsKeywordName( operation.name );
+         if ( grid.keywords.indexOf( name ) < 0 )
+            grid.keywords.push( name );
+         edits[editKey( grid.rows[i], name )] = { row: grid.rows[i], name: name,
+                                                  text: ( operation.action == "remove" ) ? "" : fitsStringValue( operation.value ).trim() };
+      }
+   }
 
-         if (engine.locationKeywordIndex < 0)
-         {
-            engine.locationKeywordIndex = 0;
-         }
-         this.dialog.addLocation_Combo.currentItem = engine.locationKeywordIndex;
+   let hasValue = function( row, name )
+   {
+      let edit = edits[editKey( row, name )];
+      return ( edit != undefined ) ? edit.text != "" : row.cards[name] != undefined;
+   };
 
-         if (engine.editKeywordIndex < 0)
-         {
-            engine.editKeywordIndex = 0;
-            engine.editValue = engine.editKeyword().value;
-            this.dialog.editValue_Edit.text = engine.editValue;
-            engine.editComment = engine.editKeyword().comment;
-            this.dialog.editComment_Edit.text = engine.editComment;
-         }
-         this.dialog.editKeyword_Combo.currentItem = engine.editKeywordIndex;
+   let cellText = function( row, name )
+   {
+      let edit = edits[editKey( row, name )];
+      if ( edit != undefined )
+         return edit.text;
+      return ( row.cards[name] != undefined ) ? fitsStringValue( row.cards[name].value ).trim() : "";
+   };
 
-         if (engine.removeKeywordIndex < 0)
+   //the most common value of a keyword among the given rows
+   let majorityText = function( rows, name )
+   {
+      let counts = {};
+      let best = "";
+      let bestCount = 0;
+      for ( let i = 0; i < rows.length; ++i )
+      {
+         if ( rows[i].error != "" || !hasValue( rows[i], name ) )
+            continue;
+         let text = cellText( rows[i], name );
+         counts[text] = ( counts.hasOwnProperty( text ) ? counts[text] : 0 ) + 1;
+         if ( counts[text] > bestCount )
          {
-            engine.removeKeywordIndex = 0;
+            best = text;
+            bestCount = counts[text];
          }
-         engine.removeValue = engine.removeKeyword().value;
-         this.dialog.removeValue_Label2.text = engine.removeValue;
-         engine.removeComment = engine.removeKeyword().comment;
-         this.dialog.removeComment_Label2.text = engine.removeComment;
-         this.dialog.removeKeyword_Combo.currentItem = engine.removeKeywordIndex;
-
       }
+      return best;
+   };
 
+   let isUniform = function( rows, name )
+   {
+      let majority = majorityText( rows, name );
+      for ( let i = 0; i < rows.length; ++i )
+         if ( rows[i].error == "" && ( !hasValue( rows[i], name ) || cellText( rows[i], name ) != majority ) )
+            return false;
+      return true;
+   };
 
-   }
-
+   this.rows = new Array;
+   this.names = new Array;
+   this.cell = null;
 
-   this.inputParameter_GroupBox = new GroupBox;
-   this.inputParameter_GroupBox.title = "Keyword change parameters";
-   this.inputParameter_GroupBox.sizer = new  VerticalSizer;
-   this.inputParameter_GroupBox.sizer.margin = 6;
-   this.inputParameter_GroupBox.sizer.spacing = 4;
-   this.inputParameter_GroupBox.sizer.add( this.addKeywordBar );
-   this.inputParameter_GroupBox.sizer.add( this.addKeywordSection );
-   this.inputParameter_GroupBox.sizer.addSpacing(4);
-   this.inputParameter_GroupBox.sizer.add( this.editKeywordBar );
-   this.inputParameter_GroupBox.sizer.add( this.editKeywordSection );
-   this.inputParameter_GroupBox.sizer.addSpacing(4);
-   this.inputParameter_GroupBox.sizer.add( this.removeKeywordBar );
-   this.inputParameter_GroupBox.sizer.add( this.removeKeywordSection );
+   this.fileFilter_Label = new Label( this );
+   this.fileFilter_Label.text = "Files:";
+   this.fileFilter_Label.textAlignment = TextAlign_Right|TextAlign_VertCenter;
 
-   this.editKeywordSection.hide();
-   this.removeKeywordSection.hide();
+   this.fileFilter_Edit = new Edit( this );
+   this.fileFilter_Edit.setScaledMinWidth( 120 );
+   this.fileFilter_Edit.toolTip = "<p>Show only files whose name matches this wildcard pattern, e.g. <i>*_Ha_*</i>.</p>";
+   this.fileFilter_Edit.onTextUpdated = function()
+   {
+      this.dialog.rebuild();
+   };
 
-   this.updateControls(true);
+   this.keywordFilter_Label = new Label( this );
+   this.keywordFilter_Label.text = "Keywords:";
+   this.keywordFilter_Label.textAlignment = TextAlign_Right|TextAlign_VertCenter;
 
+   this.keywordFilter_Edit = new Edit( this );
+   this.keywordFilter_Edit.setScaledMinWidth( 120 );
+   this.keywordFilter_Edit.toolTip = "<p>Show only keywords whose name matches this wildcard pattern, e.g. <i>CCD*</i>.</p>";
+   this.keywordFilter_Edit.onTextUpdated = function()
+   {
+      this.dialog.rebuild();
+   };
 
+   this.differing_Check = new CheckBox( this );
+   this.differing_Check.text = "Differing only";
+   this.differing_Check.toolTip = "<p>Show only keywords that are missing from, or have different values in, some of the files shown.</p>";
+   this.differing_Check.onCheck = function()
+   {
+      this.dialog.rebuild();
+   };
 
+   this.transpose_Check = new CheckBox( this );
+   this.transpose_Check.text = "Keywords as rows";
+   this.transpose_Check.toolTip = "<p>Show one row per keyword and one column per file.</p>";
+   this.transpose_Check.onCheck = function()
+   {
+      this.dialog.rebuild();
+   };
 
+   this.filter_Sizer = new HorizontalSizer;
+   this.filter_Sizer.spacing = 4;
+   this.filter_Sizer.add( this.fileFilter_Label );
+   this.filter_Sizer.add( this.fileFilter_Edit );
+   this.filter_Sizer.addSpacing( 8 );
+   this.filter_Sizer.add( this.keywordFilter_Label );
+   this.filter_Sizer.add( this.keywordFilter_Edit );
+   this.filter_Sizer.addSpacing( 8 );
+   this.filter_Sizer.add( this.differing_Check );
+   this.filter_Sizer.add( this.transpose_Check );
+   this.filter_Sizer.addStretch();
+
+   this.grid_TreeBox = new TreeBox( this );
+   this.grid_TreeBox.rootDecoration = false;
+   this.grid_TreeBox.alternateRowColor = true;
+   this.grid_TreeBox.multipleSelection = false;
+   this.grid_TreeBox.headerVisible = true;
+   this.grid_TreeBox.headerSorting = true;
+   this.grid_TreeBox.setScaledMinSize( 900, 400 );
+   this.grid_TreeBox.toolTip =
+      "<p>Click a column header to sort.  Missing values are shown in red, values " +
+      "that differ from the most common value of the keyword in yellow, and edited " +
+      "values in blue.  Click a cell to edit it below.</p>";
+   this.grid_TreeBox.onNodeClicked = function( node, column )
+   {
+      this.dialog.selectCell( node, column );
+   };
+   this.grid_TreeBox.onNodeDoubleClicked = function( node, column )
+   {
+      this.dialog.selectCell( node, column );
+      this.dialog.value_Edit.focus();
+   };
 
-    // Output
+   this.cell_Label = new Label( this );
+   this.cell_Label.setScaledMinWidth( 200 );
+   this.cell_Label.textAlignment = TextAlign_Left|TextAlign_VertCenter;
 
-   this.outputDir_Edit = new Edit( this );
-   this.outputDir_Edit.readOnly = true;
-   this.outputDir_Edit.text = engine.outputDirectory;
-   this.outputDir_Edit.toolTip =
-      "<p>If specified, all converted images will be written to the output directory.</p>" +
-      "<p>If not specified, converted images will be written to the same directories " +
-      "as their corresponding input images.</p>";
+   this.value_Edit = new Edit( this );
+   this.value_Edit.toolTip =
+      "<p>New value of the selected cell.  Strings need no quotes.  Clear the value " +
+      "to remove the keyword from the file.</p>";
 
-   this.outputDirSelect_Button = new ToolButton( this );
-   this.outputDirSelect_Button.icon = this.scaledResource( ":/browser/select-file.png" );
-   this.outputDirSelect_Button.setScaledFixedSize( 20, 20 );
-   this.outputDirSelect_Button.toolTip = "<p>Select the output directory.</p>";
-   this.outputDirSelect_Button.onClick = function()
+   this.set_Button = new PushButton( this );
+   this.set_Button.text = "Set";
+   this.set_Button.icon = this.scaledResource( ":/icons/ok.png" );
+   this.set_Button.toolTip = "<p>Set the selected cell to the new value.</p>";
+   this.set_Button.onClick = function()
    {
-      var gdd = new GetDirectoryDialog;
-      gdd.initialPath = engine.outputDirectory;
-      gdd.caption = "Select Output Directory";
+      this.dialog.setCell( this.dialog.value_Edit.text );
+   };
 
-      if ( gdd.execute() )
-      {
-         engine.outputDirectory = gdd.directory;
-         this.dialog.outputDir_Edit.text = engine.outputDirectory;
-      }
+   this.restore_Button = new PushButton( this );
+   this.restore_Button.text = "Restore";
+   this.restore_Button.icon = this.scaledResource( ":/icons/undo.png" );
+   this.restore_Button.toolTip = "<p>Discard the edit of the selected cell.</p>";
+   this.restore_Button.onClick = function()
+   {
+      let cell = this.dialog.cell;
+      delete edits[editKey( cell.row, cell.name )];
+      this.dialog.paintCells();
+      this.dialog.showCell();
    };
 
-   this.outputDir_Label = new Label( this );
-   this.outputDir_Label.text = "Output Directory:";
-   this.outputDir_Label.minWidth = labelWidth1;
-   this.outputDir_Label.textAlignment = TextAlign_Right|TextAlign_VertCenter;
+   this.cell_Sizer = new HorizontalSizer;
+   this.cell_Sizer.spacing = 4;
+   this.cell_Sizer.add( this.cell_Label );
+   this.cell_Sizer.add( this.value_Edit, 100 );
+   this.cell_Sizer.add( this.set_Button );
+   this.cell_Sizer.add( this.restore_Button );
 
-   this.outputDir_Sizer = new HorizontalSizer;
-   this.outputDir_Sizer.spacing = 4;
-   this.outputDir_Sizer.add( this.outputDir_Label );
-   this.outputDir_Sizer.add( this.outputDir_Edit, this.textEditWidth );
-   this.outputDir_Sizer.add( this.outputDirSelect_Button );
+   this.cellAt = function( node, column )
+   {
+      if ( column < 1 )
+         return null;
+      if ( this.transpose_Check.checked )
+         return { row: this.rows[column - 1], name: node.gridName };
+      return { row: node.gridRow, name: this.names[column - 1] };
+   };
 
-   this.outputPrefix_Label = new Label (this);
-   this.outputPrefix_Label.text = "Prefix:";
-   this.outputPrefix_Label.textAlignment = TextAlign_Right|TextAlign_VertCenter;
+   this.selectCell = function( node, column )
+   {
+      let cell = this.cellAt( node, column );
+      this.cell = ( cell != null && cell.row.error == "" ) ? cell : null;
+      this.showCell();
+   };
 
-   this.outputPrefix_Edit = new Edit( this );
-   this.outputPrefix_Edit.text = engine.outputPrefix;
-   this.outputPrefix_Edit.setFixedWidth( this.font.width( "MMMMMM" ) );
-   this.outputPrefix_Edit.toolTip = "Text to add to the start of the output file name";
-   this.outputPrefix_Edit.onEditCompleted = function()
+   this.showCell = function()
    {
-      engine.outputPrefix = this.text;
+      let cell = this.cell;
+      this.cell_Label.text = ( cell != null ) ? File.extractNameAndExtension( cell.row.filePath ) + "  " + cell.name + ":" : "No cell selected";
+      this.value_Edit.text = ( cell != null ) ? cellText( cell.row, cell.name ) : "";
+      this.value_Edit.enabled = this.set_Button.enabled = ( cell != null );
+      this.restore_Button.enabled = ( cell != null && edits[editKey( cell.row, cell.name )] != undefined );
    };
 
-   this.outputPostfix_Label = new Label (this);
-   this.outputPostfix_Label.text = "Postfix:";
-   this.outputPostfix_Label.textAlignment = TextAlign_Right|TextAlign_VertCenter;
+   this.setCell = function( text )
+   {
+      let cell = this.cell;
+      let t = text.trim();
+      if ( t.charAt( 0 ) == "'" && !isFITSValue( t ) )
+      {
+         (new MessageBox( "Invalid string value: " + t, TITLE, StdIcon_Error, StdButton_Ok )).execute();
+         return;
+      }
+      let card = cell.row.cards[cell.name];
+      if ( ( card != undefined ) ? t == fitsStringValue( card.value ).trim() : t == "" )
+         delete edits[editKey( cell.row, cell.name )];
+      else
+         edits[editKey( cell.row, cell.name )] = { row: cell.row, name: cell.name, text: t };
+      this.paintCells();
+      this.showCell();
+   };
 
-   this.outputPostfix_Edit = new Edit( this );
-   this.outputPostfix_Edit.text = engine.outputPostfix;
-   this.outputPostfix_Edit.setFixedWidth( this.font.width( "MMMMMM" ) );
-   this.outputPostfix_Edit.toolTip = "Text to append to the end of the output file name";
-   this.outputPostfix_Edit.onEditCompleted = function()
+   /*
+    * Rebuilds the grid for the current filters and orientation.
+    */
+   this.rebuild = function()
    {
-      engine.outputPostfix = this.text;
+      this.rows = new Array;
+      for ( let i = 0; i < grid.rows.length; ++i )
+         if ( patternMatches( this.fileFilter_Edit.text.trim(), "wildcard", File.extractNameAndExtension( grid.rows[i].filePath ) ) )
+            this.rows.push( grid.rows[i] );
+
+      this.names = new Array;
+      for ( let k = 0; k < grid.keywords.length; ++k )
+         if ( patternMatches( this.keywordFilter_Edit.text.trim(), "wildcard", grid.keywords[k] ) &&
+              !( this.differing_Check.checked && isUniform( this.rows, grid.keywords[k] ) ) )
+            this.names.push( grid.keywords[k] );
+
+      let transpose = this.transpose_Check.checked;
+      let tree = this.grid_TreeBox;
+      tree.canUpdate = false;
+      tree.clear();
+      tree.numberOfColumns = 1 + ( transpose ? this.rows.length : this.names.length );
+      tree.setHeaderText( 0, transpose ? "Keyword" : "File" );
+      for ( let c = 1; c < tree.numberOfColumns; ++c )
+         tree.setHeaderText( c, transpose ? File.extractNameAndExtension( this.rows[c - 1].filePath ) : this.names[c - 1] );
+
+      if ( transpose )
+      {
+         for ( let k = 0; k < this.names.length; ++k )
+         {
+            let node = new TreeBoxNode( tree );
+            node.gridName = this.names[k];
+            node.setText( 0, this.names[k] );
+         }
+      }
+      else
+      {
+         for ( let i = 0; i < this.rows.length; ++i )
+         {
+            let node = new TreeBoxNode( tree );
+            node.gridRow = this.rows[i];
+            node.setText( 0, File.extractNameAndExtension( this.rows[i].filePath ) );
+            node.setToolTip( 0, this.rows[i].filePath + ( ( this.rows[i].error != "" ) ? "\n" + this.rows[i].error : "" ) );
+            if ( this.rows[i].error != "" )
+               node.setTextColor( 0, 0xffff0000 );
+         }
+      }
+
+      this.paintCells();
+      for ( let c = 0; c < tree.numberOfColumns; ++c )
+         tree.adjustColumnWidthToContents( c );
+      tree.canUpdate = true;
+
+      this.cell = null;
+      this.showCell();
    };
 
-   this.outputFileName_Label = new Label( this );
-   this.outputFileName_Label.text = "Modify output file name with: ";
-   this.outputFileName_Label.minWidth = labelWidth1;
-   this.outputFileName_Label.textAlignment = TextAlign_Right|TextAlign_VertCenter;
+   /*
+    * Sets the text and highlighting of every cell from the current values.
+    */
+   this.paintCells = function()
+   {
+      let majority = {};
+      for ( let k = 0; k < this.names.length; ++k )
+         majority[this.names[k]] = majorityText( this.rows, this.names[k] );
 
-   this.options_Sizer = new HorizontalSizer;
-   this.options_Sizer.spacing = 4;
-   this.options_Sizer.add( this.outputFileName_Label );
-   //this.options_Sizer.add( this.outputExt_Edit );
-   this.options_Sizer.addSpacing( 8 );
-   this.options_Sizer.add( this.outputPrefix_Label );
-   this.options_Sizer.add( this.outputPrefix_Edit );
-   this.options_Sizer.addSpacing( 8 );
-   this.options_Sizer.add( this.outputPostfix_Label );
-   this.options_Sizer.add( this.outputPostfix_Edit );
-   this.options_Sizer.addStretch();
+      let tree = this.grid_TreeBox;
+      for ( let n = 0; n < tree.numberOfChildren; ++n )
+      {
+         let node = tree.child( n );
+         for ( let c = 1; c < tree.numberOfColumns; ++c )
+         {
+            let cell = this.cellAt( node, c );
+            if ( cell.row.error != "" )
+            {
+               node.setText( c, "" );
+               node.setToolTip( c, cell.row.error );
+               continue;
+            }
+            let card = cell.row.cards[cell.name];
+            node.setText( c, cellText( cell.row, cell.name ) );
+            node.setToolTip( c, ( card != undefined ) ? card.comment.trim() : "" );
+            node.setTextColor( c, ( edits[editKey( cell.row, cell.name )] != undefined ) ? 0xff0000c0 : 0xff000000 );
+            if ( !hasValue( cell.row, cell.name ) )
+               node.setBackgroundColor( c, 0xffffd0d0 );
+            else if ( cellText( cell.row, cell.name ) != majority[cell.name] )
+               node.setBackgroundColor( c, 0xfffff0b0 );
+            else
+               node.setBackgroundColor( c, 0x00000000 );
+         }
+      }
 
-   this.outputOptions_GroupBox = new GroupBox( this );
-   this.outputOptions_GroupBox.title = "Output File Options";
-   this.outputOptions_GroupBox.sizer = new VerticalSizer;
-   this.outputOptions_GroupBox.sizer.margin = 6;
-   this.outputOptions_GroupBox.sizer.spacing = 4;
-   this.outputOptions_GroupBox.sizer.add( this.options_Sizer );
-   //this.outputOptions_GroupBox.sizer.add( this.overwriteExisting_Sizer );
-   this.outputOptions_GroupBox.sizer.add( this.outputDir_Sizer );
+      let count = 0;
+      for ( let key in edits )
+         ++count;
+      this.summary_Label.text = this.rows.length + " file" + ( ( this.rows.length == 1 ) ? "" : "s" ) + ", " +
+                                this.names.length + " keyword" + ( ( this.names.length == 1 ) ? "" : "s" ) + ", " +
+                                count + " edited cell" + ( ( count == 1 ) ? "" : "s" );
+   };
 
+   this.summary_Label = new Label( this );
 
+   /*
+    * Replaces the per-file operations of the HDUs the grid shows with the
+    * cell edits; operations for other HDUs of the same files are kept.
+    */
+   this.applyEdits = function()
+   {
+      for ( let i = 0; i < grid.rows.length; ++i )
+         for ( let j = engine.operations.length; --j >= 0; )
+            if ( engine.operations[j].filePath == grid.rows[i].filePath && engine.operations[j].hdu == grid.rows[i].hdu )
+               engine.operations.splice( j, 1 );
 
-   // OK/Cancel Buttons
+      for ( let key in edits )
+      {
+         let edit = edits[key];
+         let card = edit.row.cards[edit.name];
+         engine.setCellEdit( edit.row.filePath, edit.row.hdu, ( card != undefined ) ? card : null, edit.name, edit.text );
+      }
+   };
 
    this.ok_Button = new PushButton( this );
    this.ok_Button.text = "OK";
    this.ok_Button.icon = this.scaledResource( ":/icons/ok.png" );
    this.ok_Button.onClick = function()
    {
+      this.dialog.applyEdits();
       this.dialog.ok();
    };
 
@@ -1313,36 +8506,139 @@ function BatchFITSKeywordEditDialog( engine )
 
    this.buttons_Sizer = new HorizontalSizer;
    this.buttons_Sizer.spacing = 6;
+   this.buttons_Sizer.add( this.summary_Label );
    this.buttons_Sizer.addStretch();
    this.buttons_Sizer.add( this.ok_Button );
    this.buttons_Sizer.add( this.cancel_Button );
 
-
-
-   // Dialog layout
-
    this.sizer = new VerticalSizer;
    this.sizer.margin = 8;
    this.sizer.spacing = 8;
-   this.sizer.add( this.helpLabel );
-   this.sizer.addSpacing( 4 );
-   this.sizer.add( this.files_GroupBox, 100 );
-   this.sizer.add( this.inputParameter_GroupBox );
-   this.sizer.add( this.outputOptions_GroupBox );
+   this.sizer.add( this.filter_Sizer );
+   this.sizer.add( this.grid_TreeBox, 100 );
+   this.sizer.add( this.cell_Sizer );
    this.sizer.add( this.buttons_Sizer );
 
-   this.windowTitle = TITLE + " Script";
+   this.windowTitle = TITLE + " Keyword Grid";
    this.userResizable = true;
+
+   this.rebuild();
+   this.grid_TreeBox.sort( 0, true );
    this.adjustToContents();
+}
 
+BatchFITSKeywordGridDialog.prototype = new Dialog;
 
 
 
-}
+/*
+ * Consistency check results: one row per flagged file and keyword.  A fix
+ * adds an edit of that file, setting the majority value, to the edit plan.
+ */
+function BatchFITSKeywordCheckDialog( engine, findings )
+{
+   this.__base__ = Dialog;
+   this.__base__();
 
+   this.summary_Label = new Label( this );
+   this.summary_Label.useRichText = true;
+   this.summary_Label.text = "<p><b>" + findings.length + "</b> finding" + ( ( findings.length == 1 ) ? "" : "s" ) +
+                             " in " + engine.inputFiles.length + " file" + ( ( engine.inputFiles.length == 1 ) ? "" : "s" ) +
+                             ".  Double-click a finding, or select findings and click Fix, to add " +
+                             "the expected value to the edit plan.</p>";
+
+   this.findings_TreeBox = new TreeBox( this );
+   this.findings_TreeBox.rootDecoration = false;
+   this.findings_TreeBox.alternateRowColor = true;
+   this.findings_TreeBox.multipleSelection = true;
+   this.findings_TreeBox.headerVisible = true;
+   this.findings_TreeBox.headerSorting = true;
+   this.findings_TreeBox.setScaledMinSize( 900, 300 );
+   this.findings_TreeBox.numberOfColumns = 5;
+   this.findings_TreeBox.setHeaderText( 0, "File" );
+   this.findings_TreeBox.setHeaderText( 1, "Keyword" );
+   this.findings_TreeBox.setHeaderText( 2, "Value" );
+   this.findings_TreeBox.setHeaderText( 3, "Expected" );
+   this.findings_TreeBox.setHeaderText( 4, "Problem" );
+
+   for ( let i = 0; i < findings.length; ++i )
+   {
+      let node = new TreeBoxNode( this.findings_TreeBox );
+      node.finding = findings[i];
+      node.setText( 0, File.extractNameAndExtension( findings[i].filePath ) );
+      node.setToolTip( 0, findings[i].filePath );
+      node.setText( 1, findings[i].name );
+      node.setText( 2, findings[i].value );
+      node.setText( 3, findings[i].expected );
+      node.setText( 4, findings[i].problem );
+      if ( findings[i].card == null )
+         node.setTextColor( 2, 0xffff0000 );
+   }
+   for ( let i = 0; i < this.findings_TreeBox.numberOfColumns; ++i )
+      this.findings_TreeBox.adjustColumnWidthToContents( i );
 
-// Our dialog inherits all properties and methods from the core Dialog object.
-BatchFITSKeywordEditDialog.prototype = new Dialog;
+   this.fixNode = function( node )
+   {
+      if ( node.fixed || node.finding.fixValue == "" )
+         return;
+      try
+      {
+         engine.fixFinding( node.finding );
+      }
+      catch ( error )
+      {
+         (new MessageBox( error.message, TITLE, StdIcon_Error, StdButton_Ok )).execute();
+         return;
+      }
+      node.fixed = true;
+      node.setText( 4, "Fixed: " + node.finding.name + " set to " + node.finding.expected + " in the edit plan" );
+      for ( let c = 0; c < this.findings_TreeBox.numberOfColumns; ++c )
+         node.setTextColor( c, 0xff808080 );
+   }
+
+   this.findings_TreeBox.onNodeDoubleClicked = function( node, column )
+   {
+      this.dialog.fixNode( node );
+   };
+
+   this.fix_Button = new PushButton( this );
+   this.fix_Button.text = "Fix";
+   this.fix_Button.icon = this.scaledResource( ":/icons/ok.png" );
+   this.fix_Button.toolTip = "<p>Add an edit setting the expected value to the edit plan for each selected finding.</p>";
+   this.fix_Button.onClick = function()
+   {
+      let nodes = this.dialog.findings_TreeBox.selectedNodes;
+      for ( let i = 0; i < nodes.length; ++i )
+         this.dialog.fixNode( nodes[i] );
+   };
+
+   this.close_Button = new PushButton( this );
+   this.close_Button.text = "Close";
+   this.close_Button.icon = this.scaledResource( ":/icons/close.png" );
+   this.close_Button.onClick = function()
+   {
+      this.dialog.ok();
+   };
+
+   this.buttons_Sizer = new HorizontalSizer;
+   this.buttons_Sizer.spacing = 6;
+   this.buttons_Sizer.add( this.fix_Button );
+   this.buttons_Sizer.addStretch();
+   this.buttons_Sizer.add( this.close_Button );
+
+   this.sizer = new VerticalSizer;
+   this.sizer.margin = 8;
+   this.sizer.spacing = 8;
+   this.sizer.add( this.summary_Label );
+   this.sizer.add( this.findings_TreeBox, 100 );
+   this.sizer.add( this.buttons_Sizer );
+
+   this.windowTitle = TITLE + " Consistency Check";
+   this.userResizable = true;
+   this.adjustToContents();
+}
+
+BatchFITSKeywordCheckDialog.prototype = new Dialog;
 
 /*
  * Script entry point.
@@ -1353,6 +8649,30 @@ function main()
 
    let engine = new BatchFITSKeywordEditEngine;
 
+   if ( Parameters.isViewTarget )
+   {
+      console.criticalln( TITLE + " cannot be executed on a view." );
+      return;
+   }
+
+   //settings stored in a process icon, ProcessContainer or by another script
+   engine.importParameters();
+
+   if ( Parameters.isGlobalTarget )
+   {
+      console.show();
+      console.abortEnabled = true;
+      try
+      {
+         engine.executeGlobal();
+      }
+      catch ( error )
+      {
+         console.criticalln( error.message );
+      }
+      return;
+   }
+
    for ( let dialog = new BatchFITSKeywordEditDialog( engine ); ; )
    {
       if ( !dialog.execute() )
@@ -1364,8 +8684,40 @@ function main()
          continue;
       }
 
+      try
+      {
+         engine.validateOperations( engine.operationsToApply() );
+      }
+      catch ( error )
+      {
+         (new MessageBox( error.message, TITLE, StdIcon_Error, StdButton_Ok )).execute();
+         continue;
+      }
+
+      if ( engine.modifyOriginals )
+      {
+         if ( engine.backupMode == "directory" && engine.backupDirectory.length == 0 )
+         {
+            (new MessageBox( "No backup directory has been specified.", TITLE, StdIcon_Error, StdButton_Ok )).execute();
+            continue;
+         }
+
+         let backupText = "No backup copies will be kept.";
+         if ( engine.backupMode == "bak" )
+            backupText = "A .bak copy of each original will be kept.";
+         else if ( engine.backupMode == "directory" )
+            backupText = "A copy of each original will be kept below:<br>" + engine.backupDirectory;
+
+         if ( (new MessageBox( "<p>" + engine.inputFiles.length + " original file" +
+                               ((engine.inputFiles.length == 1) ? "" : "s") + " will be modified in place.</p>" +
+                               "<p>" + backupText + "</p>" +
+                               "<p><b>Are you sure?</b></p>",
+                               TITLE, StdIcon_Warning, StdButton_Yes, StdButton_No )).execute() != StdButton_Yes )
+            continue;
+      }
+
 #ifneq WARN_ON_NO_OUTPUT_DIRECTORY 0
-      if ( engine.outputDirectory.length == 0 )
+      if ( engine.outputDirectory.length == 0 && !engine.modifyOriginals )
          if ( (new MessageBox( "<p>No output directory has been specified.</p>" +
                                "<p>Each converted image will be written to the directory of " +
                                "its corresponding input file.<br>" +
@@ -1374,6 +8726,7 @@ function main()
             continue;
 #endif
       // Perform batch FITS file update and quit.
+      engine.exportParameters();
       console.show();
       console.abortEnabled = true;
       engine.processFiles();